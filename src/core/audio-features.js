@@ -0,0 +1,160 @@
+// Features of an audio signal for audio-reactive parameters, computed from
+// the frequency and time-domain data of a Web Audio AnalyserNode:
+//
+//   level      RMS of the waveform
+//   <band>     mean spectrum magnitude over a frequency band
+//   dominant   frequency of the strongest spectral peak, on a log scale
+//              from MIN_PITCH to MAX_PITCH (dominantHz holds the value in Hz)
+//   onset      envelope that jumps to 1 on an onset (spectral flux above
+//              its recent average) and decays over ONSET_DECAY seconds
+//
+// Every feature is normalised to [0, 1] so it can be mapped onto any
+// parameter range (see mapFeature).
+
+const MIN_PITCH = 50;
+const MAX_PITCH = 5000;
+
+// Seconds for the onset envelope to fall to 1/e
+const ONSET_DECAY = 0.15;
+
+// Spectral flux frames the onset threshold is computed over (~0.7 s)
+const FLUX_HISTORY = 43;
+
+// Onset when the flux exceeds mean + ONSET_SENSITIVITY * deviation
+const ONSET_SENSITIVITY = 1.5;
+
+// Flux below this never counts as an onset (noise floor)
+const MIN_ONSET_FLUX = 0.002;
+
+const audioBands = {
+  sub: { label: 'Sub Bass (20-60 Hz)', low: 20, high: 60 },
+  bass: { label: 'Bass (60-250 Hz)', low: 60, high: 250 },
+  lowMid: { label: 'Low Mids (250-500 Hz)', low: 250, high: 500 },
+  mid: { label: 'Mids (500-2000 Hz)', low: 500, high: 2000 },
+  highMid: { label: 'High Mids (2-4 kHz)', low: 2000, high: 4000 },
+  treble: { label: 'Treble (4-16 kHz)', low: 4000, high: 16000 }
+};
+
+const audioFeatures = {
+  level: { label: 'Level (RMS)' },
+  ...Object.fromEntries(Object.entries(audioBands).map(([name, { label }]) => [name, { label }])),
+  dominant: { label: 'Dominant Frequency' },
+  onset: { label: 'Onsets' }
+};
+
+const clamp01 = value => Math.min(1, Math.max(0, value));
+
+// Bin index of a frequency for a spectrum of `binCount` bins
+function frequencyBin(frequency, sampleRate, binCount) {
+  return Math.round(frequency / (sampleRate / 2) * binCount);
+}
+
+// Frequency of the strongest bin, refined by a parabola through its
+// neighbours; 0 when the spectrum is silent
+function dominantFrequency(spectrum, sampleRate) {
+  let peak = 1;
+  for (let i = 2; i < spectrum.length - 1; i++) {
+    if (spectrum[i] > spectrum[peak]) peak = i;
+  }
+  if (!(spectrum[peak] > 0)) return 0;
+
+  const left = spectrum[peak - 1];
+  const centre = spectrum[peak];
+  const right = spectrum[peak + 1] || 0;
+  const curvature = left - 2 * centre + right;
+  const offset = curvature ? 0.5 * (left - right) / curvature : 0;
+  return (peak + offset) * sampleRate / 2 / spectrum.length;
+}
+
+// Stateful extractor: onsets and the envelope depend on previous frames
+class AudioFeatureExtractor {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.previousSpectrum = null;
+    this.fluxHistory = [];
+    this.onsetEnvelope = 0;
+  }
+
+  // `spectrum`: getByteFrequencyData() values (0-255), `waveform`:
+  // getFloatTimeDomainData() samples, `dt`: seconds since the last frame
+  process(spectrum, waveform, sampleRate, dt) {
+    const features = {};
+
+    let sumSquares = 0;
+    for (let i = 0; i < waveform.length; i++) {
+      sumSquares += waveform[i] * waveform[i];
+    }
+    features.level = clamp01(Math.sqrt(sumSquares / waveform.length) * Math.SQRT2);
+
+    Object.entries(audioBands).forEach(([name, { low, high }]) => {
+      const first = Math.max(1, frequencyBin(low, sampleRate, spectrum.length));
+      const last = Math.min(spectrum.length - 1, frequencyBin(high, sampleRate, spectrum.length));
+      let sum = 0;
+      for (let i = first; i <= last; i++) {
+        sum += spectrum[i];
+      }
+      features[name] = last >= first ? sum / ((last - first + 1) * 255) : 0;
+    });
+
+    const hz = dominantFrequency(spectrum, sampleRate);
+    features.dominantHz = hz;
+    features.dominant = hz > 0 ? clamp01(Math.log(hz / MIN_PITCH) / Math.log(MAX_PITCH / MIN_PITCH)) : 0;
+
+    features.onset = this.detectOnset(spectrum, dt);
+    return features;
+  }
+
+  // Half-wave rectified spectral flux against an adaptive threshold
+  detectOnset(spectrum, dt) {
+    let flux = 0;
+    if (this.previousSpectrum) {
+      for (let i = 0; i < spectrum.length; i++) {
+        flux += Math.max(0, spectrum[i] - this.previousSpectrum[i]);
+      }
+      flux /= spectrum.length * 255;
+    }
+    this.previousSpectrum = Float32Array.from(spectrum);
+
+    const history = this.fluxHistory;
+    const mean = history.length ? history.reduce((sum, value) => sum + value, 0) / history.length : 0;
+    const deviation = history.length
+      ? Math.sqrt(history.reduce((sum, value) => sum + (value - mean) ** 2, 0) / history.length)
+      : 0;
+    const isOnset = history.length === FLUX_HISTORY && flux > MIN_ONSET_FLUX &&
+      flux > mean + ONSET_SENSITIVITY * deviation;
+
+    history.push(flux);
+    if (history.length > FLUX_HISTORY) {
+      history.shift();
+    }
+
+    this.onsetEnvelope = isOnset ? 1 : this.onsetEnvelope * Math.exp(-dt / ONSET_DECAY);
+    return this.onsetEnvelope;
+  }
+}
+
+// One step of a mapping { gain, smoothing, min, max }: the feature scaled by
+// the gain, smoothed exponentially (smoothing is the fraction of the previous
+// value kept per 1/60 s) and placed in [min, max]. Returns
+// { smoothed, value }; pass `smoothed` back in on the next frame.
+function mapFeature(mapping, feature, previous, dt) {
+  const target = clamp01(feature * mapping.gain);
+  const smoothing = clamp01(mapping.smoothing);
+  const smoothed = previous === undefined
+    ? target
+    : target + (previous - target) * Math.pow(smoothing, dt * 60);
+  return { smoothed, value: mapping.min + smoothed * (mapping.max - mapping.min) };
+}
+
+export {
+  MIN_PITCH,
+  MAX_PITCH,
+  audioBands,
+  audioFeatures,
+  dominantFrequency,
+  AudioFeatureExtractor,
+  mapFeature
+};
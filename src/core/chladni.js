@@ -0,0 +1,209 @@
+// Chladni plate patterns: the height field of the Chladni shader stage and
+// its nodal lines.
+//
+// The plate is the `chladniPlate` setting:
+//   sine      the original pattern, sin(fx x + t) sin(fy y + t)
+//   square    free square plate of side `chladniPlateSize` centred on the
+//             origin; mode (m, n) is
+//               cos(n pi x') cos(m pi y') - cos(m pi x') cos(n pi y')
+//             with x', y' in [0, 1] across the plate (m = n is flat)
+//   circular  circular plate of radius `chladniPlateSize`; mode (m, n) is
+//               J_m(j_mn r / R) cos(m theta)
+//             with j_mn the n-th positive zero of the Bessel function J_m
+//
+// `chladniModes` lists { m, n, amplitude, phase }; the field is their
+// superposition, each oscillating as cos(t + phase). Modes are packed into
+// the uChladniModes uniform as vec4(m, n or j_mn, amplitude, phase), which
+// chladniField() below and the shaders (transformStages.glsl) read.
+
+const MAX_CHLADNI_MODES = 8;
+
+const chladniPlates = {
+  sine: { label: 'Sine Product (Classic)', id: 0 },
+  square: { label: 'Square Plate', id: 1 },
+  circular: { label: 'Circular Plate', id: 2 }
+};
+
+// Samples of the Bessel integral in the shaders
+const BESSEL_STEPS = 48;
+
+// J_m(x) = 1/pi * integral over [0, pi] of cos(m t - x sin t), by the
+// midpoint rule (very accurate here: the integrand is smooth and periodic)
+function besselJ(m, x, steps = BESSEL_STEPS) {
+  let sum = 0;
+  for (let i = 0; i < steps; i++) {
+    const t = (i + 0.5) * Math.PI / steps;
+    sum += Math.cos(m * t - x * Math.sin(t));
+  }
+  return sum / steps;
+}
+
+const besselZeros = new Map();
+
+// n-th positive zero of J_m (n >= 1): bracketed by scanning, then bisected
+function besselZero(m, n) {
+  const cacheKey = `${m}:${n}`;
+  if (besselZeros.has(cacheKey)) return besselZeros.get(cacheKey);
+
+  const J = x => besselJ(m, x, 256);
+  const step = 0.1;
+  let found = 0;
+  let x = 1e-3;
+  let value = J(x);
+  for (;;) {
+    const next = J(x + step);
+    if (value * next < 0 && ++found === n) break;
+    x += step;
+    value = next;
+  }
+
+  let low = x;
+  let high = x + step;
+  for (let i = 0; i < 60; i++) {
+    const middle = (low + high) / 2;
+    if (J(low) * J(middle) <= 0) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+
+  const zero = (low + high) / 2;
+  besselZeros.set(cacheKey, zero);
+  return zero;
+}
+
+// Uniform values for the plate settings of a config:
+// { uChladniPlate, uChladniPlateSize, uChladniModeCount, uChladniModes }
+// with uChladniModes as MAX_CHLADNI_MODES [m, k, amplitude, phase] rows
+function packChladniModes(config) {
+  const plate = chladniPlates[config.chladniPlate] || chladniPlates.sine;
+  const circular = plate === chladniPlates.circular;
+  const modes = (config.chladniModes || []).slice(0, MAX_CHLADNI_MODES).map(({ m, n, amplitude, phase }) => {
+    const order = Math.max(0, Math.round(m));
+    const index = Math.max(1, Math.round(n));
+    return [order, circular ? besselZero(order, index) : index, amplitude, phase];
+  });
+  const count = modes.length;
+  while (modes.length < MAX_CHLADNI_MODES) {
+    modes.push([0, 0, 0, 0]);
+  }
+  return {
+    uChladniPlate: plate.id,
+    uChladniPlateSize: config.chladniPlateSize,
+    uChladniModeCount: count,
+    uChladniModes: modes
+  };
+}
+
+// Shape of one packed mode [m, k, amplitude, phase] at (x, y)
+function plateModeValue(plate, size, mode, x, y) {
+  const [m, k] = mode;
+  if (plate === chladniPlates.square.id) {
+    const px = Math.PI * (x / size + 0.5);
+    const py = Math.PI * (y / size + 0.5);
+    return Math.cos(k * px) * Math.cos(m * py) - Math.cos(m * px) * Math.cos(k * py);
+  }
+  const r = Math.hypot(x, y) / size;
+  const theta = r > 0 ? Math.atan2(y, x) : 0;
+  return besselJ(m, k * r) * Math.cos(m * theta);
+}
+
+// Chladni height (before amplitude and noise) at (x, y), as chladniField()
+// in the shaders. `u` holds the uniform values; uChladniModes may be rows
+// or THREE.Vector4s.
+function chladniField(u, x, y, time) {
+  if (u.uChladniPlate === chladniPlates.sine.id) {
+    return Math.sin(u.uChladniFrequencyX * x + time) * Math.sin(u.uChladniFrequencyY * y + time);
+  }
+  let sum = 0;
+  for (let i = 0; i < u.uChladniModeCount; i++) {
+    const mode = Array.isArray(u.uChladniModes[i]) ? u.uChladniModes[i] : u.uChladniModes[i].toArray();
+    sum += mode[2] * plateModeValue(u.uChladniPlate, u.uChladniPlateSize, mode, x, y) * Math.cos(time + mode[3]);
+  }
+  return sum;
+}
+
+// ---- Nodal lines ----
+
+// Regular grid of (resolution + 1)^2 samples over [-extent, extent]^2, row
+// by row from -extent in y
+function sampleGrid(resolution, extent, sample) {
+  const size = resolution + 1;
+  const values = new Float32Array(size * size);
+  for (let j = 0; j < size; j++) {
+    const y = -extent + 2 * extent * j / resolution;
+    for (let i = 0; i < size; i++) {
+      values[j * size + i] = sample(-extent + 2 * extent * i / resolution, y);
+    }
+  }
+  return values;
+}
+
+// Zero contour of a sampleGrid() by marching squares, as line segments:
+// x, y, 0 per endpoint written into `out` (grown when too small).
+// Returns { positions, count } with `count` endpoints.
+function zeroContour(values, resolution, extent, out = null) {
+  const size = resolution + 1;
+  const cellSize = 2 * extent / resolution;
+  const positions = out && out.length >= resolution * resolution * 12 ? out : new Float32Array(resolution * resolution * 12);
+  let count = 0;
+
+  // Point where the field crosses zero between two samples
+  const crossing = (x0, y0, v0, x1, y1, v1) => {
+    const t = v0 / (v0 - v1);
+    return [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t];
+  };
+  const push = (a, b) => {
+    positions.set([a[0], a[1], 0, b[0], b[1], 0], count * 3);
+    count += 2;
+  };
+
+  for (let j = 0; j < resolution; j++) {
+    const y0 = -extent + j * cellSize;
+    const y1 = y0 + cellSize;
+    for (let i = 0; i < resolution; i++) {
+      const x0 = -extent + i * cellSize;
+      const x1 = x0 + cellSize;
+      const v00 = values[j * size + i];
+      const v10 = values[j * size + i + 1];
+      const v01 = values[(j + 1) * size + i];
+      const v11 = values[(j + 1) * size + i + 1];
+
+      // Crossings on the bottom, right, top and left edges
+      const edges = [];
+      if ((v00 < 0) !== (v10 < 0)) edges.push(crossing(x0, y0, v00, x1, y0, v10));
+      if ((v10 < 0) !== (v11 < 0)) edges.push(crossing(x1, y0, v10, x1, y1, v11));
+      if ((v01 < 0) !== (v11 < 0)) edges.push(crossing(x0, y1, v01, x1, y1, v11));
+      if ((v00 < 0) !== (v01 < 0)) edges.push(crossing(x0, y0, v00, x0, y1, v01));
+
+      if (edges.length === 2) {
+        push(edges[0], edges[1]);
+      } else if (edges.length === 4) {
+        // Saddle: pair the crossings by the sign of the cell centre
+        const centre = (v00 + v10 + v01 + v11) / 4;
+        if ((centre < 0) === (v00 < 0)) {
+          push(edges[0], edges[1]);
+          push(edges[2], edges[3]);
+        } else {
+          push(edges[0], edges[3]);
+          push(edges[1], edges[2]);
+        }
+      }
+    }
+  }
+
+  return { positions, count };
+}
+
+export {
+  MAX_CHLADNI_MODES,
+  chladniPlates,
+  besselJ,
+  besselZero,
+  packChladniModes,
+  plateModeValue,
+  chladniField,
+  sampleGrid,
+  zeroContour
+};
@@ -0,0 +1,323 @@
+// Registry of edge curve interpolators and the edge -> curve mapping.
+//
+// Each interpolator provides point(t, v1, v2, context, params) returning
+// {x, y, z} for t in [0, 1], or generate(v1, v2, context, params, numPoints)
+// for curves that are solved as a whole path (e.g. geodesics). The context
+// carries the owning geometry (threshold, complexityFactor, curvature
+// radii), the metric distance between the endpoints and, when known, the
+// edge index.
+//
+// Which curve an edge gets is decided by a curve mapping: an edge
+// attribute and a list of bands, each with an upper bound (`max`,
+// omitted on the last band) and a curve name.
+
+import { Registry } from './registry.js';
+import { computeGeodesic } from './geodesics.js';
+
+// ---- Vector helpers ----
+
+function lerp(v1, v2, t) {
+  return {
+    x: (1-t)*v1.x + t*v2.x,
+    y: (1-t)*v1.y + t*v2.y,
+    z: (1-t)*v1.z + t*v2.z
+  };
+}
+
+function normalize(v) {
+  const length = Math.sqrt(v.x*v.x + v.y*v.y + v.z*v.z);
+  return length > 0 ? { x: v.x / length, y: v.y / length, z: v.z / length } : { x: 0, y: 0, z: 0 };
+}
+
+function cross(a, b) {
+  return {
+    x: a.y*b.z - a.z*b.y,
+    y: a.z*b.x - a.x*b.z,
+    z: a.x*b.y - a.y*b.x
+  };
+}
+
+// Orthonormal frame (tangent, normal, binormal) around the chord v1 -> v2
+function chordFrame(v1, v2) {
+  const tangent = normalize({ x: v2.x - v1.x, y: v2.y - v1.y, z: v2.z - v1.z });
+  let normal = normalize(cross(tangent, { x: 0, y: 1, z: 0 }));
+  if (normal.x === 0 && normal.y === 0 && normal.z === 0) {
+    normal = normalize(cross(tangent, { x: 1, y: 0, z: 0 }));
+  }
+  const binormal = cross(tangent, normal);
+  return { tangent, normal, binormal };
+}
+
+function offset(point, direction, amount) {
+  return {
+    x: point.x + direction.x * amount,
+    y: point.y + direction.y * amount,
+    z: point.z + direction.z * amount
+  };
+}
+
+// Curvature-driven bend height shared by the curved interpolators
+function elevation(v1, v2, geometry) {
+  return Math.min(
+    geometry.minCurvatureRadius +
+    Math.abs(v1.curvature + v2.curvature) * geometry.complexityFactor,
+    geometry.maxCurvatureRadius
+  );
+}
+
+// ---- Built-in interpolators ----
+
+function linearPoint(t, v1, v2) {
+  return lerp(v1, v2, t);
+}
+
+// Parabolic bump along y, scaled by the endpoints' curvature
+function quadraticPoint(t, v1, v2, context) {
+  const point = lerp(v1, v2, t);
+  point.y += elevation(v1, v2, context.geometry) * 4 * t * (1-t);
+  return point;
+}
+
+// Mobius-like warp whose winding grows with metric distance
+function mobiusPoint(t, v1, v2, context) {
+  const { geometry, distance } = context;
+  const mobiusFactor = Math.min(distance / geometry.threshold, 2.0);
+
+  // Complex mapping that warps the connection
+  const warpX = Math.sin(t * Math.PI * mobiusFactor);
+  const warpY = Math.cos(t * Math.PI * mobiusFactor);
+
+  const point = lerp(v1, v2, t);
+  point.x += warpX * geometry.complexityFactor;
+  point.y += warpY * geometry.complexityFactor;
+  return point;
+}
+
+// S-shaped cubic Bézier: control points lifted off the chord in opposite directions
+function cubicBezierPoint(t, v1, v2, context, params) {
+  const { normal } = chordFrame(v1, v2);
+  const lift = elevation(v1, v2, context.geometry) * params.bezierTension;
+
+  const c1 = offset(lerp(v1, v2, 1/3), normal, lift);
+  const c2 = offset(lerp(v1, v2, 2/3), normal, -lift);
+
+  const u = 1 - t;
+  const b0 = u*u*u;
+  const b1 = 3*u*u*t;
+  const b2 = 3*u*t*t;
+  const b3 = t*t*t;
+
+  return {
+    x: b0*v1.x + b1*c1.x + b2*c2.x + b3*v2.x,
+    y: b0*v1.y + b1*c1.y + b2*c2.y + b3*v2.y,
+    z: b0*v1.z + b1*c1.z + b2*c2.z + b3*v2.z
+  };
+}
+
+// Uniform Catmull–Rom spline through v1, two bent interior knots and v2
+function catmullRomPoint(t, v1, v2, context, params) {
+  const { normal, binormal } = chordFrame(v1, v2);
+  const bend = elevation(v1, v2, context.geometry) * params.catmullRomBend;
+
+  const knots = [
+    v1,
+    offset(lerp(v1, v2, 1/3), normal, bend),
+    offset(lerp(v1, v2, 2/3), binormal, bend),
+    v2
+  ];
+  // Mirrored phantom knots at both ends
+  const points = [
+    lerp(knots[1], v1, 2),
+    ...knots,
+    lerp(knots[2], v2, 2)
+  ];
+
+  const segments = knots.length - 1;
+  const scaled = Math.min(t * segments, segments - 1e-9);
+  const segment = Math.floor(scaled);
+  const s = scaled - segment;
+  const [p0, p1, p2, p3] = points.slice(segment, segment + 4);
+
+  const s2 = s * s;
+  const s3 = s2 * s;
+  const blend = (a, b, c, d) => 0.5 * (
+    2*b + (-a + c)*s + (2*a - 5*b + 4*c - d)*s2 + (-a + 3*b - 3*c + d)*s3
+  );
+
+  return {
+    x: blend(p0.x, p1.x, p2.x, p3.x),
+    y: blend(p0.y, p1.y, p2.y, p3.y),
+    z: blend(p0.z, p1.z, p2.z, p3.z)
+  };
+}
+
+// Helix wound around the chord, pinned to both endpoints
+function helixPoint(t, v1, v2, context, params) {
+  const { normal, binormal } = chordFrame(v1, v2);
+  const radius = params.helixRadius * (1 + Math.abs(v1.curvature + v2.curvature)) *
+    context.geometry.complexityFactor;
+  const angle = 2 * Math.PI * params.helixTurns * t;
+  const envelope = Math.sin(Math.PI * t);
+
+  const point = lerp(v1, v2, t);
+  return offset(
+    offset(point, normal, Math.cos(angle) * radius * envelope),
+    binormal,
+    Math.sin(angle) * radius * envelope
+  );
+}
+
+// Approximate geodesic under the geometry's conformal metric (see geodesics.js)
+function geodesicCurve(v1, v2, context, params, numPoints) {
+  const { geometry, edgeIndex } = context;
+  if (edgeIndex !== undefined) {
+    return geometry.getEdgeGeodesic(edgeIndex, numPoints).points;
+  }
+  return computeGeodesic(geometry.getGeodesicField(), v1, v2, {
+    numPoints,
+    iterations: params.geodesicIterations
+  }).points;
+}
+
+class CurveInterpolatorRegistry extends Registry {
+  constructor() {
+    super('Curve interpolator', 'point');
+  }
+
+  // Accept either a per-t point() or a whole-path generate() function
+  register(name, definition) {
+    if (definition && typeof definition.generate === 'function' && !definition.point) {
+      return super.register(name, {
+        ...definition,
+        point: () => {
+          throw new Error(`Curve interpolator "${name}" only supports generate()`);
+        }
+      });
+    }
+    return super.register(name, definition);
+  }
+
+  // Whether a config key is a parameter of any registered interpolator
+  isCurveParam(key) {
+    return this.isParam(key);
+  }
+
+  // Sample `numPoints` points (endpoints included) along a curve
+  generate(name, v1, v2, context, params, numPoints = 20) {
+    const interpolator = this.get(name);
+    if (interpolator.generate) {
+      return interpolator.generate(v1, v2, context, params, numPoints);
+    }
+
+    const points = [];
+    for (let i = 0; i < numPoints; i++) {
+      const t = numPoints > 1 ? i / (numPoints - 1) : 0;
+      points.push(interpolator.point(t, v1, v2, context, params));
+    }
+    return points;
+  }
+}
+
+const registry = new CurveInterpolatorRegistry();
+
+registry
+  .register('linear', {
+    label: 'Linear',
+    point: linearPoint
+  })
+  .register('quadratic', {
+    label: 'Quadratic',
+    point: quadraticPoint
+  })
+  .register('mobius', {
+    label: 'Möbius Warp',
+    point: mobiusPoint
+  })
+  .register('cubicBezier', {
+    label: 'Cubic Bézier',
+    params: {
+      bezierTension: { default: 1.0, min: 0, max: 3, step: 0.05, label: 'Bézier Tension' }
+    },
+    point: cubicBezierPoint
+  })
+  .register('catmullRom', {
+    label: 'Catmull–Rom',
+    params: {
+      catmullRomBend: { default: 0.5, min: 0, max: 3, step: 0.05, label: 'Catmull–Rom Bend' }
+    },
+    point: catmullRomPoint
+  })
+  .register('helix', {
+    label: 'Helix',
+    params: {
+      helixTurns: { default: 2, min: 0.5, max: 10, step: 0.5, label: 'Helix Turns' },
+      helixRadius: { default: 0.2, min: 0, max: 2, step: 0.05, label: 'Helix Radius' }
+    },
+    point: helixPoint
+  })
+  .register('geodesic', {
+    label: 'Geodesic',
+    params: {
+      geodesicStrength: { default: 0.5, min: 0, max: 5, step: 0.05, label: 'Geodesic Field Strength' },
+      geodesicSigma: { default: 0.5, min: 0.05, max: 5, step: 0.05, label: 'Geodesic Field Radius' },
+      geodesicIterations: { default: 40, min: 1, max: 200, step: 1, label: 'Geodesic Iterations' }
+    },
+    generate: geodesicCurve
+  });
+
+// ---- Edge -> curve mapping ----
+
+// Edge attributes a curve mapping can switch on
+const edgeAttributes = {
+  relativeDistance: { label: 'Distance / Threshold', compute: (v1, v2, distance, geometry) => distance / geometry.threshold },
+  distance: { label: 'Metric Distance', compute: (v1, v2, distance) => distance },
+  meanWeight: { label: 'Mean Weight', compute: (v1, v2) => (v1.weight + v2.weight) / 2 },
+  meanCurvature: { label: 'Mean Curvature', compute: (v1, v2) => (v1.curvature + v2.curvature) / 2 },
+  weightDifference: { label: 'Weight Difference', compute: (v1, v2) => Math.abs(v1.weight - v2.weight) },
+  curvatureDifference: { label: 'Curvature Difference', compute: (v1, v2) => Math.abs(v1.curvature - v2.curvature) }
+};
+
+// Reproduces the original rule: quadratic below threshold/2, Möbius above
+const DEFAULT_CURVE_MAPPING = {
+  attribute: 'relativeDistance',
+  bands: [
+    { max: 0.5, curve: 'quadratic' },
+    { curve: 'mobius' }
+  ]
+};
+
+// Copy of a mapping with its bounded bands in ascending order of `max` and
+// the unbounded ones last, as resolveCurveType expects
+function normalizeCurveMapping(mapping) {
+  const bands = mapping.bands.map(band => ({ ...band }));
+  const bounded = band => typeof band.max === 'number';
+  return {
+    ...mapping,
+    bands: [
+      ...bands.filter(bounded).sort((a, b) => a.max - b.max),
+      ...bands.filter(band => !bounded(band))
+    ]
+  };
+}
+
+// Pick the curve for an edge: the first band whose `max` exceeds the attribute value
+function resolveCurveType(mapping, v1, v2, distance, geometry) {
+  const { attribute, bands } = mapping || DEFAULT_CURVE_MAPPING;
+  const edgeAttribute = edgeAttributes[attribute];
+  if (!edgeAttribute) {
+    throw new Error(`Unknown edge attribute: ${attribute}`);
+  }
+
+  const value = edgeAttribute.compute(v1, v2, distance, geometry);
+  const band = bands.find(b => b.max === undefined || b.max === null || value < b.max);
+  return band ? band.curve : bands[bands.length - 1].curve;
+}
+
+export {
+  CurveInterpolatorRegistry,
+  edgeAttributes,
+  DEFAULT_CURVE_MAPPING,
+  normalizeCurveMapping,
+  resolveCurveType
+};
+export default registry;
@@ -0,0 +1,195 @@
+// Approximate geodesics under a conformal Riemannian metric.
+//
+// The metric tensor is g(x) = φ(x)² I, with the conformal factor built
+// from the vertex weight/curvature fields as a sum of Gaussian bumps:
+//
+//   φ(x) = 1 + strength · Σ_k max(weight_k + curvature_k, 0) · exp(-|x - p_k|² / 2σ²)
+//
+// Geodesics are found by relaxing a discretised path between the two
+// endpoints so that it minimises the path energy Σ φ(m_i)² |Δx_i|²
+// (m_i is the segment midpoint); energy minimisers are constant-speed
+// geodesics. The Riemannian length Σ φ(m_i) |Δx_i| is the midpoint-rule
+// integral of the metric along the path.
+
+const DEFAULT_OPTIONS = {
+  numPoints: 20,
+  iterations: 40,
+  relaxation: 0.9
+};
+
+class ConformalField {
+  constructor(vertices, { strength = 0.5, sigma = 0.5 } = {}) {
+    this.vertices = vertices;
+    this.strength = strength;
+    this.sigma = Math.max(sigma, 1e-3);
+
+    // Uniform grid with 3σ cells over the vertices' bounding box, so kernels
+    // are only summed over the 27 cells around a point
+    this.cellSize = 3 * this.sigma;
+    this.cutoffSq = this.cellSize * this.cellSize;
+    this.min = { i: Infinity, j: Infinity, k: Infinity };
+    this.dims = { i: 0, j: 0, k: 0 };
+    this.cells = new Map();
+
+    const cellsOf = vertices.map(v => ({
+      i: Math.floor(v.x / this.cellSize),
+      j: Math.floor(v.y / this.cellSize),
+      k: Math.floor(v.z / this.cellSize)
+    }));
+    if (cellsOf.length) {
+      ['i', 'j', 'k'].forEach(axis => {
+        const values = cellsOf.map(cell => cell[axis]);
+        this.min[axis] = values.reduce((a, b) => Math.min(a, b));
+        this.dims[axis] = values.reduce((a, b) => Math.max(a, b)) - this.min[axis] + 1;
+      });
+    }
+
+    cellsOf.forEach(({ i, j, k }, index) => {
+      const key = this.cellKey(i, j, k);
+      if (!this.cells.has(key)) this.cells.set(key, []);
+      this.cells.get(key).push(index);
+    });
+  }
+
+  // Numeric key of a grid cell, or -1 outside the bounding box
+  cellKey(i, j, k) {
+    const a = i - this.min.i;
+    const b = j - this.min.j;
+    const c = k - this.min.k;
+    if (a < 0 || b < 0 || c < 0 || a >= this.dims.i || b >= this.dims.j || c >= this.dims.k) {
+      return -1;
+    }
+    return (a * this.dims.j + b) * this.dims.k + c;
+  }
+
+  // Conformal factor φ and its gradient at a point
+  evaluate(p) {
+    const twoSigmaSq = 2 * this.sigma * this.sigma;
+    const invSigmaSq = 1 / (this.sigma * this.sigma);
+    const ci = Math.floor(p.x / this.cellSize);
+    const cj = Math.floor(p.y / this.cellSize);
+    const ck = Math.floor(p.z / this.cellSize);
+
+    let sum = 0;
+    let gx = 0;
+    let gy = 0;
+    let gz = 0;
+
+    for (let di = -1; di <= 1; di++) {
+      for (let dj = -1; dj <= 1; dj++) {
+        for (let dk = -1; dk <= 1; dk++) {
+          const cell = this.cells.get(this.cellKey(ci + di, cj + dj, ck + dk));
+          if (!cell) continue;
+
+          for (let n = 0; n < cell.length; n++) {
+            const v = this.vertices[cell[n]];
+            const dx = p.x - v.x;
+            const dy = p.y - v.y;
+            const dz = p.z - v.z;
+            const distSq = dx*dx + dy*dy + dz*dz;
+            if (distSq > this.cutoffSq) continue;
+
+            const amplitude = Math.max(v.weight + v.curvature, 0);
+            const kernel = amplitude * Math.exp(-distSq / twoSigmaSq);
+
+            sum += kernel;
+            gx -= kernel * dx * invSigmaSq;
+            gy -= kernel * dy * invSigmaSq;
+            gz -= kernel * dz * invSigmaSq;
+          }
+        }
+      }
+    }
+
+    return {
+      factor: 1 + this.strength * sum,
+      gradient: { x: this.strength * gx, y: this.strength * gy, z: this.strength * gz }
+    };
+  }
+}
+
+// Riemannian length of a polyline, by the midpoint rule on each segment
+function pathLength(field, points) {
+  let length = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const dz = b.z - a.z;
+    const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: (a.z + b.z) / 2 };
+    length += field.evaluate(mid).factor * Math.sqrt(dx*dx + dy*dy + dz*dz);
+  }
+  return length;
+}
+
+// Relax a straight path between v1 and v2 towards a geodesic
+function computeGeodesic(field, v1, v2, options = {}) {
+  const { numPoints, iterations, relaxation } = { ...DEFAULT_OPTIONS, ...options };
+  const count = Math.max(numPoints, 2);
+
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    const t = i / (count - 1);
+    points.push({
+      x: (1-t)*v1.x + t*v2.x,
+      y: (1-t)*v1.y + t*v2.y,
+      z: (1-t)*v1.z + t*v2.z
+    });
+  }
+
+  const segments = count - 1;
+  const factors = new Float64Array(segments);
+  const gradients = new Array(segments);
+  const deltas = new Array(segments);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    // Evaluate φ at the segment midpoints
+    for (let s = 0; s < segments; s++) {
+      const a = points[s];
+      const b = points[s + 1];
+      const { factor, gradient } = field.evaluate({
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2,
+        z: (a.z + b.z) / 2
+      });
+      factors[s] = factor;
+      gradients[s] = gradient;
+      deltas[s] = { x: b.x - a.x, y: b.y - a.y, z: b.z - a.z };
+    }
+
+    // Preconditioned (Jacobi) gradient step on the interior points; with a
+    // constant φ this reduces to moving each point to its neighbours' mean
+    for (let i = 1; i < count - 1; i++) {
+      const prev = i - 1;
+      const next = i;
+      const fp = factors[prev];
+      const fn = factors[next];
+      const dp = deltas[prev];
+      const dn = deltas[next];
+      const lenSqP = dp.x*dp.x + dp.y*dp.y + dp.z*dp.z;
+      const lenSqN = dn.x*dn.x + dn.y*dn.y + dn.z*dn.z;
+      const gp = gradients[prev];
+      const gn = gradients[next];
+
+      // dE/dx_i from the segments on either side of point i
+      const grad = {
+        x: 2*fp*fp*dp.x - 2*fn*fn*dn.x + fp*lenSqP*gp.x + fn*lenSqN*gn.x,
+        y: 2*fp*fp*dp.y - 2*fn*fn*dn.y + fp*lenSqP*gp.y + fn*lenSqN*gn.y,
+        z: 2*fp*fp*dp.z - 2*fn*fn*dn.z + fp*lenSqP*gp.z + fn*lenSqN*gn.z
+      };
+      const scale = relaxation / (2 * (fp*fp + fn*fn));
+
+      points[i].x -= grad.x * scale;
+      points[i].y -= grad.y * scale;
+      points[i].z -= grad.z * scale;
+    }
+  }
+
+  return {
+    points,
+    length: pathLength(field, points)
+  };
+}
+
+export { ConformalField, computeGeodesic, pathLength };
@@ -0,0 +1,256 @@
+// Export of the point cloud, curved edges and metric surface to OBJ, PLY and
+// SVG text. (glTF/GLB goes through three's GLTFExporter in ui/Exporter.js,
+// from the same export data.)
+//
+// collectExportData gathers plain arrays from a MetricSpaceGeometry and the
+// surface BufferGeometry, optionally baking the shader displacement at a
+// chosen uTime (see shader-pipeline.js):
+//   {
+//     vertices: [{ x, y, z, weight, curvature }],
+//     edges:    [{ from, to, points: [{ x, y, z }] }],
+//     surface:  { positions: [{ x, y, z }], normals: [{ x, y, z }], indices: [] } | null,
+//     source:   { seed, generator } the vertices were generated from, or null
+//   }
+//
+// Every format records the source: OBJ and PLY as comments, SVG as metadata
+// (and glTF in asset.extras).
+
+import { displaceSurfacePoint } from './shader-displacement.js';
+import { displacePoint } from './shader-pipeline.js';
+
+// options: {
+//   points, edges, surface   which parts to include
+//   bake                     null, or { time, pipeline, pointUniforms,
+//                            lineUniforms, surfaceUniforms } (uniform
+//                            name -> value maps)
+//   source                   { seed, generator } of the vertex set
+// }
+function collectExportData(metricGeometry, surfaceGeometry, options = {}) {
+  const bake = options.bake || null;
+  const bakePoint = (p, uniforms) => (bake ? displacePoint(p, uniforms, bake.time, bake.pipeline) : { x: p.x, y: p.y, z: p.z });
+
+  const data = { vertices: [], edges: [], surface: null, source: options.source || null };
+
+  if (options.points !== false) {
+    data.vertices = metricGeometry.vertices.map(v => ({
+      ...bakePoint(v, bake && bake.pointUniforms),
+      weight: v.weight,
+      curvature: v.curvature
+    }));
+  }
+
+  if (options.edges !== false) {
+    // Curve samples are cached by sampleEdgeCurves; regenerate if missing
+    const curves = metricGeometry.edgeCurves && metricGeometry.edgeCurves.length === metricGeometry.edges.length
+      ? metricGeometry.edgeCurves
+      : metricGeometry.edges.map(([i, j], index) => metricGeometry.generateCurvePoints(
+        metricGeometry.vertices[i], metricGeometry.vertices[j],
+        metricGeometry.edgeTypes[index], metricGeometry.curveResolution, index
+      ));
+
+    data.edges = metricGeometry.edges.map(([from, to], index) => ({
+      from,
+      to,
+      points: curves[index].map(p => bakePoint(p, bake && bake.lineUniforms))
+    }));
+  }
+
+  if (options.surface !== false && surfaceGeometry) {
+    const position = surfaceGeometry.getAttribute('position');
+    const normal = surfaceGeometry.getAttribute('normal');
+    const uv = surfaceGeometry.getAttribute('uv');
+    const positions = [];
+    const normals = [];
+
+    for (let k = 0; k < position.count; k++) {
+      const p = { x: position.getX(k), y: position.getY(k), z: position.getZ(k) };
+      const n = { x: normal.getX(k), y: normal.getY(k), z: normal.getZ(k) };
+      positions.push(bake
+        ? bakePoint(displaceSurfacePoint(p, n, { x: uv.getX(k), y: uv.getY(k) }, bake.surfaceUniforms, bake.time),
+          bake.surfaceUniforms)
+        : p);
+      normals.push(n);
+    }
+
+    data.surface = {
+      positions,
+      normals,
+      indices: surfaceGeometry.index ? Array.from(surfaceGeometry.index.array) : []
+    };
+  }
+
+  return data;
+}
+
+function formatNumber(value) {
+  return Number.isFinite(value) ? String(Math.round(value * 1e6) / 1e6) : '0';
+}
+
+function formatPoint(p) {
+  return `${formatNumber(p.x)} ${formatNumber(p.y)} ${formatNumber(p.z)}`;
+}
+
+// Comment lines (without the comment marker) naming the seed and generator
+function sourceLines(source) {
+  return source ? [`seed ${source.seed}`, `generator ${source.generator}`] : [];
+}
+
+// Wavefront OBJ: the vertices as point elements (p), every edge curve as a
+// polyline (l) and the surface as faces with normals (f v//vn). OBJ has no
+// custom vertex attributes, so weight/curvature are left out.
+function writeObj(data) {
+  const lines = [
+    '# Metric space export',
+    ...sourceLines(data.source).map(line => `# ${line}`),
+    `# ${data.vertices.length} vertices, ${data.edges.length} edges`
+  ];
+  let offset = 1; // OBJ indices are 1-based
+
+  if (data.vertices.length) {
+    lines.push('o points');
+    data.vertices.forEach(v => lines.push(`v ${formatPoint(v)}`));
+    lines.push(`p ${data.vertices.map((_, i) => offset + i).join(' ')}`);
+    offset += data.vertices.length;
+  }
+
+  if (data.edges.length) {
+    lines.push('o edges');
+    data.edges.forEach(edge => {
+      edge.points.forEach(p => lines.push(`v ${formatPoint(p)}`));
+      lines.push(`l ${edge.points.map((_, k) => offset + k).join(' ')}`);
+      offset += edge.points.length;
+    });
+  }
+
+  if (data.surface) {
+    const { positions, normals, indices } = data.surface;
+    lines.push('o surface');
+    positions.forEach(p => lines.push(`v ${formatPoint(p)}`));
+    normals.forEach(n => lines.push(`vn ${formatPoint(n)}`));
+    for (let k = 0; k + 2 < indices.length; k += 3) {
+      const [a, b, c] = [indices[k], indices[k + 1], indices[k + 2]].map(i => offset + i);
+      // Normals are numbered from 1 within the file as well
+      const [na, nb, nc] = [indices[k], indices[k + 1], indices[k + 2]].map(i => i + 1);
+      lines.push(`f ${a}//${na} ${b}//${nb} ${c}//${nc}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ASCII PLY: vertices with weight and curvature properties, the graph edges
+// as an edge element (vertex1 vertex2), and the surface appended as extra
+// vertices (weight and curvature 0) with a face element. Edges index the
+// point vertices, so they are left out when the points are.
+function writePly(data) {
+  const surface = data.surface || { positions: [], indices: [] };
+  const vertexCount = data.vertices.length + surface.positions.length;
+  const faceCount = Math.floor(surface.indices.length / 3);
+  const edges = data.vertices.length ? data.edges : [];
+
+  const header = [
+    'ply',
+    'format ascii 1.0',
+    'comment Metric space export',
+    ...sourceLines(data.source).map(line => `comment ${line}`),
+    `element vertex ${vertexCount}`,
+    'property float x',
+    'property float y',
+    'property float z',
+    'property float weight',
+    'property float curvature',
+    ...(edges.length ? [`element edge ${edges.length}`, 'property int vertex1', 'property int vertex2'] : []),
+    `element face ${faceCount}`,
+    'property list uchar int vertex_indices',
+    'end_header'
+  ];
+
+  const body = [];
+  data.vertices.forEach(v => body.push(`${formatPoint(v)} ${formatNumber(v.weight)} ${formatNumber(v.curvature)}`));
+  surface.positions.forEach(p => body.push(`${formatPoint(p)} 0 0`));
+  edges.forEach(edge => body.push(`${edge.from} ${edge.to}`));
+
+  const base = data.vertices.length;
+  for (let k = 0; k + 2 < surface.indices.length; k += 3) {
+    body.push(`3 ${base + surface.indices[k]} ${base + surface.indices[k + 1]} ${base + surface.indices[k + 2]}`);
+  }
+
+  return header.concat(body).join('\n') + '\n';
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function hexColor(color) {
+  return `#${(color >>> 0).toString(16).padStart(6, '0').slice(-6)}`;
+}
+
+// SVG projection. `project(p)` maps a 3D point to { x, y, depth } in pixels
+// (depth larger = farther) or null when it is not visible. The surface is
+// painted back to front, then the edges, then the points.
+//
+// style: { width, height, pointColor, pointRadius, pointOpacity, lineColor,
+//          lineWidth, lineOpacity, surfaceColor, surfaceOpacity, background }
+function writeSvg(data, project, style) {
+  const { width, height } = style;
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+  ];
+  if (data.source) {
+    out.push(`<metadata>${escapeXml(JSON.stringify(data.source))}</metadata>`);
+  }
+  if (style.background !== undefined) {
+    out.push(`<rect width="100%" height="100%" fill="${hexColor(style.background)}"/>`);
+  }
+  const xy = p => `${p.x.toFixed(2)},${p.y.toFixed(2)}`;
+
+  if (data.surface) {
+    const projected = data.surface.positions.map(project);
+    const triangles = [];
+    const { indices } = data.surface;
+    for (let k = 0; k + 2 < indices.length; k += 3) {
+      const corners = [projected[indices[k]], projected[indices[k + 1]], projected[indices[k + 2]]];
+      if (corners.every(Boolean)) {
+        triangles.push({ corners, depth: (corners[0].depth + corners[1].depth + corners[2].depth) / 3 });
+      }
+    }
+    triangles.sort((a, b) => b.depth - a.depth);
+
+    out.push(`<g id="surface" fill="${hexColor(style.surfaceColor)}" fill-opacity="${style.surfaceOpacity}" stroke="none">`);
+    triangles.forEach(({ corners }) => out.push(`<polygon points="${corners.map(xy).join(' ')}"/>`));
+    out.push('</g>');
+  }
+
+  if (data.edges.length) {
+    out.push(`<g id="edges" fill="none" stroke="${hexColor(style.lineColor)}" stroke-width="${style.lineWidth}" ` +
+      `stroke-opacity="${style.lineOpacity}" stroke-linejoin="round" stroke-linecap="round">`);
+    data.edges.forEach(edge => {
+      // Split the polyline where it leaves the view
+      let run = [];
+      const flush = () => {
+        if (run.length > 1) out.push(`<polyline points="${run.map(xy).join(' ')}"/>`);
+        run = [];
+      };
+      edge.points.forEach(p => {
+        const s = project(p);
+        if (s) run.push(s); else flush();
+      });
+      flush();
+    });
+    out.push('</g>');
+  }
+
+  if (data.vertices.length) {
+    const points = data.vertices.map(project).filter(Boolean).sort((a, b) => b.depth - a.depth);
+    out.push(`<g id="points" fill="${hexColor(style.pointColor)}" fill-opacity="${style.pointOpacity}">`);
+    points.forEach(p => out.push(`<circle cx="${p.x.toFixed(2)}" cy="${p.y.toFixed(2)}" r="${style.pointRadius}"/>`));
+    out.push('</g>');
+  }
+
+  out.push('</svg>');
+  return out.join('\n') + '\n';
+}
+
+export { collectExportData, writeObj, writePly, writeSvg };
@@ -0,0 +1,416 @@
+// Edge construction strategies for MetricSpaceGeometry.
+//
+// Every strategy works under the geometry's active metric through its
+// spatial index and returns undirected edges as { i, j, distance } with
+// i < j, sorted by (i, j).
+//
+// Gabriel, relative neighbourhood and MST modes consider candidate pairs
+// from each vertex's `graphCandidates` nearest neighbours. Witness checks
+// are exact (radius queries), so the result is exact whenever the true
+// edges lie within the candidate neighbourhoods. Candidate neighbourhoods
+// of separate clusters may not reach each other; the pieces are then joined
+// through their closest pairs (see connectComponents), which are minimum
+// spanning tree edges and so also Gabriel and RNG edges.
+//
+// Every edge becomes a sampled curve and ribbon. An epsilon graph expected
+// to exceed MAX_EPSILON_EDGES (a threshold covering most of the point set
+// gives the complete graph) is refused rather than built. With the opt-in
+// geometry.epsilonEdgeLimit, a graph expected to exceed that limit instead
+// keeps only each vertex's nearest neighbours within the threshold, at most
+// geometry.edgeDegreeLimit of them.
+
+import { VPTree } from './spatial-index.js';
+
+// Most edges an epsilon graph is built with
+const MAX_EPSILON_EDGES = 200000;
+
+// Vertices whose neighbourhoods estimate the size of an epsilon graph
+const EPSILON_SAMPLE_SIZE = 64;
+
+// Components up to this size find their closest outside vertex through
+// the shared spatial index; larger ones get an index over the other vertices
+const SMALL_COMPONENT = 64;
+
+// Key an undirected pair so it can be deduplicated
+function pairKey(i, j) {
+  return i < j ? `${i},${j}` : `${j},${i}`;
+}
+
+function sortEdges(edges) {
+  return edges.sort((a, b) => a.i - b.i || a.j - b.j);
+}
+
+// k nearest neighbours of every vertex, excluding the vertex itself
+function nearestNeighbourLists(geometry, k) {
+  const index = geometry.getSpatialIndex();
+  return geometry.vertices.map((vertex, i) =>
+    index.nearest(vertex, k + 1)
+      .filter(neighbour => neighbour.index !== i)
+      .slice(0, k)
+  );
+}
+
+// Undirected candidate pairs from the nearest-neighbour lists
+function candidatePairs(geometry, count) {
+  const pairs = new Map();
+  nearestNeighbourLists(geometry, count).forEach((neighbours, i) => {
+    neighbours.forEach(({ index: j, distance }) => {
+      const key = pairKey(i, j);
+      if (!pairs.has(key)) {
+        pairs.set(key, { i: Math.min(i, j), j: Math.max(i, j), distance });
+      }
+    });
+  });
+  return Array.from(pairs.values());
+}
+
+// Expected number of epsilon edges, from the neighbour counts of evenly
+// spaced sample vertices
+function estimateEpsilonEdges(geometry) {
+  const index = geometry.getSpatialIndex();
+  const count = geometry.vertices.length;
+  const samples = Math.min(count, EPSILON_SAMPLE_SIZE);
+  let neighbours = 0;
+  for (let k = 0; k < samples; k++) {
+    const i = Math.floor(k * count / samples);
+    neighbours += index.radiusSearch(geometry.vertices[i], geometry.threshold)
+      .filter(({ index: j, distance }) => j !== i && distance < geometry.threshold).length;
+  }
+  return samples ? neighbours / samples * count / 2 : 0;
+}
+
+// Most epsilon edges kept per vertex: Infinity for the exact graph, or the
+// share of geometry.epsilonEdgeLimit per vertex when the graph is expected
+// to exceed it. Throws when the exact graph would exceed MAX_EPSILON_EDGES.
+function epsilonDegreeLimit(geometry) {
+  const count = geometry.vertices.length;
+  const limit = Math.min(geometry.epsilonEdgeLimit || MAX_EPSILON_EDGES, MAX_EPSILON_EDGES);
+  if (count * (count - 1) / 2 <= limit) {
+    return Infinity;
+  }
+  const expected = estimateEpsilonEdges(geometry);
+  if (expected <= limit) {
+    return Infinity;
+  }
+  if (!geometry.epsilonEdgeLimit) {
+    throw new Error(`Epsilon graph would have about ${Math.round(expected)} edges (at most ${MAX_EPSILON_EDGES}); ` +
+      'lower the threshold or set an edge limit');
+  }
+  return Math.max(1, Math.floor(limit / count));
+}
+
+// Epsilon neighbours of vertex i, the nearest `limit` of them when capped
+function epsilonNeighbours(geometry, i, limit) {
+  const index = geometry.getSpatialIndex();
+  const vertex = geometry.vertices[i];
+  const neighbours = Number.isFinite(limit)
+    ? index.nearest(vertex, limit + 1)
+    : index.radiusSearch(vertex, geometry.threshold);
+  return neighbours.filter(({ index: j, distance }) => j !== i && distance < geometry.threshold)
+    .slice(0, limit);
+}
+
+// Epsilon-ball graph: every pair closer than the threshold (capped only
+// with an edge limit, see above)
+function epsilonEdges(geometry) {
+  const limit = epsilonDegreeLimit(geometry);
+  geometry.edgeDegreeLimit = limit;
+
+  const edges = new Map();
+  geometry.vertices.forEach((vertex, i) => {
+    epsilonNeighbours(geometry, i, limit).forEach(({ index: j, distance }) => {
+      edges.set(pairKey(i, j), { i: Math.min(i, j), j: Math.max(i, j), distance });
+    });
+  });
+
+  return sortEdges(Array.from(edges.values()));
+}
+
+// k-nearest-neighbour graph (symmetrised: i~j if either is a neighbour of the other)
+function knnEdges(geometry) {
+  const edges = new Map();
+  nearestNeighbourLists(geometry, geometry.knnK).forEach((neighbours, i) => {
+    neighbours.forEach(({ index: j, distance }) => {
+      edges.set(pairKey(i, j), { i: Math.min(i, j), j: Math.max(i, j), distance });
+    });
+  });
+  return sortEdges(Array.from(edges.values()));
+}
+
+// Mutual kNN graph: i~j only if each is among the other's k nearest
+function mutualKnnEdges(geometry) {
+  const lists = nearestNeighbourLists(geometry, geometry.knnK);
+  const neighbourSets = lists.map(neighbours => new Set(neighbours.map(n => n.index)));
+  const edges = [];
+
+  lists.forEach((neighbours, i) => {
+    neighbours.forEach(({ index: j, distance }) => {
+      if (j > i && neighbourSets[j].has(i)) {
+        edges.push({ i, j, distance });
+      }
+    });
+  });
+
+  return sortEdges(edges);
+}
+
+// Union-find over the vertex indices
+function createUnionFind(count) {
+  const parent = Array.from({ length: count }, (_, i) => i);
+  const find = i => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  // Whether i and j were in different sets
+  const union = (i, j) => {
+    const rootI = find(i);
+    const rootJ = find(j);
+    if (rootI === rootJ) return false;
+    parent[rootI] = rootJ;
+    return true;
+  };
+  return { find, union };
+}
+
+// Closest vertex to i outside its set, by nearest-neighbour queries of
+// growing size; null when every vertex is in i's set
+function nearestOutside(geometry, i, find) {
+  const index = geometry.getSpatialIndex();
+  const root = find(i);
+  for (let k = geometry.graphCandidates + 1; ; k *= 2) {
+    const neighbours = index.nearest(geometry.vertices[i], k);
+    const outside = neighbours.find(({ index: j }) => find(j) !== root);
+    if (outside) return { index: outside.index, distance: outside.distance };
+    if (neighbours.length < k) return null;
+  }
+}
+
+// Closest pair between a component (its vertex indices) and the rest
+function cheapestOutgoing(geometry, members, find) {
+  let closest = null;
+  const consider = (i, neighbour) => {
+    if (neighbour && (!closest || neighbour.distance < closest.distance)) {
+      closest = { i: Math.min(i, neighbour.index), j: Math.max(i, neighbour.index), distance: neighbour.distance };
+    }
+  };
+
+  if (members.length <= SMALL_COMPONENT) {
+    members.forEach(i => consider(i, nearestOutside(geometry, i, find)));
+    return closest;
+  }
+
+  const memberSet = new Set(members);
+  const others = geometry.vertices.map((_, i) => i).filter(i => !memberSet.has(i));
+  const index = new VPTree(others.map(i => geometry.vertices[i]), (v1, v2) => geometry.customDistance(v1, v2));
+  members.forEach(i => {
+    const [nearest] = index.nearest(geometry.vertices[i], 1);
+    consider(i, nearest && { index: others[nearest.index], distance: nearest.distance });
+  });
+  return closest;
+}
+
+// Add the closest pair between connected components until the edges span
+// the vertex set (Borůvka rounds). By the cut property each added pair is
+// a minimum spanning tree edge.
+function connectComponents(geometry, edges) {
+  const { find, union } = createUnionFind(geometry.vertices.length);
+  let components = geometry.vertices.length;
+  edges.forEach(({ i, j }) => {
+    if (union(i, j)) components--;
+  });
+
+  while (components > 1) {
+    const members = new Map();
+    geometry.vertices.forEach((_, i) => {
+      const root = find(i);
+      if (!members.has(root)) members.set(root, []);
+      members.get(root).push(i);
+    });
+
+    // Cheapest outgoing pair of every component
+    const cheapest = Array.from(members.values())
+      .map(component => cheapestOutgoing(geometry, component, find))
+      .filter(Boolean);
+    if (!cheapest.length) break;
+
+    cheapest.forEach(pair => {
+      if (union(pair.i, pair.j)) {
+        edges.push(pair);
+        components--;
+      }
+    });
+  }
+
+  return sortEdges(edges);
+}
+
+// Keep candidate pairs that have no witness vertex inside their "lune"
+function filterByWitness(geometry, isWitness) {
+  const index = geometry.getSpatialIndex();
+  const vertices = geometry.vertices;
+
+  return connectComponents(geometry, candidatePairs(geometry, geometry.graphCandidates).filter(({ i, j, distance }) => {
+    // Any witness must be closer than `distance` to vertex i
+    return !index.radiusSearch(vertices[i], distance).some(({ index: r, distance: dir }) => {
+      if (r === i || r === j) return false;
+      const djr = geometry.customDistance(vertices[j], vertices[r]);
+      return isWitness(distance, dir, djr);
+    });
+  }));
+}
+
+// Gabriel graph: no r with d(i,r)² + d(j,r)² < d(i,j)²
+function gabrielEdges(geometry) {
+  return filterByWitness(geometry, (dij, dir, djr) => dir * dir + djr * djr < dij * dij);
+}
+
+// Relative neighbourhood graph: no r with max(d(i,r), d(j,r)) < d(i,j)
+function relativeNeighbourhoodEdges(geometry) {
+  return filterByWitness(geometry, (dij, dir, djr) => Math.max(dir, djr) < dij);
+}
+
+// Minimum spanning tree via Kruskal over the candidate pairs, with the
+// pieces of a disconnected candidate graph joined by connectComponents
+function minimumSpanningTreeEdges(geometry) {
+  const { union } = createUnionFind(geometry.vertices.length);
+
+  const edges = [];
+  candidatePairs(geometry, geometry.graphCandidates)
+    .sort((a, b) => a.distance - b.distance)
+    .forEach(edge => {
+      if (union(edge.i, edge.j)) {
+        edges.push(edge);
+      }
+    });
+
+  return connectComponents(geometry, edges);
+}
+
+// `connected`: the pieces of the candidate graph are joined by
+// connectComponents, which patched graphs have to repeat
+const graphModes = {
+  epsilon: { label: 'Epsilon Ball (Threshold)', build: epsilonEdges },
+  knn: { label: 'k-Nearest Neighbours', build: knnEdges },
+  mutualKnn: { label: 'Mutual kNN', build: mutualKnnEdges },
+  gabriel: { label: 'Gabriel Graph', build: gabrielEdges, connected: true },
+  relativeNeighbourhood: { label: 'Relative Neighbourhood Graph', build: relativeNeighbourhoodEdges, connected: true },
+  mst: { label: 'Minimum Spanning Tree', build: minimumSpanningTreeEdges, connected: true }
+};
+
+// ---- Local (incremental) construction ----
+//
+// Edges incident to a set of source vertices, used to patch connectivity
+// after vertices are added or removed. Returns null for modes that are
+// inherently global (MST), where the caller must rebuild everything.
+
+function localEpsilonEdges(geometry, sources) {
+  const edges = [];
+  sources.forEach(i => {
+    epsilonNeighbours(geometry, i, geometry.edgeDegreeLimit).forEach(({ index: j, distance }) => {
+      edges.push({ i: Math.min(i, j), j: Math.max(i, j), distance });
+    });
+  });
+  return edges;
+}
+
+// Vertices that have `s` among their `count` nearest neighbours
+function reverseNeighbours(geometry, s, count) {
+  const { radii, max } = geometry.getCandidateRadii(count);
+  return geometry.getSpatialIndex().radiusSearch(geometry.vertices[s], max)
+    .filter(({ index, distance }) => index !== s && distance <= radii[index]);
+}
+
+// kNN edges of each source in both directions: its own k nearest, and the
+// vertices that have it among their k nearest
+function localKnnEdges(geometry, sources, mutual) {
+  const index = geometry.getSpatialIndex();
+  const vertices = geometry.vertices;
+  const k = geometry.knnK;
+  const knnOf = i => index.nearest(vertices[i], k + 1)
+    .filter(neighbour => neighbour.index !== i)
+    .slice(0, k);
+
+  const edges = [];
+  sources.forEach(s => {
+    const forward = new Map(knnOf(s).map(({ index: c, distance }) => [c, distance]));
+    const reverse = new Map();
+    reverseNeighbours(geometry, s, k).forEach(({ index: c, distance }) => {
+      if (knnOf(c).some(n => n.index === s)) {
+        reverse.set(c, distance);
+      }
+    });
+
+    const linked = mutual
+      ? Array.from(forward).filter(([c]) => reverse.has(c))
+      : Array.from(new Map([...forward, ...reverse]));
+    linked.forEach(([c, distance]) => {
+      edges.push({ i: Math.min(s, c), j: Math.max(s, c), distance });
+    });
+  });
+  return edges;
+}
+
+// Candidate pairs of each source (in either direction) without a witness
+function localWitnessEdges(geometry, sources, isWitness) {
+  const index = geometry.getSpatialIndex();
+  const vertices = geometry.vertices;
+  const count = geometry.graphCandidates;
+  const edges = [];
+
+  sources.forEach(s => {
+    const candidates = new Map();
+    index.nearest(vertices[s], count + 1)
+      .concat(reverseNeighbours(geometry, s, count))
+      .forEach(({ index: c, distance }) => {
+        if (c !== s) candidates.set(c, distance);
+      });
+
+    candidates.forEach((distance, c) => {
+      const blocked = index.radiusSearch(vertices[s], distance).some(({ index: r, distance: dsr }) => {
+        if (r === s || r === c) return false;
+        return isWitness(distance, dsr, geometry.customDistance(vertices[c], vertices[r]));
+      });
+      if (!blocked) {
+        edges.push({ i: Math.min(s, c), j: Math.max(s, c), distance });
+      }
+    });
+  });
+  return edges;
+}
+
+const localBuilders = {
+  epsilon: localEpsilonEdges,
+  knn: (geometry, sources) => localKnnEdges(geometry, sources, false),
+  mutualKnn: (geometry, sources) => localKnnEdges(geometry, sources, true),
+  gabriel: (geometry, sources) => localWitnessEdges(geometry, sources,
+    (dij, dir, djr) => dir * dir + djr * djr < dij * dij),
+  relativeNeighbourhood: (geometry, sources) => localWitnessEdges(geometry, sources,
+    (dij, dir, djr) => Math.max(dir, djr) < dij)
+};
+
+// Deduplicated, sorted edges incident to `sources`, or null for global modes
+function buildGraphEdgesAround(mode, geometry, sources) {
+  if (!graphModes[mode]) {
+    throw new Error(`Unknown graph construction mode: ${mode}`);
+  }
+  const builder = localBuilders[mode];
+  if (!builder) return null;
+
+  const unique = new Map();
+  builder(geometry, sources).forEach(edge => unique.set(pairKey(edge.i, edge.j), edge));
+  return sortEdges(Array.from(unique.values()));
+}
+
+// Build the edge list for a mode, throwing for unknown modes
+function buildGraphEdges(mode, geometry) {
+  const graphMode = graphModes[mode];
+  if (!graphMode) {
+    throw new Error(`Unknown graph construction mode: ${mode}`);
+  }
+  return graphMode.build(geometry);
+}
+
+export { MAX_EPSILON_EDGES, graphModes, buildGraphEdges, buildGraphEdgesAround, connectComponents };
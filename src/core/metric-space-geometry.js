@@ -1,3 +1,11 @@
+import MetricRegistry from './metrics.js';
+import { VPTree } from './spatial-index.js';
+import { graphModes, buildGraphEdges, buildGraphEdgesAround, connectComponents } from './graph-construction.js';
+import CurveRegistry, { DEFAULT_CURVE_MAPPING, resolveCurveType } from './curve-interpolators.js';
+import { ConformalField, computeGeodesic } from './geodesics.js';
+import { triangulationMethods } from './triangulation.js';
+import { computeVertexAttributes, setVertexAttributes } from './vertex-attributes.js';
+
 class MetricVertex {
   constructor(x, y, z, weight = 1.0, curvature = 0.0) {
     this.x = x;
@@ -11,121 +19,337 @@ class MetricVertex {
 class MetricSpaceGeometry {
   constructor(vertices, params = {}) {
     // Metric parameters with defaults
-    this.alpha = params.alpha || 1.0;
-    this.beta = params.beta || 0.5;
-    this.gamma = params.gamma || 0.2;
-    this.threshold = params.threshold || 5.0;
+    this.alpha = params.alpha ?? 1.0;
+    this.beta = params.beta ?? 0.5;
+    this.gamma = params.gamma ?? 0.2;
+    this.threshold = params.threshold ?? 5.0;
+
+    // Active distance metric, looked up by name in the metric registry
+    this.metric = params.metric || 'composite';
+    this.metricParams = MetricRegistry.resolveParams(this.metric, {
+      ...params,
+      alpha: this.alpha,
+      beta: this.beta,
+      gamma: this.gamma
+    });
+    this.distanceFunction = MetricRegistry.get(this.metric).distance;
+
+    // Edge construction strategy (see graph-construction.js)
+    this.graphMode = params.graphMode || 'epsilon';
+    this.knnK = params.knnK || 5;
+    this.graphCandidates = params.graphCandidates || 16;
+    // Opt-in cap on the epsilon graph's size (0 = exact graph), and the
+    // most epsilon edges per vertex it leaves (see graph-construction.js)
+    this.epsilonEdgeLimit = params.epsilonEdgeLimit || 0;
+    this.edgeDegreeLimit = Infinity;
     
     // New parameters for curve generation
     this.minCurvatureRadius = params.minCurvatureRadius || 0.5;
     this.maxCurvatureRadius = params.maxCurvatureRadius || 2.0;
     this.complexityFactor = params.complexityFactor || 1.0;
 
+    // Number of points sampled along each edge curve
+    this.curveResolution = params.curveResolution || 20;
+
+    // Metric surface resolution
+    this.surfaceThetaResolution = params.surfaceThetaResolution || 50;
+    this.surfacePhiResolution = params.surfacePhiResolution || 50;
+
+    // Edge -> curve interpolator mapping and interpolator parameters
+    this.curveMapping = params.curveMapping || DEFAULT_CURVE_MAPPING;
+    this.curveParams = {};
+    CurveRegistry.list().forEach(name => {
+      this.curveParams[name] = CurveRegistry.resolveParams(name, params);
+    });
+
     this.vertices = vertices;
     this.edges = [];
     this.edgeTypes = []; // Will store connection type for each edge
+    this.edgeDistances = []; // Metric distance between the endpoints of each edge
+    this.edgeGeodesics = []; // Cached geodesic paths ({ points, length }) per edge
     this.computeConnectivity();
   }
 
-  // Enhanced custom distance metric function
+  // Distance between two vertices under the active metric
   customDistance(v1, v2) {
-    const dx = v1.x - v2.x;
-    const dy = v1.y - v2.y;
-    const dz = v1.z - v2.z;
-    
-    // Euclidean base distance
-    const euclidean = Math.sqrt(dx*dx + dy*dy + dz*dz);
-    
-    // Weight difference term (normalized)
-    const weightTerm = Math.abs(v1.weight - v2.weight) / Math.max(v1.weight, v2.weight);
-    
-    // Curvature difference term
-    const curvatureTerm = Math.abs(v1.curvature - v2.curvature);
-    
-    // Composite metric with additional complexity
-    return Math.sqrt(
-      this.alpha * Math.pow(euclidean, 2) +
-      this.beta * Math.pow(curvatureTerm, 2) +
-      this.gamma * Math.pow(weightTerm, 2)
-    );
+    return this.distanceFunction(v1, v2, this.metricParams);
   }
 
-  // Generate curve points for different connection types
-  generateCurvePoints(v1, v2, type, numPoints = 20) {
-    const points = [];
-    
-    // Quadratic interpolation for close vertices
-    if (type === 'quadratic') {
-      const midpoint = {
-        x: (v1.x + v2.x) / 2,
-        y: (v1.y + v2.y) / 2,
-        z: (v1.z + v2.z) / 2
-      };
-      
-      // Add slight elevation based on curvature
-      const elevationFactor = Math.min(
-        this.minCurvatureRadius + 
-        Math.abs(v1.curvature + v2.curvature) * this.complexityFactor, 
-        this.maxCurvatureRadius
-      );
-      
-      midpoint.y += elevationFactor * Math.sin(v1.curvature * v2.curvature);
-      
-      for (let t = 0; t <= 1; t += 1/(numPoints-1)) {
-        const x = (1-t)*v1.x + t*v2.x;
-        const y = (1-t)*v1.y + t*v2.y + 
-                  elevationFactor * 4 * t * (1-t);
-        const z = (1-t)*v1.z + t*v2.z;
-        points.push({x, y, z});
-      }
-    } 
-    // Mobius-like transformation for distant vertices
-    else if (type === 'mobius') {
-      const distance = this.customDistance(v1, v2);
-      const mobiusFactor = Math.min(distance / this.threshold, 2.0);
-      
-      for (let t = 0; t <= 1; t += 1/(numPoints-1)) {
-        // Complex mapping that warps the connection
-        const warpX = Math.sin(t * Math.PI * mobiusFactor);
-        const warpY = Math.cos(t * Math.PI * mobiusFactor);
-        
-        const x = (1-t)*v1.x + t*v2.x + warpX * this.complexityFactor;
-        const y = (1-t)*v1.y + t*v2.y + warpY * this.complexityFactor;
-        const z = (1-t)*v1.z + t*v2.z;
-        
-        points.push({x, y, z});
-      }
+  // Generate curve points for an edge with the named curve interpolator
+  generateCurvePoints(v1, v2, type, numPoints = 20, edgeIndex = undefined) {
+    const context = {
+      geometry: this,
+      distance: this.customDistance(v1, v2),
+      edgeIndex
+    };
+    return CurveRegistry.generate(type, v1, v2, context, this.curveParams[type], numPoints);
+  }
+
+  // Conformal metric field derived from the vertex weight/curvature fields
+  getGeodesicField() {
+    if (!this.geodesicField || this.geodesicField.vertices !== this.vertices) {
+      const { geodesicStrength, geodesicSigma } = this.curveParams.geodesic;
+      this.geodesicField = new ConformalField(this.vertices, {
+        strength: geodesicStrength,
+        sigma: geodesicSigma
+      });
     }
-    
-    return points;
+    return this.geodesicField;
+  }
+
+  // Approximate geodesic ({ points, length }) between the endpoints of an edge
+  getEdgeGeodesic(index, numPoints = 20) {
+    const cached = this.edgeGeodesics[index];
+    if (cached && cached.points.length === numPoints) {
+      return cached;
+    }
+
+    const [i, j] = this.edges[index];
+    const geodesic = computeGeodesic(this.getGeodesicField(), this.vertices[i], this.vertices[j], {
+      numPoints,
+      iterations: this.curveParams.geodesic.geodesicIterations
+    });
+    this.edgeGeodesics[index] = geodesic;
+    return geodesic;
+  }
+
+  // Build (or reuse) a VP-tree over the vertices under the active metric
+  getSpatialIndex() {
+    if (!this.spatialIndex || this.spatialIndex.items !== this.vertices) {
+      this.spatialIndex = new VPTree(this.vertices, (v1, v2) => this.customDistance(v1, v2));
+    }
+    return this.spatialIndex;
+  }
+
+  // Vertices within `radius` of a point under the active metric
+  verticesWithin(point, radius) {
+    return this.getSpatialIndex().radiusSearch(point, radius);
+  }
+
+  // The k vertices closest to a point under the active metric
+  nearestVertices(point, k) {
+    return this.getSpatialIndex().nearest(point, k);
   }
 
   // Compute connectivity based on custom metric
   computeConnectivity() {
     this.edges = [];
     this.edgeTypes = [];
-    
-    for (let i = 0; i < this.vertices.length; i++) {
-      for (let j = i + 1; j < this.vertices.length; j++) {
-        const distance = this.customDistance(this.vertices[i], this.vertices[j]);
-        
-        if (distance < this.threshold) {
-          // Quadratic interpolation for closer vertices
-          if (distance < this.threshold / 2) {
-            this.edges.push([i, j]);
-            this.edgeTypes.push('quadratic');
-          } 
-          // Mobius-like transformation for intermediate distances
-          else {
-            this.edges.push([i, j]);
-            this.edgeTypes.push('mobius');
-          }
+    this.edgeDistances = [];
+    this.edgeGeodesics = [];
+
+    buildGraphEdges(this.graphMode, this).forEach(({ i, j, distance }) => {
+      this.edges.push([i, j]);
+      this.edgeDistances.push(distance);
+
+      // Curve type comes from the configured curve mapping
+      // (by default quadratic below threshold/2, Mobius above)
+      this.edgeTypes.push(resolveCurveType(
+        this.curveMapping, this.vertices[i], this.vertices[j], distance, this
+      ));
+    });
+  }
+
+  // Replace the edges incident to `sources` with freshly built ones, keeping
+  // every other edge. `remap` (old -> new vertex index, -1 for removed
+  // vertices) carries the kept edges over after vertices were removed.
+  // Modes that join the pieces of their candidate graph drop the previous
+  // joins (kept edges that are no candidate pair) and join the patched
+  // graph again, as a full build would.
+  patchConnectivity(sources, remap = null) {
+    const fresh = buildGraphEdgesAround(this.graphMode, this, sources);
+    if (!fresh) {
+      // Global modes (MST) cannot be patched locally
+      this.computeConnectivity();
+      return;
+    }
+
+    const connected = graphModes[this.graphMode].connected;
+    const candidateRadii = connected ? this.getCandidateRadii(this.graphCandidates).radii : null;
+    const isCandidate = (i, j, distance) => distance <= candidateRadii[i] || distance <= candidateRadii[j];
+
+    const sourceSet = new Set(sources);
+    let records = [];
+    this.edges.forEach(([i, j], index) => {
+      const a = remap ? remap[i] : i;
+      const b = remap ? remap[j] : j;
+      if (a < 0 || b < 0 || sourceSet.has(a) || sourceSet.has(b)) return;
+      const distance = this.edgeDistances[index];
+      if (connected && !isCandidate(a, b, distance)) return;
+      records.push({ i: a, j: b, distance, type: this.edgeTypes[index] });
+    });
+    fresh.forEach(({ i, j, distance }) => records.push({ i, j, distance }));
+    if (connected) {
+      records = connectComponents(this, records);
+    }
+
+    // Curve types of the new edges
+    records.forEach(record => {
+      if (!record.type) {
+        record.type = resolveCurveType(this.curveMapping, this.vertices[record.i], this.vertices[record.j], record.distance, this);
+      }
+    });
+    records.sort((a, b) => a.i - b.i || a.j - b.j);
+
+    this.edges = records.map(({ i, j }) => [i, j]);
+    this.edgeTypes = records.map(record => record.type);
+    this.edgeDistances = records.map(record => record.distance);
+    // The geodesic field depends on the vertex set, so cached paths are stale
+    this.edgeGeodesics = [];
+  }
+
+  // Snapshot of the edges with their curve types and distances
+  getConnectivity() {
+    return {
+      edges: this.edges.map(([i, j]) => [i, j]),
+      edgeTypes: [...this.edgeTypes],
+      edgeDistances: [...this.edgeDistances]
+    };
+  }
+
+  // Adopt a snapshot from getConnectivity (e.g. a saved session) instead of
+  // the computed edges
+  setConnectivity({ edges, edgeTypes, edgeDistances }) {
+    const count = this.vertices.length;
+    if (edges.some(([i, j]) => !(i >= 0 && i < count && j >= 0 && j < count))) {
+      throw new Error('Connectivity refers to missing vertices');
+    }
+
+    this.edges = edges.map(([i, j]) => [i, j]);
+    this.edgeTypes = [...edgeTypes];
+    this.edgeDistances = [...edgeDistances];
+    this.edgeGeodesics = [];
+  }
+
+  // Distance from every vertex to its `count`-th nearest neighbour, with the
+  // largest of them (cached per spatial index)
+  getCandidateRadii(count) {
+    const index = this.getSpatialIndex();
+    if (!this.candidateRadii || this.candidateRadii.index !== index) {
+      this.candidateRadii = { index, byCount: new Map() };
+    }
+
+    const cache = this.candidateRadii.byCount;
+    if (!cache.has(count)) {
+      const radii = new Float64Array(this.vertices.length);
+      this.vertices.forEach((vertex, i) => {
+        const neighbours = index.nearest(vertex, count + 1);
+        radii[i] = neighbours.length ? neighbours[neighbours.length - 1].distance : 0;
+      });
+      cache.set(count, { radii, max: radii.reduce((a, b) => Math.max(a, b), 0) });
+    }
+    return cache.get(count);
+  }
+
+  // Vertices whose incident edges may change when the vertices at `indices`
+  // appear, change or disappear. Epsilon edges depend only on their
+  // endpoints; in the other modes a vertex's edges also depend on every
+  // vertex inside its candidate radius (neighbour ranks, witnesses).
+  affectedVertices(indices) {
+    const affected = new Set(indices);
+    const capped = Number.isFinite(this.edgeDegreeLimit);
+    if (this.graphMode === 'epsilon' && !capped) {
+      return affected;
+    }
+
+    const changed = new Set(indices);
+    this.edges.forEach(([i, j]) => {
+      if (changed.has(i)) affected.add(j);
+      if (changed.has(j)) affected.add(i);
+    });
+
+    const candidates = Math.max(this.graphCandidates, this.knnK, capped ? this.edgeDegreeLimit : 0);
+    const { radii, max } = this.getCandidateRadii(candidates);
+    changed.forEach(r => {
+      this.verticesWithin(this.vertices[r], max).forEach(({ index, distance }) => {
+        if (distance <= radii[index] || distance <= radii[r]) {
+          affected.add(index);
         }
+      });
+    });
+    return affected;
+  }
+
+  // Remove vertices by index, recomputing only the edges around them.
+  // Returns the old -> new index map (-1 for removed vertices).
+  removeVertices(indices) {
+    const removed = new Set(indices);
+    const remap = new Int32Array(this.vertices.length).fill(-1);
+    if (!removed.size) {
+      return remap.map((_, i) => i);
+    }
+
+    const affected = this.affectedVertices(Array.from(removed));
+
+    const kept = [];
+    this.vertices.forEach((vertex, i) => {
+      if (!removed.has(i)) {
+        remap[i] = kept.length;
+        kept.push(vertex);
       }
+    });
+    // A new array, so the spatial index and geodesic field are rebuilt
+    this.vertices = kept;
+
+    const sources = Array.from(affected)
+      .filter(i => !removed.has(i))
+      .map(i => remap[i]);
+    this.patchConnectivity(sources, remap);
+
+    return remap;
+  }
+
+  // Append vertices, recomputing only the edges around them.
+  // Returns the indices of the new vertices.
+  addVertices(newVertices) {
+    const first = this.vertices.length;
+    this.vertices = this.vertices.concat(newVertices);
+
+    const added = newVertices.map((_, k) => first + k);
+    this.patchConnectivity(Array.from(this.affectedVertices(added)));
+    return added;
+  }
+
+  // Change vertices in place with `modify(vertex, index)` (position, weight
+  // or curvature), recomputing the edges around them before and after
+  modifyVertices(indices, modify) {
+    if (!indices.length) return;
+
+    const affected = this.affectedVertices(indices);
+    indices.forEach(index => modify(this.vertices[index], index));
+
+    // Distances involving the modified vertices changed
+    this.spatialIndex = null;
+    this.geodesicField = null;
+    this.affectedVertices(indices).forEach(index => affected.add(index));
+
+    this.patchConnectivity(Array.from(affected));
+  }
+
+  // Edge indices incident to each vertex
+  getVertexEdges() {
+    if (!this.vertexEdges || this.vertexEdges.edges !== this.edges) {
+      const lists = this.vertices.map(() => []);
+      this.edges.forEach(([i, j], index) => {
+        lists[i].push(index);
+        lists[j].push(index);
+      });
+      this.vertexEdges = { edges: this.edges, lists };
     }
+    return this.vertexEdges.lists;
   }
 
-  // Generate Three.js geometries with curved connections
+  // Sample every edge curve with its interpolator (curveResolution points
+  // each). The samples are kept as edgeCurves for export.
+  sampleEdgeCurves() {
+    this.edgeCurves = this.edges.map(([i, j], index) => this.generateCurvePoints(
+      this.vertices[i], this.vertices[j], this.edgeTypes[index], this.curveResolution, index
+    ));
+    return this.edgeCurves;
+  }
+
+  // Generate the Three.js point and surface geometries, and sample the edge
+  // curves (drawn with createRibbonGeometry)
   createGeometries(THREE) {
     // Vertex positions geometry
     const geometry = new THREE.BufferGeometry();
@@ -136,39 +360,149 @@ class MetricSpaceGeometry {
       positions[i * 3 + 2] = v.z;
     });
     geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-
-    // Curved edge geometry
-    const lineGeometry = new THREE.BufferGeometry();
-    const curvedPositions = [];
-
-    this.edges.forEach((edge, index) => {
-      const v1 = this.vertices[edge[0]];
-      const v2 = this.vertices[edge[1]];
-      const type = this.edgeTypes[index];
-      
-      // Generate curve points
-      const curvePoints = this.generateCurvePoints(v1, v2, type);
-      
-      // Flatten curve points into single array for geometry
-      curvePoints.forEach(point => {
-        curvedPositions.push(point.x, point.y, point.z);
-      });
-    });
-
-    const linePositions = new Float32Array(curvedPositions);
-    lineGeometry.setAttribute('position', new THREE.BufferAttribute(linePositions, 3));
+    // Per-vertex opacity, lowered while vertices fade out (sculpting)
+    geometry.setAttribute('aAlpha', new THREE.Float32BufferAttribute(new Float32Array(this.vertices.length).fill(1), 1));
+    // Weight, curvature, degree, density, ... (see vertex-attributes.js)
+    this.vertexAttributes = computeVertexAttributes(this);
+    setVertexAttributes(THREE, geometry, this.vertexAttributes);
 
     // New method to generate surface
-    const surfaceGeometry = this.generateMetricSurface(THREE);
+    const surfaceGeometry = this.generateMetricSurface(
+      THREE, this.surfaceThetaResolution, this.surfacePhiResolution
+    );
 
     return { 
       pointGeometry: geometry, 
-      lineGeometry: lineGeometry,
       surfaceGeometry: surfaceGeometry,
-      edgeTypes: this.edgeTypes 
+      edgeCurves: this.sampleEdgeCurves(),
+      edgeTypes: this.edgeTypes,
+      // Curve type names, indexed by the aEdgeType ribbon attribute
+      edgeTypeNames: CurveRegistry.list()
     };
   }
 
+  // Screen-space ribbon geometry for sampled edge curves (from
+  // sampleEdgeCurves). Each curve point becomes two vertices, one per side,
+  // that the line vertex shader extrudes perpendicular to the projected
+  // curve using the previous/next points.
+  createRibbonGeometry(THREE, edgeCurves = this.sampleEdgeCurves()) {
+    const edgeTypeNames = CurveRegistry.list();
+
+    // Buffers are sized up front: large graphs have millions of ribbon vertices
+    let pointCount = 0;
+    let segmentCount = 0;
+    edgeCurves.forEach(curvePoints => {
+      if (curvePoints.length < 2) return;
+      pointCount += curvePoints.length;
+      segmentCount += curvePoints.length - 1;
+    });
+    const vertexCount = pointCount * 2;
+    const positions = new Float32Array(vertexCount * 3);
+    const previous = new Float32Array(vertexCount * 3);
+    const next = new Float32Array(vertexCount * 3);
+    const sides = new Float32Array(vertexCount);
+    const lineT = new Float32Array(vertexCount);
+    const edgeIndices = new Float32Array(vertexCount);
+    const edgeTypeIds = new Float32Array(vertexCount);
+    const edgeDistances = new Float32Array(vertexCount);
+    const geodesicLengths = new Float32Array(vertexCount);
+    const indices = new Uint32Array(segmentCount * 6);
+    // Ribbon vertex range ({ start, count }) of each edge
+    this.ribbonRanges = [];
+
+    let vertex = 0;
+    let index = 0;
+    edgeCurves.forEach((curvePoints, edge) => {
+      const count = curvePoints.length;
+      if (count < 2) return;
+
+      const typeId = edgeTypeNames.indexOf(this.edgeTypes[edge]);
+      const distance = this.edgeDistances[edge];
+      // Riemannian length of edges drawn as geodesics, 0 for the others
+      const geodesicLength = this.edgeGeodesics[edge] ? this.edgeGeodesics[edge].length : 0;
+      const first = vertex;
+      this.ribbonRanges[edge] = { start: first, count: count * 2 };
+
+      curvePoints.forEach((point, k) => {
+        // Endpoints use themselves as the missing neighbour
+        const prev = curvePoints[Math.max(k - 1, 0)];
+        const nextPoint = curvePoints[Math.min(k + 1, count - 1)];
+        const t = k / (count - 1);
+
+        for (let side = -1; side <= 1; side += 2) {
+          const o = vertex * 3;
+          positions[o] = point.x;
+          positions[o + 1] = point.y;
+          positions[o + 2] = point.z;
+          previous[o] = prev.x;
+          previous[o + 1] = prev.y;
+          previous[o + 2] = prev.z;
+          next[o] = nextPoint.x;
+          next[o + 1] = nextPoint.y;
+          next[o + 2] = nextPoint.z;
+          sides[vertex] = side;
+          lineT[vertex] = t;
+          edgeIndices[vertex] = edge;
+          edgeTypeIds[vertex] = typeId;
+          edgeDistances[vertex] = distance;
+          geodesicLengths[vertex] = geodesicLength;
+          vertex++;
+        }
+
+        if (k > 0) {
+          const a = first + (k - 1) * 2;
+          indices[index++] = a;
+          indices[index++] = a + 1;
+          indices[index++] = a + 2;
+          indices[index++] = a + 1;
+          indices[index++] = a + 3;
+          indices[index++] = a + 2;
+        }
+      });
+    });
+
+    const ribbonGeometry = new THREE.BufferGeometry();
+    ribbonGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    ribbonGeometry.setAttribute('aPrevious', new THREE.BufferAttribute(previous, 3));
+    ribbonGeometry.setAttribute('aNext', new THREE.BufferAttribute(next, 3));
+    ribbonGeometry.setAttribute('aSide', new THREE.BufferAttribute(sides, 1));
+    ribbonGeometry.setAttribute('aLineT', new THREE.BufferAttribute(lineT, 1));
+    ribbonGeometry.setAttribute('aEdgeIndex', new THREE.BufferAttribute(edgeIndices, 1));
+    ribbonGeometry.setAttribute('aEdgeType', new THREE.BufferAttribute(edgeTypeIds, 1));
+    ribbonGeometry.setAttribute('aEdgeDistance', new THREE.BufferAttribute(edgeDistances, 1));
+    ribbonGeometry.setAttribute('aEdgeGeodesicLength', new THREE.BufferAttribute(geodesicLengths, 1));
+    ribbonGeometry.setAttribute('aAlpha', new THREE.BufferAttribute(new Float32Array(vertexCount).fill(1), 1));
+    ribbonGeometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+    return ribbonGeometry;
+  }
+
+  // Indexed triangle mesh over the vertex set, with computed normals
+  createMeshGeometry(THREE, method = 'hull') {
+    const triangulation = triangulationMethods[method];
+    if (!triangulation) {
+      throw new Error(`Unknown triangulation method: ${method}`);
+    }
+
+    const positions = new Float32Array(this.vertices.length * 3);
+    this.vertices.forEach((v, i) => {
+      positions[i * 3] = v.x;
+      positions[i * 3 + 1] = v.y;
+      positions[i * 3 + 2] = v.z;
+    });
+
+    const meshGeometry = new THREE.BufferGeometry();
+    meshGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    meshGeometry.setAttribute('aAlpha', new THREE.Float32BufferAttribute(new Float32Array(this.vertices.length).fill(1), 1));
+    // Computed by createGeometries for the same vertices and edges
+    if (!this.vertexAttributes) this.vertexAttributes = computeVertexAttributes(this);
+    setVertexAttributes(THREE, meshGeometry, this.vertexAttributes);
+    meshGeometry.setIndex(triangulation.triangulate(this.vertices, this.edges));
+    meshGeometry.computeVertexNormals();
+
+    return meshGeometry;
+  }
+
   // New method for generating metric surface using spherical parametrization
   generateMetricSurface(THREE, thetaResolution = 50, phiResolution = 50) {
     const positions = [];
@@ -180,6 +514,7 @@ class MetricSpaceGeometry {
     
     // Maximum distance used as a basis for our "radius"
     const maxDistanceFromCenter = this.computeMaxDistanceFromCenter(centerVertex);
+    this.surfaceWeightInfluence = this.computeWeightInfluence(centerVertex);
 
     // Generate surface points
     for (let i = 0; i <= thetaResolution; i++) {
@@ -200,7 +535,7 @@ class MetricSpaceGeometry {
         positions.push(x, y, z);
         
         // Compute surface normal using partial derivatives
-        const [nx, ny, nz] = this.computeSurfaceNormal(centerVertex, theta, phi, metricRadius);
+        const [nx, ny, nz] = this.computeSurfaceNormal(centerVertex, theta, phi, maxDistanceFromCenter);
         normals.push(nx, ny, nz);
         
         // UV mapping
@@ -250,9 +585,16 @@ class MetricSpaceGeometry {
 
   // Compute maximum distance from center vertex
   computeMaxDistanceFromCenter(centerVertex) {
-    return Math.max(...this.vertices.map(v => 
-      this.customDistance(centerVertex, v)
-    ));
+    return this.vertices.reduce((max, v) =>
+      Math.max(max, this.customDistance(centerVertex, v)), -Infinity);
+  }
+
+  // Average weight of the vertices, attenuated by distance from the center
+  computeWeightInfluence(centerVertex) {
+    return this.vertices.reduce((acc, v) => {
+      const localDistance = this.customDistance(centerVertex, v);
+      return acc + v.weight * Math.exp(-localDistance);
+    }, 0) / this.vertices.length;
   }
 
   // Compute metric-based radius for surface generation
@@ -264,43 +606,57 @@ class MetricSpaceGeometry {
     const radialFactor = Math.sin(theta) * Math.cos(phi);
     
     // Incorporate vertex weights and curvatures into radius computation
-    const weightInfluence = this.vertices.reduce((acc, v) => {
-      const localDistance = this.customDistance(centerVertex, v);
-      return acc + v.weight * Math.exp(-localDistance);
-    }, 0) / this.vertices.length;
+    // (independent of theta/phi, so generateMetricSurface computes it once)
+    const weightInfluence = this.surfaceWeightInfluence !== undefined
+      ? this.surfaceWeightInfluence
+      : this.computeWeightInfluence(centerVertex);
     
     return baseRadius * (1 + radialFactor * weightInfluence * this.complexityFactor);
   }
 
+  // Position on the metric surface for spherical angles (theta, phi)
+  computeSurfacePoint(centerVertex, theta, phi, maxDistance) {
+    const radius = this.computeMetricRadius(centerVertex, theta, phi, maxDistance);
+    return [
+      radius * Math.sin(theta) * Math.cos(phi),
+      radius * Math.sin(theta) * Math.sin(phi),
+      radius * Math.cos(theta)
+    ];
+  }
+
   // Compute surface normal using partial derivatives
-  computeSurfaceNormal(centerVertex, theta, phi, radius) {
+  computeSurfaceNormal(centerVertex, theta, phi, maxDistance) {
     const epsilon = 1e-4;
     
-    // Compute points slightly offset in theta and phi
-    const dTheta = this.computeMetricRadius(centerVertex, theta + epsilon, phi, radius);
-    const dPhi = this.computeMetricRadius(centerVertex, theta, phi + epsilon, radius);
-    
-    // Compute partial derivatives
-    const x = radius * Math.sin(theta) * Math.cos(phi);
-    const y = radius * Math.sin(theta) * Math.sin(phi);
-    const z = radius * Math.cos(theta);
-    
-    const dxdTheta = (dTheta - radius) * Math.sin(theta) * Math.cos(phi) / epsilon;
-    const dydTheta = (dTheta - radius) * Math.sin(theta) * Math.sin(phi) / epsilon;
-    const dzdTheta = (dTheta - radius) * Math.cos(theta) / epsilon;
-    
-    const dxdPhi = (dPhi - radius) * Math.sin(theta) * (-Math.sin(phi)) / epsilon;
-    const dydPhi = (dPhi - radius) * Math.sin(theta) * Math.cos(phi) / epsilon;
-    const dzdPhi = 0;
+    // Central differences of the surface position in theta and phi
+    const tp = this.computeSurfacePoint(centerVertex, theta + epsilon, phi, maxDistance);
+    const tm = this.computeSurfacePoint(centerVertex, theta - epsilon, phi, maxDistance);
+    const pp = this.computeSurfacePoint(centerVertex, theta, phi + epsilon, maxDistance);
+    const pm = this.computeSurfacePoint(centerVertex, theta, phi - epsilon, maxDistance);
+
+    const dTheta = [0, 1, 2].map(k => (tp[k] - tm[k]) / (2 * epsilon));
+    const dPhi = [0, 1, 2].map(k => (pp[k] - pm[k]) / (2 * epsilon));
     
     // Compute cross product for normal
-    const nx = dydTheta * dzdPhi - dzdTheta * dydPhi;
-    const ny = dzdTheta * dxdPhi - dxdTheta * dzdPhi;
-    const nz = dxdTheta * dydPhi - dydTheta * dxdPhi;
+    let nx = dTheta[1] * dPhi[2] - dTheta[2] * dPhi[1];
+    let ny = dTheta[2] * dPhi[0] - dTheta[0] * dPhi[2];
+    let nz = dTheta[0] * dPhi[1] - dTheta[1] * dPhi[0];
+    
+    // At the poles dPhi vanishes; fall back to the radial direction
+    let length = Math.sqrt(nx*nx + ny*ny + nz*nz);
+    if (length < 1e-10) {
+      nx = Math.sin(theta) * Math.cos(phi);
+      ny = Math.sin(theta) * Math.sin(phi);
+      nz = Math.cos(theta);
+      length = Math.sqrt(nx*nx + ny*ny + nz*nz);
+    }
+
+    // Orient the normal away from the center
+    const [x, y, z] = this.computeSurfacePoint(centerVertex, theta, phi, maxDistance);
+    const sign = nx*x + ny*y + nz*z < 0 ? -1 : 1;
     
     // Normalize the normal vector
-    const length = Math.sqrt(nx*nx + ny*ny + nz*nz);
-    return [nx/length, ny/length, nz/length];
+    return [sign * nx/length, sign * ny/length, sign * nz/length];
   }
 }
 
@@ -0,0 +1,210 @@
+// Metric axiom validation.
+//
+// Checks a distance function against a vertex set for non-negativity,
+// identity of indiscernibles, symmetry and the triangle inequality, and
+// classifies the space as an ultrametric, metric, pseudometric or invalid.
+//
+// The triangle check is O(n³), so large vertex sets are subsampled
+// (evenly, so the result is reproducible) down to `maxVertices`.
+
+const DEFAULT_OPTIONS = {
+  tolerance: 1e-9,
+  maxVertices: 80,
+  maxReported: 5
+};
+
+// Two vertices are indiscernible when every coordinate and attribute matches
+function sameVertex(v1, v2) {
+  return v1.x === v2.x && v1.y === v2.y && v1.z === v2.z &&
+    v1.weight === v2.weight && v1.curvature === v2.curvature;
+}
+
+// Pick up to `limit` vertices at an even stride, keeping original indices
+function sampleVertices(vertices, limit) {
+  if (vertices.length <= limit) {
+    return vertices.map((vertex, index) => ({ vertex, index }));
+  }
+
+  const stride = vertices.length / limit;
+  const sample = [];
+  for (let i = 0; i < limit; i++) {
+    const index = Math.floor(i * stride);
+    sample.push({ vertex: vertices[index], index });
+  }
+  return sample;
+}
+
+// Keep the `limit` entries with the largest `amount`, sorted descending
+function pushWorst(list, entry, limit) {
+  if (list.length < limit) {
+    list.push(entry);
+  } else if (entry.amount > list[list.length - 1].amount) {
+    list[list.length - 1] = entry;
+  } else {
+    return;
+  }
+  list.sort((a, b) => b.amount - a.amount);
+}
+
+function validateMetric(vertices, distance, options = {}) {
+  const { tolerance, maxVertices, maxReported } = { ...DEFAULT_OPTIONS, ...options };
+  const sample = sampleVertices(vertices, maxVertices);
+  const n = sample.length;
+
+  // Full (not necessarily symmetric) distance matrix over the sample
+  const matrix = [];
+  for (let i = 0; i < n; i++) {
+    matrix.push(new Float64Array(n));
+    for (let j = 0; j < n; j++) {
+      matrix[i][j] = distance(sample[i].vertex, sample[j].vertex);
+    }
+  }
+
+  const violations = {
+    nonNegativity: [],
+    selfDistance: [],
+    indiscernibles: [],
+    symmetry: [],
+    triangle: [],
+    ultrametric: []
+  };
+  const counts = {
+    nonNegativity: 0,
+    selfDistance: 0,
+    indiscernibles: 0,
+    symmetry: 0,
+    triangle: 0,
+    ultrametric: 0
+  };
+
+  const record = (axiom, entry) => {
+    counts[axiom]++;
+    pushWorst(violations[axiom], entry, maxReported);
+  };
+
+  // Pairwise axioms
+  for (let i = 0; i < n; i++) {
+    const dii = matrix[i][i];
+    if (!Number.isFinite(dii) || Math.abs(dii) > tolerance) {
+      record('selfDistance', {
+        indices: [sample[i].index],
+        distance: dii,
+        amount: Number.isFinite(dii) ? Math.abs(dii) : Infinity
+      });
+    }
+
+    for (let j = 0; j < n; j++) {
+      if (i === j) continue;
+      const dij = matrix[i][j];
+
+      if (!(dij >= -tolerance)) {
+        record('nonNegativity', {
+          indices: [sample[i].index, sample[j].index],
+          distance: dij,
+          amount: Number.isFinite(dij) ? -dij : Infinity
+        });
+      }
+
+      if (j > i) {
+        const asymmetry = Math.abs(dij - matrix[j][i]);
+        if (!(asymmetry <= tolerance)) {
+          record('symmetry', {
+            indices: [sample[i].index, sample[j].index],
+            distances: [dij, matrix[j][i]],
+            amount: Number.isFinite(asymmetry) ? asymmetry : Infinity
+          });
+        }
+
+        if (Math.abs(dij) <= tolerance && !sameVertex(sample[i].vertex, sample[j].vertex)) {
+          record('indiscernibles', {
+            indices: [sample[i].index, sample[j].index],
+            distance: dij,
+            amount: 0
+          });
+        }
+      }
+    }
+  }
+
+  // Triangle and strong (ultrametric) triangle inequality over all triples
+  for (let i = 0; i < n; i++) {
+    for (let k = 0; k < n; k++) {
+      if (k === i) continue;
+      const dik = matrix[i][k];
+
+      for (let j = 0; j < n; j++) {
+        if (j === i || j === k) continue;
+        const dij = matrix[i][j];
+        const djk = matrix[j][k];
+
+        const excess = dik - (dij + djk);
+        if (excess > tolerance) {
+          record('triangle', {
+            indices: [sample[i].index, sample[j].index, sample[k].index],
+            distances: { direct: dik, viaMiddle: dij + djk },
+            amount: excess
+          });
+        }
+
+        const ultraExcess = dik - Math.max(dij, djk);
+        if (ultraExcess > tolerance) {
+          counts.ultrametric++;
+          if (violations.ultrametric.length < maxReported) {
+            violations.ultrametric.push({
+              indices: [sample[i].index, sample[j].index, sample[k].index],
+              amount: ultraExcess
+            });
+          }
+        }
+      }
+    }
+  }
+
+  const isPseudometric = counts.nonNegativity === 0 &&
+    counts.selfDistance === 0 &&
+    counts.symmetry === 0 &&
+    counts.triangle === 0;
+  const isMetric = isPseudometric && counts.indiscernibles === 0;
+  const isUltrametric = isMetric && counts.ultrametric === 0;
+
+  let classification = 'invalid';
+  if (isUltrametric) {
+    classification = 'ultrametric';
+  } else if (isMetric) {
+    classification = 'metric';
+  } else if (isPseudometric) {
+    classification = 'pseudometric';
+  }
+
+  return {
+    valid: isMetric,
+    isMetric,
+    isPseudometric,
+    isUltrametric,
+    classification,
+    sampledVertices: n,
+    totalVertices: vertices.length,
+    counts,
+    violations
+  };
+}
+
+// One-line, human readable summary of a validation report
+function summarizeReport(report) {
+  if (report.valid) {
+    return `Valid ${report.classification} (${report.sampledVertices} vertices checked)`;
+  }
+
+  const failing = Object.entries(report.counts)
+    .filter(([axiom, count]) => axiom !== 'ultrametric' && count > 0)
+    .map(([axiom, count]) => `${axiom}: ${count}`);
+
+  const worstTriangle = report.violations.triangle[0];
+  const worstText = worstTriangle
+    ? `; worst triangle (${worstTriangle.indices.join(', ')}) exceeds by ${worstTriangle.amount.toFixed(4)}`
+    : '';
+
+  return `Not a metric (${report.classification}) - ${failing.join(', ')}${worstText}`;
+}
+
+export { validateMetric, summarizeReport };
@@ -0,0 +1,155 @@
+// Registry of named distance metrics.
+//
+// Each metric is described by a label, a parameter schema and a
+// distance(v1, v2, params) function (see registry.js).
+
+import { Registry } from './registry.js';
+
+class MetricRegistry extends Registry {
+  constructor() {
+    super('Metric', 'distance');
+  }
+
+  // Whether a config key is a parameter of any registered metric
+  isMetricParam(key) {
+    return this.isParam(key);
+  }
+
+  // Build a two-argument distance function bound to resolved parameters
+  createDistance(name, config = {}) {
+    const metric = this.get(name);
+    const params = this.resolveParams(name, config);
+    return (v1, v2) => metric.distance(v1, v2, params);
+  }
+}
+
+// ---- Built-in metrics ----
+
+// Squared length of a vertex position scaled by 1/radius
+function scaledNormSq(v, radius) {
+  return (v.x * v.x + v.y * v.y + v.z * v.z) / (radius * radius);
+}
+
+// Composite metric: alpha·euclidean² + beta·curvature² + gamma·weight²
+function compositeDistance(v1, v2, params) {
+  const dx = v1.x - v2.x;
+  const dy = v1.y - v2.y;
+  const dz = v1.z - v2.z;
+
+  // Euclidean base distance
+  const euclidean = Math.sqrt(dx*dx + dy*dy + dz*dz);
+
+  // Weight difference term (normalized)
+  const maxWeight = Math.max(v1.weight, v2.weight);
+  const weightTerm = maxWeight > 0 ? Math.abs(v1.weight - v2.weight) / maxWeight : 0;
+
+  // Curvature difference term
+  const curvatureTerm = Math.abs(v1.curvature - v2.curvature);
+
+  return Math.sqrt(
+    params.alpha * Math.pow(euclidean, 2) +
+    params.beta * Math.pow(curvatureTerm, 2) +
+    params.gamma * Math.pow(weightTerm, 2)
+  );
+}
+
+function minkowskiDistance(v1, v2, params) {
+  const p = Math.max(params.minkowskiP, 1);
+  return Math.pow(
+    Math.pow(Math.abs(v1.x - v2.x), p) +
+    Math.pow(Math.abs(v1.y - v2.y), p) +
+    Math.pow(Math.abs(v1.z - v2.z), p),
+    1 / p
+  );
+}
+
+function manhattanDistance(v1, v2) {
+  return Math.abs(v1.x - v2.x) + Math.abs(v1.y - v2.y) + Math.abs(v1.z - v2.z);
+}
+
+function chebyshevDistance(v1, v2) {
+  return Math.max(Math.abs(v1.x - v2.x), Math.abs(v1.y - v2.y), Math.abs(v1.z - v2.z));
+}
+
+// Poincaré ball model: positions are divided by the ball radius and
+// clamped just inside the unit ball before measuring.
+function hyperbolicDistance(v1, v2, params) {
+  const radius = params.hyperbolicRadius;
+  const maxNormSq = 1 - 1e-6;
+  const u = Math.min(scaledNormSq(v1, radius), maxNormSq);
+  const w = Math.min(scaledNormSq(v2, radius), maxNormSq);
+
+  const dx = v1.x - v2.x;
+  const dy = v1.y - v2.y;
+  const dz = v1.z - v2.z;
+  const diffSq = (dx*dx + dy*dy + dz*dz) / (radius * radius);
+
+  const argument = 1 + 2 * diffSq / ((1 - u) * (1 - w));
+  return Math.acosh(Math.max(argument, 1));
+}
+
+// Great-circle distance between the radial projections onto a sphere
+function sphericalDistance(v1, v2, params) {
+  const n1 = Math.sqrt(v1.x*v1.x + v1.y*v1.y + v1.z*v1.z);
+  const n2 = Math.sqrt(v2.x*v2.x + v2.y*v2.y + v2.z*v2.z);
+  if (n1 === 0 || n2 === 0) {
+    return n1 === n2 ? 0 : params.sphereRadius * Math.PI / 2;
+  }
+
+  // atan2 of |cross| and dot stays accurate for nearly parallel directions
+  const cx = v1.y*v2.z - v1.z*v2.y;
+  const cy = v1.z*v2.x - v1.x*v2.z;
+  const cz = v1.x*v2.y - v1.y*v2.x;
+  const cross = Math.sqrt(cx*cx + cy*cy + cz*cz);
+  const dot = v1.x*v2.x + v1.y*v2.y + v1.z*v2.z;
+  return params.sphereRadius * Math.atan2(cross, dot);
+}
+
+const registry = new MetricRegistry();
+
+registry
+  .register('composite', {
+    label: 'Composite (Weight/Curvature)',
+    params: {
+      alpha: { default: 1.0, min: 0, max: 5, step: 0.1, label: 'Alpha (Distance Weight)' },
+      beta: { default: 0.5, min: 0, max: 5, step: 0.1, label: 'Beta (Curvature Weight)' },
+      gamma: { default: 0.2, min: 0, max: 5, step: 0.1, label: 'Gamma (Weight Term)' }
+    },
+    distance: compositeDistance
+  })
+  .register('euclidean', {
+    label: 'Euclidean',
+    distance: (v1, v2) => minkowskiDistance(v1, v2, { minkowskiP: 2 })
+  })
+  .register('minkowski', {
+    label: 'Minkowski-p',
+    params: {
+      minkowskiP: { default: 3.0, min: 1, max: 10, step: 0.1, label: 'p (Minkowski)' }
+    },
+    distance: minkowskiDistance
+  })
+  .register('manhattan', {
+    label: 'Manhattan',
+    distance: manhattanDistance
+  })
+  .register('chebyshev', {
+    label: 'Chebyshev',
+    distance: chebyshevDistance
+  })
+  .register('hyperbolic', {
+    label: 'Hyperbolic (Poincaré Ball)',
+    params: {
+      hyperbolicRadius: { default: 5.0, min: 0.5, max: 20, step: 0.5, label: 'Ball Radius' }
+    },
+    distance: hyperbolicDistance
+  })
+  .register('spherical', {
+    label: 'Spherical Great-Circle',
+    params: {
+      sphereRadius: { default: 2.0, min: 0.1, max: 20, step: 0.1, label: 'Sphere Radius' }
+    },
+    distance: sphericalDistance
+  });
+
+export { MetricRegistry };
+export default registry;
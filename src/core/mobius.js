@@ -0,0 +1,219 @@
+// Möbius transformations z -> (az + b) / (cz + d) as 2x2 complex matrices.
+//
+// Complex numbers are [re, im] pairs and a transform is { a, b, c, d }, the
+// JSON form of the `mobiusCoefficients` setting that feeds the uA..uD
+// uniforms of the classical Möbius shader stage. Scaling all four
+// coefficients gives the same map, so transforms are normalised to
+// ad - bc = 1 (SL(2,C)); a transform with ad - bc = 0 is degenerate.
+
+const EPSILON = 1e-9;
+
+// ---- Complex arithmetic ----
+
+const add = (z, w) => [z[0] + w[0], z[1] + w[1]];
+const sub = (z, w) => [z[0] - w[0], z[1] - w[1]];
+const mul = (z, w) => [z[0] * w[0] - z[1] * w[1], z[0] * w[1] + z[1] * w[0]];
+const scale = (z, s) => [z[0] * s, z[1] * s];
+const abs = z => Math.hypot(z[0], z[1]);
+
+function div(z, w) {
+  const denominator = w[0] * w[0] + w[1] * w[1];
+  return [(z[0] * w[0] + z[1] * w[1]) / denominator, (z[1] * w[0] - z[0] * w[1]) / denominator];
+}
+
+function exp(z) {
+  const magnitude = Math.exp(z[0]);
+  return [magnitude * Math.cos(z[1]), magnitude * Math.sin(z[1])];
+}
+
+function log(z) {
+  return [Math.log(abs(z)), Math.atan2(z[1], z[0])];
+}
+
+// Principal square root
+function sqrt(z) {
+  const r = abs(z);
+  const re = Math.sqrt((r + z[0]) / 2);
+  const im = Math.sqrt(Math.max(0, (r - z[0]) / 2));
+  return [re, z[1] < 0 ? -im : im];
+}
+
+const cosh = z => scale(add(exp(z), exp(scale(z, -1))), 0.5);
+const sinh = z => scale(sub(exp(z), exp(scale(z, -1))), 0.5);
+
+function acosh(z) {
+  return log(add(z, mul(sqrt(sub(z, [1, 0])), sqrt(add(z, [1, 0])))));
+}
+
+// ---- Matrices ----
+
+const IDENTITY = Object.freeze({ a: [1, 0], b: [0, 0], c: [0, 0], d: [1, 0] });
+
+function multiply(m, n) {
+  return {
+    a: add(mul(m.a, n.a), mul(m.b, n.c)),
+    b: add(mul(m.a, n.b), mul(m.b, n.d)),
+    c: add(mul(m.c, n.a), mul(m.d, n.c)),
+    d: add(mul(m.c, n.b), mul(m.d, n.d))
+  };
+}
+
+// Adjugate: the inverse map (and the inverse matrix once normalised)
+function inverse(m) {
+  return { a: m.d, b: scale(m.b, -1), c: scale(m.c, -1), d: m.a };
+}
+
+function scaleMatrix(m, s) {
+  return { a: mul(m.a, s), b: mul(m.b, s), c: mul(m.c, s), d: mul(m.d, s) };
+}
+
+function determinant(m) {
+  return sub(mul(m.a, m.d), mul(m.b, m.c));
+}
+
+function trace(m) {
+  return add(m.a, m.d);
+}
+
+function isDegenerate(m) {
+  const size = Math.max(abs(m.a), abs(m.b), abs(m.c), abs(m.d));
+  return !(size > 0) || abs(determinant(m)) < EPSILON * size * size;
+}
+
+// Same transform scaled to ad - bc = 1
+function normalize(m) {
+  if (isDegenerate(m)) {
+    throw new Error('Möbius transform is degenerate (ad - bc = 0)');
+  }
+  return scaleMatrix(m, div([1, 0], sqrt(determinant(m))));
+}
+
+// Logarithm of an SL(2,C) matrix: the traceless N with exp(N) = m. With
+// tr(m) = 2 cosh(mu), log(m) = mu / sinh(mu) * (m - cosh(mu) I).
+function logarithm(m) {
+  const halfTrace = scale(trace(m), 0.5);
+  const mu = acosh(halfTrace);
+  const factor = abs(mu) < 1e-6 ? [1, 0] : div(mu, sinh(mu));
+  return scaleMatrix({
+    a: sub(m.a, halfTrace),
+    b: m.b,
+    c: m.c,
+    d: sub(m.d, halfTrace)
+  }, factor);
+}
+
+// Exponential of a traceless matrix: cosh(mu) I + sinh(mu) / mu * N, with
+// mu^2 = -det(N)
+function exponential(n) {
+  const mu = sqrt(scale(determinant(n), -1));
+  const factor = abs(mu) < 1e-6 ? [1, 0] : div(sinh(mu), mu);
+  const diagonal = cosh(mu);
+  const scaled = scaleMatrix(n, factor);
+  return {
+    a: add(diagonal, scaled.a),
+    b: scaled.b,
+    c: scaled.c,
+    d: add(diagonal, scaled.d)
+  };
+}
+
+// Transform a fraction `t` of the way from `from` to `to` along the
+// one-parameter subgroup joining them: from * exp(t * log(from^-1 * to)).
+// m and -m are the same map, so the sign giving the shorter path is used.
+function interpolate(from, to, t) {
+  const start = normalize(from);
+  let step = multiply(inverse(start), normalize(to));
+  if (trace(step)[0] < 0) {
+    step = scaleMatrix(step, [-1, 0]);
+  }
+  const logStep = logarithm(step);
+  return multiply(start, exponential(scaleMatrix(logStep, [t, 0])));
+}
+
+// ---- Classification and fixed points ----
+
+// 'identity', 'elliptic', 'parabolic', 'hyperbolic' or 'loxodromic', from
+// the square of the normalised trace
+function classify(m) {
+  const normalized = normalize(m);
+  const [re, im] = mul(trace(normalized), trace(normalized));
+  if (Math.abs(im) > 1e-6 || re < -1e-6) return 'loxodromic';
+  if (Math.abs(re - 4) <= 1e-6) {
+    const nearIdentity = abs(normalized.b) < 1e-6 && abs(normalized.c) < 1e-6 &&
+      abs(sub(normalized.a, normalized.d)) < 1e-6;
+    return nearIdentity ? 'identity' : 'parabolic';
+  }
+  return re < 4 ? 'elliptic' : 'hyperbolic';
+}
+
+// Solutions of cz^2 + (d - a)z - b = 0 as [re, im], with null standing for
+// the point at infinity. Empty for the identity, which fixes every point.
+function fixedPoints(m) {
+  const { a, b, c, d } = normalize(m);
+  const aMinusD = sub(a, d);
+
+  if (abs(c) < EPSILON) {
+    if (abs(aMinusD) < EPSILON) {
+      return abs(b) < EPSILON ? [] : [null];
+    }
+    return [div(b, sub(d, a)), null];
+  }
+
+  const root = sqrt(add(mul(aMinusD, aMinusD), scale(mul(b, c), 4)));
+  const twoC = scale(c, 2);
+  if (abs(root) < EPSILON) {
+    return [div(aMinusD, twoC)];
+  }
+  return [div(add(aMinusD, root), twoC), div(sub(aMinusD, root), twoC)];
+}
+
+// ---- Presets ----
+
+// Transform fixing 1 and -1 with multiplier k at 1: z -> kz conjugated by
+// the map z -> (z - 1) / (z + 1), which sends 1 to 0 and -1 to infinity
+function withMultiplier(k) {
+  const cayley = { a: [1, 0], b: [-1, 0], c: [1, 0], d: [1, 0] };
+  const root = sqrt(k);
+  const dilation = { a: root, b: [0, 0], c: [0, 0], d: div([1, 0], root) };
+  return normalize(multiply(inverse(cayley), multiply(dilation, cayley)));
+}
+
+const mobiusPresets = {
+  identity: {
+    label: 'Identity',
+    create: () => normalize(IDENTITY)
+  },
+  elliptic: {
+    label: 'Elliptic (rotation about ±1)',
+    create: () => withMultiplier(exp([0, Math.PI / 3]))
+  },
+  hyperbolic: {
+    label: 'Hyperbolic (flow from -1 to 1)',
+    create: () => withMultiplier([2, 0])
+  },
+  loxodromic: {
+    label: 'Loxodromic (spiral from -1 to 1)',
+    create: () => withMultiplier(scale(exp([0, Math.PI / 3]), 2))
+  },
+  parabolic: {
+    label: 'Parabolic (z / (z + 1))',
+    create: () => normalize({ a: [1, 0], b: [0, 0], c: [1, 0], d: [1, 0] })
+  },
+  inversion: {
+    label: 'Inversion (1 / z)',
+    create: () => normalize({ a: [0, 0], b: [1, 0], c: [1, 0], d: [0, 0] })
+  }
+};
+
+export {
+  IDENTITY,
+  mobiusPresets,
+  multiply,
+  inverse,
+  determinant,
+  isDegenerate,
+  normalize,
+  interpolate,
+  classify,
+  fixedPoints
+};
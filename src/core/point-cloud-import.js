@@ -0,0 +1,468 @@
+// Point cloud import: parse CSV, JSON, PLY and XYZ files into MetricVertex
+// arrays.
+//
+// Parsing produces a table ({ columns, rows }, each row { ref, values }
+// with `ref` a human-readable location such as "line 12"); tableToVertices
+// then maps columns onto x/y/z/weight/curvature. Malformed rows are skipped
+// and reported in `errors` ({ ref, message }) rather than thrown, so one bad
+// line does not lose the whole file. Only unreadable files (unknown format,
+// broken PLY header) throw.
+
+import { MetricVertex } from './metric-space-geometry.js';
+
+// ---- Table parsers ----
+
+function isNumeric(token) {
+  return token.trim() !== '' && Number.isFinite(Number(token));
+}
+
+// Split one CSV line, honouring double-quoted fields ("a, b" and "" escapes)
+function splitCsvLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+// Most frequent of comma, semicolon and tab in the first data line
+function detectDelimiter(line) {
+  let best = ',';
+  let bestCount = 0;
+  [',', ';', '\t'].forEach(delimiter => {
+    const count = line.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+// Lines that carry data: not blank and not # or // comments
+function dataLines(text) {
+  return text.split(/\r?\n/)
+    .map((content, index) => ({ content: content.trim(), number: index + 1 }))
+    .filter(({ content }) => content && !content.startsWith('#') && !content.startsWith('//'));
+}
+
+// Positional column names for headerless data: x, y, z, column4, ...
+function positionalColumns(count) {
+  return Array.from({ length: count }, (_, i) => ['x', 'y', 'z'][i] || `column${i + 1}`);
+}
+
+// CSV/TSV with an optional header row (detected by non-numeric fields)
+function parseCsv(text) {
+  const lines = dataLines(text);
+  if (!lines.length) return { columns: [], rows: [] };
+
+  const delimiter = detectDelimiter(lines[0].content);
+  const first = splitCsvLine(lines[0].content, delimiter);
+  const hasHeader = first.some(field => !isNumeric(field));
+  const columns = hasHeader ? first : positionalColumns(first.length);
+
+  const rows = lines.slice(hasHeader ? 1 : 0).map(({ content, number }) => ({
+    ref: `line ${number}`,
+    values: splitCsvLine(content, delimiter)
+  }));
+  return { columns, rows };
+}
+
+// Whitespace-separated x y z [more columns]. Also accepts the chemical XYZ
+// layout (atom count line, comment line, then "Element x y z" rows).
+function parseXyz(text) {
+  let lines = dataLines(text);
+
+  const firstTokens = lines.length ? lines[0].content.split(/\s+/) : [];
+  if (firstTokens.length === 1 && /^\d+$/.test(firstTokens[0]) && lines.length > 1) {
+    lines = lines.slice(2);
+  }
+
+  let width = 0;
+  const rows = lines.map(({ content, number }) => {
+    let values = content.split(/\s+/);
+    // Drop a leading element symbol
+    if (values.length > 3 && !isNumeric(values[0]) && values.slice(1, 4).every(isNumeric)) {
+      values = values.slice(1);
+    }
+    width = Math.max(width, values.length);
+    return { ref: `line ${number}`, values };
+  });
+
+  return { columns: positionalColumns(width), rows };
+}
+
+// Array of objects ({ x, y, z, ... } or { position: [x, y, z], ... }), array
+// of arrays, or either wrapped in { vertices } / { points }
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  if (data && !Array.isArray(data)) {
+    data = data.vertices || data.points;
+  }
+  if (!Array.isArray(data)) {
+    throw new Error('JSON point cloud must be an array, or an object with a "vertices" or "points" array');
+  }
+
+  const columns = [];
+  const columnIndex = new Map();
+  const addColumn = name => {
+    if (!columnIndex.has(name)) {
+      columnIndex.set(name, columns.length);
+      columns.push(name);
+    }
+    return columnIndex.get(name);
+  };
+
+  const rows = data.map((entry, index) => {
+    const values = [];
+    if (Array.isArray(entry)) {
+      positionalColumns(entry.length).forEach((name, i) => {
+        values[addColumn(name)] = entry[i];
+      });
+    } else if (entry && typeof entry === 'object') {
+      Object.entries(entry).forEach(([key, value]) => {
+        if (Array.isArray(value) && ['position', 'pos', 'p'].includes(key)) {
+          ['x', 'y', 'z'].forEach((axis, i) => {
+            values[addColumn(axis)] = value[i];
+          });
+        } else {
+          values[addColumn(key)] = value;
+        }
+      });
+    }
+    return { ref: `entry ${index + 1}`, values };
+  });
+
+  return { columns, rows };
+}
+
+const PLY_TYPES = {
+  char: { size: 1, read: 'getInt8' },
+  int8: { size: 1, read: 'getInt8' },
+  uchar: { size: 1, read: 'getUint8' },
+  uint8: { size: 1, read: 'getUint8' },
+  short: { size: 2, read: 'getInt16' },
+  int16: { size: 2, read: 'getInt16' },
+  ushort: { size: 2, read: 'getUint16' },
+  uint16: { size: 2, read: 'getUint16' },
+  int: { size: 4, read: 'getInt32' },
+  int32: { size: 4, read: 'getInt32' },
+  uint: { size: 4, read: 'getUint32' },
+  uint32: { size: 4, read: 'getUint32' },
+  float: { size: 4, read: 'getFloat32' },
+  float32: { size: 4, read: 'getFloat32' },
+  double: { size: 8, read: 'getFloat64' },
+  float64: { size: 8, read: 'getFloat64' }
+};
+
+function plyType(name) {
+  const type = PLY_TYPES[name];
+  if (!type) {
+    throw new Error(`Unsupported PLY property type: ${name}`);
+  }
+  return type;
+}
+
+// Header of a PLY file: format, elements with their properties, and the
+// byte offset where the body starts
+function parsePlyHeader(bytes) {
+  const text = new TextDecoder().decode(bytes.subarray(0, Math.min(bytes.length, 65536)));
+  const match = /end_header\r?\n/.exec(text);
+  if (!text.startsWith('ply') || !match) {
+    throw new Error('Not a PLY file (missing "ply" magic or "end_header")');
+  }
+
+  const header = { format: null, elements: [], bodyOffset: 0 };
+  header.bodyOffset = new TextEncoder().encode(text.slice(0, match.index + match[0].length)).length;
+
+  text.slice(0, match.index).split(/\r?\n/).forEach(line => {
+    const tokens = line.trim().split(/\s+/);
+    if (tokens[0] === 'format') {
+      header.format = tokens[1];
+    } else if (tokens[0] === 'element') {
+      header.elements.push({ name: tokens[1], count: parseInt(tokens[2], 10), properties: [] });
+    } else if (tokens[0] === 'property') {
+      const element = header.elements[header.elements.length - 1];
+      if (!element) {
+        throw new Error('PLY property declared before any element');
+      }
+      element.properties.push(tokens[1] === 'list'
+        ? { name: tokens[4], list: true, countType: plyType(tokens[2]), itemType: plyType(tokens[3]) }
+        : { name: tokens[2], list: false, type: plyType(tokens[1]) });
+    }
+  });
+
+  if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(header.format)) {
+    throw new Error(`Unsupported PLY format: ${header.format}`);
+  }
+  if (!header.elements.some(element => element.name === 'vertex')) {
+    throw new Error('PLY file has no vertex element');
+  }
+  return header;
+}
+
+// ASCII or binary PLY; reads the scalar properties of the vertex element
+// (elements declared before it are skipped)
+function parsePly(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const header = parsePlyHeader(bytes);
+  const vertexElement = header.elements.find(element => element.name === 'vertex');
+  const columns = vertexElement.properties.filter(p => !p.list).map(p => p.name);
+  const rows = [];
+  const errors = [];
+
+  if (header.format === 'ascii') {
+    const lines = new TextDecoder().decode(bytes.subarray(header.bodyOffset))
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(Boolean);
+    let cursor = 0;
+
+    for (const element of header.elements) {
+      if (element !== vertexElement) {
+        cursor += element.count;
+        continue;
+      }
+      for (let n = 0; n < element.count; n++, cursor++) {
+        if (cursor >= lines.length) {
+          errors.push({ ref: `vertex ${n + 1}`, message: `file ends after ${n} of ${element.count} vertices` });
+          break;
+        }
+        // Scalars come first in the usual layout; list properties are skipped
+        const tokens = lines[cursor].split(/\s+/);
+        const values = [];
+        let t = 0;
+        element.properties.forEach(property => {
+          if (property.list) {
+            t += 1 + parseInt(tokens[t], 10);
+          } else {
+            values.push(tokens[t++]);
+          }
+        });
+        rows.push({ ref: `vertex ${n + 1}`, values });
+      }
+      break;
+    }
+    return { columns, rows, errors };
+  }
+
+  const view = new DataView(buffer);
+  const littleEndian = header.format === 'binary_little_endian';
+  let offset = header.bodyOffset;
+  const read = type => {
+    const value = view[type.read](offset, littleEndian);
+    offset += type.size;
+    return value;
+  };
+
+  try {
+    for (const element of header.elements) {
+      for (let n = 0; n < element.count; n++) {
+        const values = [];
+        element.properties.forEach(property => {
+          if (property.list) {
+            const count = read(property.countType);
+            for (let k = 0; k < count; k++) read(property.itemType);
+          } else {
+            values.push(read(property.type));
+          }
+        });
+        if (element === vertexElement) {
+          rows.push({ ref: `vertex ${n + 1}`, values });
+        }
+      }
+      if (element === vertexElement) break;
+    }
+  } catch (error) {
+    // DataView throws a RangeError when reading past the end
+    errors.push({
+      ref: `vertex ${rows.length + 1}`,
+      message: `file ends after ${rows.length} of ${vertexElement.count} vertices`
+    });
+  }
+
+  return { columns, rows, errors };
+}
+
+// Supported formats. `binary` parsers take an ArrayBuffer, the others text.
+const importFormats = {
+  csv: { label: 'CSV', extensions: ['csv', 'tsv'], binary: false, parse: parseCsv },
+  json: { label: 'JSON', extensions: ['json'], binary: false, parse: parseJson },
+  ply: { label: 'PLY', extensions: ['ply'], binary: true, parse: parsePly },
+  xyz: { label: 'XYZ', extensions: ['xyz', 'pts', 'txt'], binary: false, parse: parseXyz }
+};
+
+// Format key for a file name, by extension, or null
+function formatForFile(fileName) {
+  const extension = String(fileName).split('.').pop().toLowerCase();
+  const entry = Object.entries(importFormats).find(([, format]) => format.extensions.includes(extension));
+  return entry ? entry[0] : null;
+}
+
+// ---- Column mapping ----
+
+// Index of a column by case-insensitive name, or -1
+function findColumn(columns, name) {
+  if (!name) return -1;
+  const wanted = String(name).trim().toLowerCase();
+  return columns.findIndex(column => String(column).trim().toLowerCase() === wanted);
+}
+
+// Translate positions so their centroid is at the origin and/or scale them
+// about the centroid so the farthest lies at `radius`
+function normalizePositions(positions, { center, normalize, radius }) {
+  if (!positions.length) return positions;
+
+  const n = positions.length;
+  const centroid = positions.reduce((acc, p) => ({
+    x: acc.x + p.x / n, y: acc.y + p.y / n, z: acc.z + p.z / n
+  }), { x: 0, y: 0, z: 0 });
+
+  let scale = 1;
+  if (normalize && radius > 0) {
+    const extent = positions.reduce((max, p) =>
+      Math.max(max, Math.hypot(p.x - centroid.x, p.y - centroid.y, p.z - centroid.z)), 0);
+    scale = extent > 0 ? radius / extent : 1;
+  }
+
+  const target = center ? { x: 0, y: 0, z: 0 } : centroid;
+  return positions.map(p => ({
+    x: target.x + (p.x - centroid.x) * scale,
+    y: target.y + (p.y - centroid.y) * scale,
+    z: target.z + (p.z - centroid.z) * scale
+  }));
+}
+
+// Map a parsed table onto MetricVertex objects.
+//
+// options: {
+//   weightColumn, curvatureColumn   column names ('' for none)
+//   defaultWeight, defaultCurvature used when the column is missing
+//   center, normalize, radius       see normalizePositions
+// }
+// Position columns are named x/y/z, or else the first three columns.
+function tableToVertices(table, options = {}) {
+  const errors = [...(table.errors || [])];
+  const warnings = [];
+  const { columns, rows } = table;
+
+  let axes = ['x', 'y', 'z'].map(axis => findColumn(columns, axis));
+  if (axes.some(index => index < 0)) {
+    if (columns.length < 3) {
+      throw new Error(`Need at least 3 columns for positions, found ${columns.length}`);
+    }
+    axes = [0, 1, 2];
+    warnings.push(`No x/y/z columns; using "${columns[0]}", "${columns[1]}", "${columns[2]}" as positions`);
+  }
+
+  const optionalColumn = (name, label, fallback) => {
+    const index = findColumn(columns, name);
+    if (name && index < 0) {
+      warnings.push(`No "${name}" column; using the default ${label} ${fallback}`);
+    }
+    return index;
+  };
+  const defaultWeight = options.defaultWeight ?? 1;
+  const defaultCurvature = options.defaultCurvature ?? 0;
+  const weightIndex = optionalColumn(options.weightColumn, 'weight', defaultWeight);
+  const curvatureIndex = optionalColumn(options.curvatureColumn, 'curvature', defaultCurvature);
+
+  const positions = [];
+  const attributes = [];
+  const needed = Math.max(...axes) + 1;
+  rows.forEach(({ ref, values }) => {
+    if (values.length < needed) {
+      errors.push({ ref, message: `expected at least ${needed} columns, found ${values.length}` });
+      return;
+    }
+
+    const number = (index, label) => {
+      const value = Number(values[index]);
+      if (values[index] === '' || values[index] === null || !Number.isFinite(value)) {
+        errors.push({ ref, message: `${label} is not a number (${JSON.stringify(values[index])})` });
+        return null;
+      }
+      return value;
+    };
+    // Optional columns fall back to the default where a row leaves them empty
+    const optional = (index, label, fallback) => {
+      const raw = index >= 0 ? values[index] : undefined;
+      return raw === undefined || raw === null || raw === '' ? fallback : number(index, label);
+    };
+
+    const [x, y, z] = axes.map((index, i) => number(index, ['x', 'y', 'z'][i]));
+    const weight = optional(weightIndex, 'weight', defaultWeight);
+    const curvature = optional(curvatureIndex, 'curvature', defaultCurvature);
+    if ([x, y, z, weight, curvature].includes(null)) return;
+
+    positions.push({ x, y, z });
+    attributes.push({ weight, curvature });
+  });
+
+  const placed = normalizePositions(positions, {
+    center: options.center,
+    normalize: options.normalize,
+    radius: options.radius
+  });
+  const vertices = placed.map((p, i) =>
+    new MetricVertex(p.x, p.y, p.z, attributes[i].weight, attributes[i].curvature));
+
+  return {
+    vertices,
+    errors,
+    warnings,
+    mapping: {
+      x: columns[axes[0]],
+      y: columns[axes[1]],
+      z: columns[axes[2]],
+      weight: weightIndex >= 0 ? columns[weightIndex] : null,
+      curvature: curvatureIndex >= 0 ? columns[curvatureIndex] : null
+    }
+  };
+}
+
+// Parse file contents (text, or an ArrayBuffer for binary formats) of a
+// format key from importFormats
+function parsePointCloud(format, data) {
+  const entry = importFormats[format];
+  if (!entry) {
+    throw new Error(`Unknown point cloud format: ${format}`);
+  }
+  const table = entry.parse(data);
+  return { ...table, errors: table.errors || [] };
+}
+
+export {
+  importFormats,
+  formatForFile,
+  parsePointCloud,
+  tableToVertices,
+  normalizePositions
+};
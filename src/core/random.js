@@ -0,0 +1,27 @@
+// Seedable pseudo-random numbers, so generated configurations can be
+// reproduced from their seed.
+//
+// createRandom(seed) returns a function yielding floats in [0, 1) like
+// Math.random, using the mulberry32 generator (32-bit state; the seed is
+// truncated to an unsigned 32-bit integer).
+
+const MAX_SEED = 0xffffffff;
+
+function createRandom(seed) {
+  let state = Math.floor(Number(seed) || 0) >>> 0;
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A fresh seed for "new random configuration" actions
+function randomSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+export { createRandom, randomSeed, MAX_SEED };
@@ -0,0 +1,118 @@
+// Generic registry of named, parameterised entries.
+//
+// Each entry has a label, a parameter schema and one required function
+// (e.g. `distance` for metrics, `point` for curve interpolators).
+// Parameter keys are flat StateStore config keys so they can be bound to
+// GUI controllers and passed straight into MetricSpaceGeometry.
+//
+// Schema entry: { default, min, max, step, label }
+
+class Registry {
+  constructor(kind, requiredFunction) {
+    this.kind = kind;
+    this.requiredFunction = requiredFunction;
+    this.entries = new Map();
+    this.listeners = [];
+  }
+
+  // Register (or replace) an entry definition
+  register(name, definition) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error(`${this.kind} name must be a non-empty string`);
+    }
+    if (!definition || typeof definition[this.requiredFunction] !== 'function') {
+      throw new Error(`${this.kind} "${name}" must provide a ${this.requiredFunction}() function`);
+    }
+
+    this.entries.set(name, {
+      ...definition,
+      name,
+      label: definition.label || name,
+      params: definition.params || {}
+    });
+    this.notify(name);
+
+    return this;
+  }
+
+  // Remove an entry from the registry
+  unregister(name) {
+    const removed = this.entries.delete(name);
+    if (removed) {
+      this.notify(name);
+    }
+    return removed;
+  }
+
+  // Be told the name of every entry registered or removed, e.g. to rebuild
+  // an option list; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notify(name) {
+    this.listeners.forEach(listener => listener(name));
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  // Look up an entry, throwing for unknown names
+  get(name) {
+    const entry = this.entries.get(name);
+    if (!entry) {
+      throw new Error(`Unknown ${this.kind.toLowerCase()}: ${name}`);
+    }
+    return entry;
+  }
+
+  // Names of all registered entries, in registration order
+  list() {
+    return Array.from(this.entries.keys());
+  }
+
+  // Map of label -> name, as used by dat.GUI option controllers
+  options() {
+    const options = {};
+    this.entries.forEach(entry => {
+      options[entry.label] = entry.name;
+    });
+    return options;
+  }
+
+  // Default parameter values for an entry
+  defaultParams(name) {
+    const params = {};
+    Object.entries(this.get(name).params).forEach(([key, schema]) => {
+      params[key] = schema.default;
+    });
+    return params;
+  }
+
+  // Pick an entry's parameters out of a config object, falling back to defaults
+  resolveParams(name, config = {}) {
+    const params = this.defaultParams(name);
+    Object.keys(params).forEach(key => {
+      if (typeof config[key] === 'number') {
+        params[key] = config[key];
+      }
+    });
+    return params;
+  }
+
+  // Whether a config key is a parameter of any registered entry
+  isParam(key) {
+    for (const entry of this.entries.values()) {
+      if (Object.prototype.hasOwnProperty.call(entry.params, key)) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+export { Registry };
@@ -0,0 +1,294 @@
+// Versioned session documents: everything needed to restore a scene.
+//
+//   {
+//     format: 'metric-space-session',
+//     version: SESSION_VERSION,
+//     savedAt: ISO date string,
+//     config: StateStore config (minus TRANSIENT_KEYS),
+//     renderMode: 'points' | 'mesh',
+//     vertices: [[x, y, z, weight, curvature], ...],
+//     connectivity: { edges: [[i, j]], edgeTypes: [], edgeDistances: [] },
+//     uniforms: { points, lines, surface },  uniform name -> JSON value
+//     camera: { position, target, up: [x, y, z], fov, zoom }
+//   }
+//
+// Older documents are upgraded one version at a time by the registered
+// migrations before they are validated. Names in the config (metric, graph
+// mode, curves, generators, shader stages, ...) must be registered in this
+// build.
+
+import metrics from './metrics.js';
+import curves, { edgeAttributes } from './curve-interpolators.js';
+import generators, { VertexFields } from './vertex-generators.js';
+import stages, { defaultPipeline } from './shader-pipeline.js';
+import { graphModes } from './graph-construction.js';
+import { triangulationMethods } from './triangulation.js';
+import { chladniPlates } from './chladni.js';
+import { vertexAttributes, colormaps } from './vertex-attributes.js';
+
+const SESSION_FORMAT = 'metric-space-session';
+const SESSION_VERSION = 5;
+
+// Interaction modes that should not come back on load
+const TRANSIENT_KEYS = ['sculptEnabled', 'editEnabled'];
+
+// Uniforms that depend on the running page rather than the scene
+const RUNTIME_UNIFORMS = ['uTime', 'u_resolution'];
+
+// fromVersion -> function(document) returning the next version's document
+const migrations = new Map();
+
+function registerMigration(fromVersion, migrate) {
+  if (typeof migrate !== 'function') {
+    throw new Error(`Migration from session version ${fromVersion} must be a function`);
+  }
+  migrations.set(fromVersion, migrate);
+}
+
+// Version 1: the shaders had a fixed noise -> Möbius -> Chladni chain with
+// uUseClassicalMobius choosing the Möbius variant
+registerMigration(1, document => {
+  const { uUseClassicalMobius, ...config } = document.config;
+  const mobius = uUseClassicalMobius === false ? 'enhancedMobius' : 'classicalMobius';
+  return {
+    ...document,
+    version: 2,
+    config: {
+      ...config,
+      shaderPipeline: defaultPipeline().map(entry => ({
+        ...entry,
+        enabled: ['noise', mobius, 'chladni'].includes(entry.stage)
+      }))
+    }
+  };
+});
+
+// Version 2: the Möbius coefficients were only shader uniforms (fixed at
+// the identity) with no setting behind them
+registerMigration(2, document => {
+  const uniforms = (document.uniforms && document.uniforms.points) || {};
+  const coefficient = (name, fallback) => (Array.isArray(uniforms[name]) ? uniforms[name] : fallback);
+  return {
+    ...document,
+    version: 3,
+    config: {
+      ...document.config,
+      mobiusCoefficients: {
+        a: coefficient('uA', [1, 0]),
+        b: coefficient('uB', [0, 0]),
+        c: coefficient('uC', [0, 0]),
+        d: coefficient('uD', [1, 0])
+      }
+    }
+  };
+});
+
+// Version 3: the Chladni stage was always the sine product of
+// uChladniFrequencyX/Y
+registerMigration(3, document => ({
+  ...document,
+  version: 4,
+  config: { ...document.config, chladniPlate: 'sine' }
+}));
+
+// Version 4: points were coloured from the placeholder uniforms only
+registerMigration(4, document => ({
+  ...document,
+  version: 5,
+  config: { ...document.config, vertexColorAttribute: 'none' }
+}));
+
+// JSON form of a uniform value (vectors as arrays, colours as hex)
+function serializeUniformValue(value) {
+  if (value && value.isColor) return value.getHex();
+  if (value && typeof value.toArray === 'function') return value.toArray();
+  if (typeof value === 'number' || typeof value === 'boolean') return value;
+  return undefined;
+}
+
+// name -> JSON value for a ShaderMaterial's uniforms, skipping runtime ones
+function serializeUniforms(uniforms) {
+  const values = {};
+  Object.entries(uniforms || {}).forEach(([name, uniform]) => {
+    if (RUNTIME_UNIFORMS.includes(name)) return;
+    const value = serializeUniformValue(uniform.value);
+    if (value !== undefined) {
+      values[name] = value;
+    }
+  });
+  return values;
+}
+
+// Write saved values back into existing uniforms, in place
+function restoreUniforms(uniforms, values) {
+  if (!uniforms || !values) return;
+  Object.entries(values).forEach(([name, value]) => {
+    const uniform = uniforms[name];
+    if (!uniform || RUNTIME_UNIFORMS.includes(name)) return;
+
+    if (uniform.value && uniform.value.isColor) {
+      uniform.value.setHex(value);
+    } else if (uniform.value && typeof uniform.value.fromArray === 'function' && Array.isArray(value)) {
+      uniform.value.fromArray(value);
+    } else if (typeof value === typeof uniform.value) {
+      uniform.value = value;
+    }
+  });
+}
+
+function createSessionDocument({ config, renderMode, vertices, connectivity, uniforms, camera }) {
+  const savedConfig = { ...config };
+  TRANSIENT_KEYS.forEach(key => delete savedConfig[key]);
+
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    config: savedConfig,
+    renderMode,
+    vertices: vertices.map(v => [v.x, v.y, v.z, v.weight, v.curvature]),
+    connectivity: {
+      edges: connectivity.edges.map(([i, j]) => [i, j]),
+      edgeTypes: [...connectivity.edgeTypes],
+      edgeDistances: [...connectivity.edgeDistances]
+    },
+    uniforms,
+    camera
+  };
+}
+
+// Whether parsed JSON looks like a session document (any version)
+function isSessionDocument(document) {
+  return !!document && typeof document === 'object' && document.format === SESSION_FORMAT;
+}
+
+const inTable = table => name => typeof name === 'string' && Object.prototype.hasOwnProperty.call(table, name);
+const inRegistry = registry => name => registry.has(name);
+const attributeOrNone = name => name === 'none' || inTable(vertexAttributes)(name);
+
+// Config keys naming an entry of a registry or option table, with the check
+// whether this build knows the name
+const NAMED_KEYS = {
+  metric: inRegistry(metrics),
+  graphMode: inTable(graphModes),
+  vertexGenerator: inRegistry(generators),
+  weightField: inRegistry(VertexFields),
+  curvatureField: inRegistry(VertexFields),
+  meshTriangulation: inTable(triangulationMethods),
+  chladniPlate: inTable(chladniPlates),
+  vertexColormap: inTable(colormaps),
+  vertexColorAttribute: attributeOrNone,
+  vertexSizeAttribute: attributeOrNone,
+  vertexOpacityAttribute: attributeOrNone
+};
+
+// Throws when a config names something this build does not have. Missing
+// keys keep their current values and are not checked.
+function validateConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Session has no config object');
+  }
+
+  Object.entries(NAMED_KEYS).forEach(([key, has]) => {
+    if (config[key] !== undefined && !has(config[key])) {
+      throw new Error(`Unknown ${key} "${config[key]}" in session config`);
+    }
+  });
+
+  const { curveMapping, shaderPipeline } = config;
+  if (curveMapping !== undefined) {
+    if (!curveMapping || !inTable(edgeAttributes)(curveMapping.attribute)) {
+      throw new Error(`Unknown curve mapping attribute "${curveMapping && curveMapping.attribute}" in session config`);
+    }
+    if (!Array.isArray(curveMapping.bands) || !curveMapping.bands.length) {
+      throw new Error('Session curve mapping has no bands');
+    }
+    curveMapping.bands.forEach(band => {
+      if (!band || !curves.has(band.curve)) {
+        throw new Error(`Unknown curve type "${band && band.curve}" in session curve mapping`);
+      }
+      if (band.max !== undefined && band.max !== null && !Number.isFinite(band.max)) {
+        throw new Error('Session curve mapping band bounds must be numbers');
+      }
+    });
+  }
+  if (shaderPipeline !== undefined) {
+    if (!Array.isArray(shaderPipeline)) {
+      throw new Error('Session shader pipeline must be an array');
+    }
+    shaderPipeline.forEach(entry => {
+      if (!entry || !stages.has(entry.stage)) {
+        throw new Error(`Unknown shader stage "${entry && entry.stage}" in session pipeline`);
+      }
+    });
+  }
+}
+
+function validateSession(document) {
+  validateConfig(document.config);
+  if (document.vertices !== null) {
+    if (!Array.isArray(document.vertices) || !document.vertices.length) {
+      throw new Error('Session vertices must be a non-empty array');
+    }
+    const bad = document.vertices.findIndex(v =>
+      !Array.isArray(v) || v.length !== 5 || !v.every(Number.isFinite));
+    if (bad >= 0) {
+      throw new Error(`Session vertex ${bad} is not [x, y, z, weight, curvature]`);
+    }
+  }
+  if (document.connectivity) {
+    const { edges, edgeTypes, edgeDistances } = document.connectivity;
+    const count = document.vertices ? document.vertices.length : 0;
+    if (!Array.isArray(edges) || edgeTypes.length !== edges.length || edgeDistances.length !== edges.length) {
+      throw new Error('Session connectivity arrays have mismatched lengths');
+    }
+    if (edges.some(([i, j]) => !(i >= 0 && i < count && j >= 0 && j < count))) {
+      throw new Error('Session edges refer to missing vertices');
+    }
+  }
+}
+
+// Upgrade a parsed document to SESSION_VERSION and validate it
+function migrateSession(document) {
+  if (!document || typeof document !== 'object') {
+    throw new Error('Session must be a JSON object');
+  }
+
+  if (!isSessionDocument(document)) {
+    throw new Error(`Not a ${SESSION_FORMAT} document`);
+  }
+
+  let current = document;
+  let version = current.version;
+  if (!Number.isInteger(version) || version > SESSION_VERSION) {
+    throw new Error(`Unsupported session version ${version} (this build reads up to ${SESSION_VERSION})`);
+  }
+
+  while (version < SESSION_VERSION) {
+    const migrate = migrations.get(version);
+    if (!migrate) {
+      throw new Error(`No migration from session version ${version}`);
+    }
+    current = migrate(current);
+    if (!current || current.version <= version) {
+      throw new Error(`Migration from session version ${version} did not advance the version`);
+    }
+    version = current.version;
+  }
+
+  validateSession(current);
+  return current;
+}
+
+export {
+  SESSION_FORMAT,
+  SESSION_VERSION,
+  TRANSIENT_KEYS,
+  registerMigration,
+  serializeUniforms,
+  restoreUniforms,
+  createSessionDocument,
+  isSessionDocument,
+  validateConfig,
+  migrateSession
+};
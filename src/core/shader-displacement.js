@@ -0,0 +1,246 @@
+// CPU versions of the vertex shader displacements, so exported geometry can
+// carry the shape seen on screen at a given uTime.
+//
+// The transformations mirror shaders/chunks/transformStages.glsl and are
+// chained by the stage registry in shader-pipeline.js (displacePoint);
+// displaceSurfacePoint mirrors the normal displacement in
+// surfaceVertexShader.glsl. `u` is a plain map of uniform name -> value
+// (see uniformValues). Keep these in sync with the shaders.
+
+import { chladniPlates, chladniField } from './chladni.js';
+
+// ---- Simplex noise (port of the Ashima Arts GLSL implementation) ----
+
+function mod289(x) {
+  return x - Math.floor(x * (1.0 / 289.0)) * 289.0;
+}
+
+function permute(x) {
+  return mod289(((x * 34.0) + 1.0) * x);
+}
+
+function taylorInvSqrt(r) {
+  return 1.79284291400159 - 0.85373472095314 * r;
+}
+
+// 3D simplex noise, as snoise(vec3) in the shaders
+function snoise(vx, vy, vz) {
+  const C_X = 1.0 / 6.0;
+  const C_Y = 1.0 / 3.0;
+
+  // First corner
+  const skew = (vx + vy + vz) * C_Y;
+  let ix = Math.floor(vx + skew);
+  let iy = Math.floor(vy + skew);
+  let iz = Math.floor(vz + skew);
+  const unskew = (ix + iy + iz) * C_X;
+  const x0 = vx - ix + unskew;
+  const y0 = vy - iy + unskew;
+  const z0 = vz - iz + unskew;
+
+  // Other corners: g = step(x0.yzx, x0.xyz), l = 1 - g
+  const gx = x0 >= y0 ? 1 : 0;
+  const gy = y0 >= z0 ? 1 : 0;
+  const gz = z0 >= x0 ? 1 : 0;
+  const lx = 1 - gx;
+  const ly = 1 - gy;
+  const lz = 1 - gz;
+  const i1 = [Math.min(gx, lz), Math.min(gy, lx), Math.min(gz, ly)];
+  const i2 = [Math.max(gx, lz), Math.max(gy, lx), Math.max(gz, ly)];
+
+  const corners = [
+    [x0, y0, z0],
+    [x0 - i1[0] + C_X, y0 - i1[1] + C_X, z0 - i1[2] + C_X],
+    [x0 - i2[0] + C_Y, y0 - i2[1] + C_Y, z0 - i2[2] + C_Y],
+    [x0 - 0.5, y0 - 0.5, z0 - 0.5]
+  ];
+  const offsets = [[0, 0, 0], i1, i2, [1, 1, 1]];
+
+  // Permutations
+  ix = mod289(ix);
+  iy = mod289(iy);
+  iz = mod289(iz);
+
+  // Gradients: 7x7 points over a square, mapped onto an octahedron
+  // 1.0/7.0 rounded to float32 as on the GPU; in double precision
+  // floor(7.0 * n_) would give 0 and pick out-of-range gradients
+  const n_ = Math.fround(0.142857142857);
+  const nsX = n_ * 2.0;
+  const nsY = n_ * 0.5 - 1.0;
+  const nsZ = n_;
+
+  let sum = 0;
+  for (let k = 0; k < 4; k++) {
+    const [ox, oy, oz] = offsets[k];
+    const p = permute(permute(permute(iz + oz) + iy + oy) + ix + ox);
+
+    const j = p - 49.0 * Math.floor(p * nsZ * nsZ);
+    const gridX = Math.floor(j * nsZ);
+    const gridY = Math.floor(j - 7.0 * gridX);
+    const x = gridX * nsX + nsY;
+    const y = gridY * nsX + nsY;
+    const h = 1.0 - Math.abs(x) - Math.abs(y);
+
+    const sh = h <= 0 ? -1 : 0;
+    let gradX = x + (Math.floor(x) * 2.0 + 1.0) * sh;
+    let gradY = y + (Math.floor(y) * 2.0 + 1.0) * sh;
+    let gradZ = h;
+
+    // Normalise gradients
+    const norm = taylorInvSqrt(gradX * gradX + gradY * gradY + gradZ * gradZ);
+    gradX *= norm;
+    gradY *= norm;
+    gradZ *= norm;
+
+    const [cx, cy, cz] = corners[k];
+    let m = Math.max(0.6 - (cx * cx + cy * cy + cz * cz), 0.0);
+    m *= m;
+    sum += m * m * (gradX * cx + gradY * cy + gradZ * cz);
+  }
+
+  return 42.0 * sum;
+}
+
+// ---- Complex number operations ----
+
+function complexMul(a, b) {
+  return { x: a.x * b.x - a.y * b.y, y: a.x * b.y + a.y * b.x };
+}
+
+// Same guard as the shaders: a large but finite value near a pole
+function complexDiv(a, b) {
+  const denominator = b.x * b.x + b.y * b.y;
+  if (denominator < 0.0001) {
+    const magnitude = Math.sqrt(a.x * a.x + a.y * a.y);
+    if (magnitude < 0.0001) return { x: 0, y: 0 };
+    const scale = 1000.0 / magnitude;
+    return { x: a.x * scale, y: a.y * scale };
+  }
+  return {
+    x: (a.x * b.x + a.y * b.y) / denominator,
+    y: (a.y * b.x - a.x * b.y) / denominator
+  };
+}
+
+// ---- Transformations (see the GLSL functions of the same names) ----
+
+function applyNoiseDisplacement(p, u, time) {
+  return {
+    x: p.x + snoise(p.x * 0.2, p.y * 0.2, time * 0.1) * u.uNoiseScale,
+    y: p.y + snoise(p.x * 0.2, p.y * 0.2, time * 0.15 + 100.0) * u.uNoiseScale,
+    z: p.z + snoise(p.x * 0.2, p.y * 0.2, time * 0.05 + 200.0) * u.uNoiseScale * 0.5
+  };
+}
+
+// Returns { x, y, z } with z unchanged (the shader maps pos.xy only)
+function applyClassicalMobius(p, u, time) {
+  const timePhase = time * u.uAnimationSpeed;
+  const a = {
+    x: u.uA.x * Math.cos(timePhase) - u.uA.y * Math.sin(timePhase),
+    y: u.uA.x * Math.sin(timePhase) + u.uA.y * Math.cos(timePhase)
+  };
+
+  const z = { x: p.x, y: p.y };
+  const numerator = complexMul(a, z);
+  numerator.x += u.uB.x;
+  numerator.y += u.uB.y;
+  const denominator = complexMul(u.uC, z);
+  denominator.x += u.uD.x;
+  denominator.y += u.uD.y;
+
+  const w = complexDiv(numerator, denominator);
+  return { x: w.x, y: w.y, z: p.z };
+}
+
+// rotX * rotY * rotZ * pos; the GLSL mat3 constructors are column-major
+function applyEnhancedMobius(p, u, time) {
+  const distanceFromOrigin = Math.hypot(p.x, p.y);
+  const noiseFactor = snoise(p.x * 0.2, p.y * 0.2, 0.0) * u.uNoiseScale;
+
+  let twistAngle = u.uMobiusFactor * distanceFromOrigin;
+  twistAngle *= (1.0 + 0.5 * Math.sin(p.z * 0.5));
+  twistAngle += time * 0.1 * (1.0 + noiseFactor);
+
+  const secondaryAngle = u.uMobiusFactor * 0.5 * (
+    Math.sin(distanceFromOrigin) +
+    snoise(p.x * 0.1 + time * 0.05, p.y * 0.1, 0.0) * u.uNoiseScale * 0.5
+  );
+  const xAngle = u.uMobiusFactor * 0.3 * snoise(p.x * 0.15, time * 0.05, 0.0) * u.uNoiseScale;
+
+  const cosZ = Math.cos(twistAngle);
+  const sinZ = Math.sin(twistAngle);
+  const rz = { x: cosZ * p.x + sinZ * p.y, y: -sinZ * p.x + cosZ * p.y, z: p.z };
+
+  const cosY = Math.cos(secondaryAngle);
+  const sinY = Math.sin(secondaryAngle);
+  const ry = { x: cosY * rz.x - sinY * rz.z, y: rz.y, z: sinY * rz.x + cosY * rz.z };
+
+  const cosX = Math.cos(xAngle);
+  const sinX = Math.sin(xAngle);
+  return { x: ry.x, y: cosX * ry.y + sinX * ry.z, z: -sinX * ry.y + cosX * ry.z };
+}
+
+function chladniHeight(p, u, time) {
+  const baseZ = chladniField(u, p.x, p.y, time);
+  const noise = snoise(p.x * 0.1, p.y * 0.1, time * 0.05);
+  return u.uChladniAmplitude * (baseZ + noise * u.uNoiseScale);
+}
+
+function applyTwist(p, u, time) {
+  const angle = u.uTwistAmount * p.z + time * 0.1 * u.uAnimationSpeed;
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  return { x: c * p.x - s * p.y, y: s * p.x + c * p.y, z: p.z };
+}
+
+function applyRadialWarp(p, u, time) {
+  const r = Math.hypot(p.x, p.y);
+  const scale = 1.0 + u.uRadialWarpAmount * Math.sin(u.uRadialWarpFrequency * r - time * u.uAnimationSpeed);
+  return { x: p.x * scale, y: p.y * scale, z: p.z };
+}
+
+// surfacePlatePosition() of surfaceVertexShader.glsl
+function surfacePlatePosition(uv, u) {
+  if (u.uChladniPlate === chladniPlates.sine.id) return [uv.x * 2 * Math.PI, uv.y * 2 * Math.PI];
+  if (u.uChladniPlate === chladniPlates.square.id) {
+    return [(uv.x - 0.5) * u.uChladniPlateSize, (uv.y - 0.5) * u.uChladniPlateSize];
+  }
+  const angle = uv.x * 2 * Math.PI;
+  const radius = uv.y * u.uChladniPlateSize;
+  return [radius * Math.cos(angle), radius * Math.sin(angle)];
+}
+
+// Surface vertex moved along its normal by the UV-space Chladni pattern,
+// before the transform pipeline
+function displaceSurfacePoint(p, normal, uv, u, time) {
+  const t = time * u.uAnimationSpeed;
+  const [px, py] = surfacePlatePosition(uv, u);
+  const chladni = chladniField(u, px, py, t);
+  const offset = chladni * u.uChladniAmplitude * u.uSurfaceDisplacement;
+  return {
+    x: p.x + normal.x * offset,
+    y: p.y + normal.y * offset,
+    z: p.z + normal.z * offset
+  };
+}
+
+// Plain name -> value map of a ShaderMaterial's uniforms
+function uniformValues(uniforms) {
+  const values = {};
+  Object.entries(uniforms).forEach(([name, uniform]) => {
+    values[name] = uniform.value;
+  });
+  return values;
+}
+
+export {
+  snoise,
+  applyNoiseDisplacement,
+  applyClassicalMobius,
+  applyEnhancedMobius,
+  chladniHeight,
+  applyTwist,
+  applyRadialWarp,
+  displaceSurfacePoint,
+  uniformValues
+};
@@ -0,0 +1,205 @@
+// Composable vertex transform pipeline shared by the point, line and
+// surface shaders.
+//
+// Each stage is registered with:
+//   apply(p, u, time)  CPU version of the stage (see shader-displacement.js),
+//                      used when baking the displacement into exports
+//   glsl               name of its `vec3 stage(vec3 pos, float time)`
+//                      function (built-ins live in
+//                      shaders/chunks/transformStages.glsl)
+//   source             optional GLSL defining that function, for stages
+//                      registered from outside
+//   uniforms           extra float uniforms the stage reads, as
+//                      uniform name -> config key (one of `params`)
+//   params             parameter schema, as for the other registries
+//
+// The pipeline itself is the `shaderPipeline` config value: an ordered list
+// of { stage, enabled, weight }. Every enabled stage replaces the position
+// with mix(pos, stage(pos), weight). Weights are uniforms (u<Stage>Weight);
+// changing the order or the enabled set recompiles the shaders.
+
+import { Registry } from './registry.js';
+import {
+  applyNoiseDisplacement,
+  applyClassicalMobius,
+  applyEnhancedMobius,
+  chladniHeight,
+  applyTwist,
+  applyRadialWarp
+} from './shader-displacement.js';
+
+// Config keys fed straight into the shader uniform of the same name; with
+// the stage parameters these are the settings that change no geometry
+const SHADER_UNIFORM_KEYS = ['uChladniAmplitude', 'uChladniFrequencyX', 'uChladniFrequencyY', 'uMobiusFactor',
+  'uNoiseScale', 'uAnimationSpeed'];
+
+class ShaderStageRegistry extends Registry {
+  constructor() {
+    super('Shader stage', 'apply');
+  }
+
+  register(name, definition) {
+    if (definition && typeof definition.glsl !== 'string') {
+      throw new Error(`Shader stage "${name}" must name its GLSL function`);
+    }
+    return super.register(name, { uniforms: {}, ...definition });
+  }
+
+  // Whether a config key is a parameter of any registered stage
+  isStageParam(key) {
+    return this.isParam(key);
+  }
+
+  // Uniform name fed by a stage parameter's config key, if any
+  uniformForParam(key) {
+    for (const entry of this.entries.values()) {
+      const match = Object.entries(entry.uniforms).find(([, configKey]) => configKey === key);
+      if (match) return match[0];
+    }
+    return null;
+  }
+}
+
+// uNoiseWeight, uClassicalMobiusWeight, ...
+function weightUniform(stage) {
+  return `u${stage.charAt(0).toUpperCase()}${stage.slice(1)}Weight`;
+}
+
+const stages = new ShaderStageRegistry();
+
+stages.register('noise', {
+  label: 'Noise',
+  glsl: 'noiseStage',
+  apply: applyNoiseDisplacement
+});
+
+stages.register('classicalMobius', {
+  label: 'Classical Möbius',
+  glsl: 'classicalMobiusStage',
+  apply: applyClassicalMobius
+});
+
+stages.register('enhancedMobius', {
+  label: 'Enhanced Möbius',
+  glsl: 'enhancedMobiusStage',
+  apply: applyEnhancedMobius
+});
+
+stages.register('chladni', {
+  label: 'Chladni',
+  glsl: 'chladniStage',
+  apply: (p, u, time) => ({ x: p.x, y: p.y, z: p.z + chladniHeight(p, u, time) })
+});
+
+stages.register('twist', {
+  label: 'Twist',
+  glsl: 'twistStage',
+  apply: applyTwist,
+  uniforms: { uTwistAmount: 'twistAmount' },
+  params: {
+    twistAmount: { default: 0.5, min: -3, max: 3, step: 0.01, label: 'Twist per Unit Z' }
+  }
+});
+
+stages.register('radialWarp', {
+  label: 'Radial Warp',
+  glsl: 'radialWarpStage',
+  apply: applyRadialWarp,
+  uniforms: { uRadialWarpAmount: 'radialWarpAmount', uRadialWarpFrequency: 'radialWarpFrequency' },
+  params: {
+    radialWarpAmount: { default: 0.3, min: 0, max: 1, step: 0.01, label: 'Warp Amount' },
+    radialWarpFrequency: { default: 2, min: 0, max: 10, step: 0.1, label: 'Warp Frequency' }
+  }
+});
+
+// The chain the shaders used before stages could be reordered:
+// noise -> classical Möbius -> Chladni
+function defaultPipeline() {
+  const enabled = ['noise', 'classicalMobius', 'chladni'];
+  return stages.list().map(stage => ({ stage, enabled: enabled.includes(stage), weight: 1 }));
+}
+
+// Clean copy of a pipeline: unknown stages dropped, every registered stage
+// listed exactly once (missing ones appended, disabled)
+function normalizePipeline(pipeline) {
+  const seen = new Set();
+  const result = [];
+  (Array.isArray(pipeline) ? pipeline : []).forEach(entry => {
+    if (!entry || !stages.has(entry.stage) || seen.has(entry.stage)) return;
+    seen.add(entry.stage);
+    result.push({
+      stage: entry.stage,
+      enabled: entry.enabled !== false,
+      weight: Number.isFinite(entry.weight) ? entry.weight : 1
+    });
+  });
+  stages.list().forEach(stage => {
+    if (!seen.has(stage)) {
+      result.push({ stage, enabled: false, weight: 1 });
+    }
+  });
+  return result;
+}
+
+// Stages that end up in the shader code, in order; two pipelines with the
+// same signature share compiled shaders
+function pipelineSignature(pipeline) {
+  return normalizePipeline(pipeline).filter(entry => entry.enabled).map(entry => entry.stage).join('>');
+}
+
+// Weight uniform values for a pipeline (disabled stages get 0)
+function weightValues(pipeline) {
+  const values = {};
+  stages.list().forEach(stage => {
+    values[weightUniform(stage)] = 0;
+  });
+  normalizePipeline(pipeline).forEach(entry => {
+    if (entry.enabled) {
+      values[weightUniform(entry.stage)] = entry.weight;
+    }
+  });
+  return values;
+}
+
+// Stage parameter uniform values from a config object
+function stageUniformValues(config) {
+  const values = {};
+  stages.list().forEach(name => {
+    const params = stages.resolveParams(name, config);
+    Object.entries(stages.get(name).uniforms).forEach(([uniform, key]) => {
+      values[uniform] = params[key];
+    });
+  });
+  return values;
+}
+
+const mix = (a, b, t) => a + (b - a) * t;
+
+// CPU transformPosition: the displaced position of a point or edge vertex
+// ({ x, y, z }) at `time`. `u` holds the uniform values of the material.
+function displacePoint(p, u, time, pipeline) {
+  let pos = { x: p.x, y: p.y, z: p.z };
+  normalizePipeline(pipeline).forEach(entry => {
+    if (!entry.enabled) return;
+    const moved = stages.get(entry.stage).apply(pos, u, time);
+    pos = {
+      x: mix(pos.x, moved.x, entry.weight),
+      y: mix(pos.y, moved.y, entry.weight),
+      z: mix(pos.z, moved.z, entry.weight)
+    };
+  });
+  return pos;
+}
+
+export {
+  SHADER_UNIFORM_KEYS,
+  ShaderStageRegistry,
+  weightUniform,
+  defaultPipeline,
+  normalizePipeline,
+  pipelineSignature,
+  weightValues,
+  stageUniformValues,
+  displacePoint
+};
+export default stages;
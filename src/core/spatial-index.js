@@ -0,0 +1,163 @@
+// Vantage-point tree over an arbitrary distance function.
+//
+// Supports radius queries and k-nearest-neighbour queries. Pruning relies
+// on the triangle inequality, so results are exact for true metrics (and
+// pseudometrics) and approximate for distance functions that violate it.
+//
+// Nodes are stored in flat typed arrays; each node holds one item (the
+// vantage point), the median distance to the items of its subtree, and
+// inside/outside children (-1 when empty).
+
+class VPTree {
+  constructor(items, distance) {
+    this.items = items;
+    this.distance = distance;
+
+    const count = items.length;
+    this.nodeItem = new Int32Array(count);
+    this.nodeRadius = new Float64Array(count);
+    this.nodeInside = new Int32Array(count);
+    this.nodeOutside = new Int32Array(count);
+    this.nodeCount = 0;
+
+    const order = new Int32Array(count);
+    for (let i = 0; i < count; i++) order[i] = i;
+    this.scratch = new Float64Array(count);
+
+    this.root = this.build(order, 0, count);
+    this.scratch = null;
+  }
+
+  // Build the subtree for order[lo, hi) and return its node index
+  build(order, lo, hi) {
+    if (lo >= hi) return -1;
+
+    const node = this.nodeCount++;
+    // Middle element as vantage point avoids degenerate trees on sorted input
+    const mid = (lo + hi) >> 1;
+    swap(order, lo, mid);
+    const vantage = order[lo];
+    this.nodeItem[node] = vantage;
+    this.nodeInside[node] = -1;
+    this.nodeOutside[node] = -1;
+    this.nodeRadius[node] = 0;
+
+    if (hi - lo === 1) return node;
+
+    const vantageItem = this.items[vantage];
+    for (let i = lo + 1; i < hi; i++) {
+      this.scratch[order[i]] = this.distance(vantageItem, this.items[order[i]]);
+    }
+
+    // Partition the remaining items around the median distance
+    const median = (lo + 1 + hi) >> 1;
+    this.select(order, lo + 1, hi - 1, median);
+    this.nodeRadius[node] = this.scratch[order[median]];
+
+    this.nodeInside[node] = this.build(order, lo + 1, median);
+    this.nodeOutside[node] = this.build(order, median, hi);
+    return node;
+  }
+
+  // Quickselect on order[left..right] by scratch distance so that order[k] is in place
+  select(order, left, right, k) {
+    const scratch = this.scratch;
+    while (right > left) {
+      const pivot = scratch[order[(left + right) >> 1]];
+      let i = left;
+      let j = right;
+      while (i <= j) {
+        while (scratch[order[i]] < pivot) i++;
+        while (scratch[order[j]] > pivot) j--;
+        if (i <= j) {
+          swap(order, i, j);
+          i++;
+          j--;
+        }
+      }
+      if (k <= j) {
+        right = j;
+      } else if (k >= i) {
+        left = i;
+      } else {
+        return;
+      }
+    }
+  }
+
+  // All items within `radius` of the query (inclusive), as { index, distance }
+  radiusSearch(query, radius) {
+    const results = [];
+    if (this.root < 0) return results;
+
+    const stack = [this.root];
+    while (stack.length) {
+      const node = stack.pop();
+      const index = this.nodeItem[node];
+      const d = this.distance(query, this.items[index]);
+
+      if (d <= radius) {
+        results.push({ index, distance: d });
+      }
+
+      const mu = this.nodeRadius[node];
+      const inside = this.nodeInside[node];
+      const outside = this.nodeOutside[node];
+      if (inside >= 0 && d - radius <= mu) stack.push(inside);
+      if (outside >= 0 && d + radius >= mu) stack.push(outside);
+    }
+
+    return results;
+  }
+
+  // The k items closest to the query, sorted by ascending distance
+  nearest(query, k) {
+    const best = [];
+    if (this.root < 0 || k <= 0) return best;
+
+    let tau = Infinity;
+    const search = node => {
+      if (node < 0) return;
+
+      const index = this.nodeItem[node];
+      const d = this.distance(query, this.items[index]);
+
+      if (d < tau || best.length < k) {
+        insertSorted(best, { index, distance: d }, k);
+        if (best.length === k) tau = best[k - 1].distance;
+      }
+
+      const mu = this.nodeRadius[node];
+      const inside = this.nodeInside[node];
+      const outside = this.nodeOutside[node];
+
+      // Descend into the more promising side first
+      if (d < mu) {
+        if (d - tau <= mu) search(inside);
+        if (d + tau >= mu) search(outside);
+      } else {
+        if (d + tau >= mu) search(outside);
+        if (d - tau <= mu) search(inside);
+      }
+    };
+
+    search(this.root);
+    return best;
+  }
+}
+
+function swap(array, i, j) {
+  const tmp = array[i];
+  array[i] = array[j];
+  array[j] = tmp;
+}
+
+// Insert into a distance-sorted list, keeping at most `limit` entries
+function insertSorted(list, entry, limit) {
+  let i = list.length;
+  while (i > 0 && list[i - 1].distance > entry.distance) i--;
+  list.splice(i, 0, entry);
+  if (list.length > limit) list.pop();
+}
+
+export { VPTree };
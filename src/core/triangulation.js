@@ -0,0 +1,174 @@
+// Triangulations of a vertex set for the "mesh" render mode.
+//
+// Each function returns a flat array of vertex indices, three per
+// triangle, wound counter-clockwise when seen from outside.
+
+const EPSILON = 1e-9;
+
+function subtract(a, b) {
+  return [a.x - b.x, a.y - b.y, a.z - b.z];
+}
+
+function cross(a, b) {
+  return [
+    a[1]*b[2] - a[2]*b[1],
+    a[2]*b[0] - a[0]*b[2],
+    a[0]*b[1] - a[1]*b[0]
+  ];
+}
+
+function dot(a, b) {
+  return a[0]*b[0] + a[1]*b[1] + a[2]*b[2];
+}
+
+// Outward face with its plane, built from three vertex indices
+function makeFace(vertices, a, b, c) {
+  const normal = cross(subtract(vertices[b], vertices[a]), subtract(vertices[c], vertices[a]));
+  return { a, b, c, normal, offset: dot(normal, [vertices[a].x, vertices[a].y, vertices[a].z]) };
+}
+
+// Signed distance-like value of a point above a face plane
+function faceSide(face, v) {
+  return dot(face.normal, [v.x, v.y, v.z]) - face.offset;
+}
+
+// Four affinely independent vertices to seed the hull, or null if degenerate
+function initialTetrahedron(vertices) {
+  const n = vertices.length;
+  if (n < 4) return null;
+
+  // Extreme points along x give a long first edge
+  let i0 = 0;
+  let i1 = 0;
+  vertices.forEach((v, i) => {
+    if (v.x < vertices[i0].x) i0 = i;
+    if (v.x > vertices[i1].x) i1 = i;
+  });
+  if (i0 === i1) i1 = i0 === 0 ? 1 : 0;
+
+  // Farthest from the line i0-i1
+  const lineDir = subtract(vertices[i1], vertices[i0]);
+  let i2 = -1;
+  let best = EPSILON;
+  vertices.forEach((v, i) => {
+    const area = cross(lineDir, subtract(v, vertices[i0]));
+    const size = dot(area, area);
+    if (size > best) {
+      best = size;
+      i2 = i;
+    }
+  });
+  if (i2 < 0) return null;
+
+  // Farthest from the plane i0-i1-i2
+  const planeNormal = cross(lineDir, subtract(vertices[i2], vertices[i0]));
+  let i3 = -1;
+  best = EPSILON * Math.sqrt(dot(planeNormal, planeNormal));
+  vertices.forEach((v, i) => {
+    const height = Math.abs(dot(planeNormal, subtract(v, vertices[i0])));
+    if (height > best) {
+      best = height;
+      i3 = i;
+    }
+  });
+  if (i3 < 0) return null;
+
+  return [i0, i1, i2, i3];
+}
+
+// Incremental 3D convex hull. Interior vertices are left unreferenced.
+function convexHullTriangles(vertices) {
+  const seed = initialTetrahedron(vertices);
+  if (!seed) return [];
+
+  const [a, b, c, d] = seed;
+  let faces = [
+    makeFace(vertices, a, b, c),
+    makeFace(vertices, a, c, d),
+    makeFace(vertices, a, d, b),
+    makeFace(vertices, b, d, c)
+  ];
+  // Flip the seed faces if the tetrahedron came out inside-out
+  if (faceSide(faces[0], vertices[d]) > 0) {
+    faces = faces.map(face => makeFace(vertices, face.a, face.c, face.b));
+  }
+
+  const inSeed = new Set(seed);
+  vertices.forEach((v, p) => {
+    if (inSeed.has(p)) return;
+
+    const scale = Math.max(1, Math.abs(v.x) + Math.abs(v.y) + Math.abs(v.z));
+    const visible = [];
+    const kept = [];
+    faces.forEach(face => {
+      const tolerance = EPSILON * scale * Math.sqrt(dot(face.normal, face.normal));
+      (faceSide(face, v) > tolerance ? visible : kept).push(face);
+    });
+    if (!visible.length) return;
+
+    // Horizon: directed edges of visible faces whose twin is not visible
+    const visibleEdges = new Set();
+    visible.forEach(face => {
+      visibleEdges.add(`${face.a},${face.b}`);
+      visibleEdges.add(`${face.b},${face.c}`);
+      visibleEdges.add(`${face.c},${face.a}`);
+    });
+
+    faces = kept;
+    visible.forEach(face => {
+      [[face.a, face.b], [face.b, face.c], [face.c, face.a]].forEach(([u, w]) => {
+        if (!visibleEdges.has(`${w},${u}`)) {
+          faces.push(makeFace(vertices, u, w, p));
+        }
+      });
+    });
+  });
+
+  const indices = [];
+  faces.forEach(face => indices.push(face.a, face.b, face.c));
+  return indices;
+}
+
+// Triangles from the 3-cliques of the connectivity graph, each wound to
+// face away from the centroid of the vertex set
+function cliqueTriangles(vertices, edges) {
+  const adjacency = vertices.map(() => new Set());
+  edges.forEach(([i, j]) => {
+    adjacency[i].add(j);
+    adjacency[j].add(i);
+  });
+
+  const centroid = { x: 0, y: 0, z: 0 };
+  vertices.forEach(v => {
+    centroid.x += v.x / vertices.length;
+    centroid.y += v.y / vertices.length;
+    centroid.z += v.z / vertices.length;
+  });
+
+  const indices = [];
+  edges.forEach(([edgeI, edgeJ]) => {
+    const i = Math.min(edgeI, edgeJ);
+    const j = Math.max(edgeI, edgeJ);
+
+    // Each triangle i < j < k is emitted once, from its lowest edge
+    adjacency[j].forEach(k => {
+      if (k <= j || !adjacency[i].has(k)) return;
+
+      const face = makeFace(vertices, i, j, k);
+      if (faceSide(face, centroid) > 0) {
+        indices.push(i, k, j);
+      } else {
+        indices.push(i, j, k);
+      }
+    });
+  });
+
+  return indices;
+}
+
+const triangulationMethods = {
+  hull: { label: 'Convex Hull', triangulate: (vertices) => convexHullTriangles(vertices) },
+  cliques: { label: 'Graph 3-Cliques', triangulate: (vertices, edges) => cliqueTriangles(vertices, edges) }
+};
+
+export { convexHullTriangles, cliqueTriangles, triangulationMethods };
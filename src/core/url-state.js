@@ -0,0 +1,108 @@
+// Shareable scene state in the URL hash: the StateStore config (which holds
+// the generator seed), the render mode and the camera pose.
+//
+//   #s=<version>.<method>.<payload>
+//
+// The payload is base64url of the JSON state, deflated ('d') where the
+// browser has CompressionStream and plain ('j') otherwise. `version` is the
+// SESSION_VERSION the state was written with: decoded state goes through
+// the session migrations and validation like a session document without
+// vertices. Only generated vertex sets are reproduced; edited or imported
+// vertices need a session file (see session.js).
+
+import { SESSION_FORMAT, SESSION_VERSION, TRANSIENT_KEYS, migrateSession } from './session.js';
+
+const URL_STATE_KEY = 's';
+
+function toBase64Url(bytes) {
+  let binary = '';
+  // Chunked so long payloads stay within the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function canCompress() {
+  return typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+}
+
+async function transform(bytes, stream) {
+  const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+function isVector3(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+function validateUrlState(state) {
+  if (!state || typeof state !== 'object' || !state.config || typeof state.config !== 'object') {
+    throw new Error('URL state has no config object');
+  }
+  if (state.renderMode !== undefined && state.renderMode !== 'points' && state.renderMode !== 'mesh') {
+    throw new Error(`Unknown render mode "${state.renderMode}" in URL state`);
+  }
+  if (state.camera) {
+    const { position, target, up, fov, zoom } = state.camera;
+    if (![position, target, up].every(isVector3) || !Number.isFinite(fov) || !Number.isFinite(zoom)) {
+      throw new Error('URL state camera pose is malformed');
+    }
+  }
+}
+
+// Hash text (without '#') for { config, renderMode, camera }
+async function encodeUrlState({ config, renderMode, camera }) {
+  const savedConfig = { ...config };
+  TRANSIENT_KEYS.forEach(key => delete savedConfig[key]);
+
+  const bytes = new TextEncoder().encode(JSON.stringify({ config: savedConfig, renderMode, camera }));
+  const method = canCompress() ? 'd' : 'j';
+  const payload = method === 'd' ? await transform(bytes, new CompressionStream('deflate-raw')) : bytes;
+
+  return `${URL_STATE_KEY}=${SESSION_VERSION}.${method}.${toBase64Url(payload)}`;
+}
+
+// Migrated session document (vertices regenerated from the seed) from a
+// location hash, or null when the hash carries no state. Throws on
+// malformed or unsupported state.
+async function decodeUrlState(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const value = params.get(URL_STATE_KEY);
+  if (!value) return null;
+
+  const match = /^(\d+)\.([dj])\.([A-Za-z0-9_-]+)$/.exec(value);
+  if (!match) {
+    throw new Error('URL state is not in the <version>.<method>.<payload> form');
+  }
+
+  let bytes = fromBase64Url(match[3]);
+  if (match[2] === 'd') {
+    if (!canCompress()) {
+      throw new Error('This browser cannot decompress the URL state');
+    }
+    bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+  }
+
+  const state = JSON.parse(new TextDecoder().decode(bytes));
+  validateUrlState(state);
+  return migrateSession({
+    format: SESSION_FORMAT,
+    version: Number(match[1]),
+    savedAt: null,
+    config: state.config,
+    renderMode: state.renderMode || 'points',
+    vertices: null, // Regenerated from the seed
+    connectivity: null,
+    uniforms: {},
+    camera: state.camera || null
+  });
+}
+
+export { URL_STATE_KEY, encodeUrlState, decodeUrlState };
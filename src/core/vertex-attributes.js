@@ -0,0 +1,205 @@
+// Per-vertex metric attributes and the colormaps they are shown with.
+//
+// Every attribute is computed for each vertex of a MetricSpaceGeometry and
+// uploaded as a float buffer attribute (`attribute` below) of the point and
+// mesh geometries. The vertex shader reads them through metricValue(id),
+// with `id` the attribute's position in `vertexAttributes`, and can map one
+// each onto colour, point size and opacity:
+//
+//   colour   colormap(map, t) with t across the attribute's value range
+//   size     uPointSize scaled from sizeScale[0] to sizeScale[1]
+//   opacity  from opacityScale[0] to opacityScale[1]
+//
+// Value ranges are the attribute's min and max over the vertex set; the
+// diverging colormap centres its range on zero instead.
+
+// Neighbours the local density is measured over
+const DENSITY_NEIGHBOURS = 8;
+
+const vertexAttributes = {
+  weight: {
+    label: 'Weight',
+    attribute: 'aWeight',
+    compute: geometry => geometry.vertices.map(v => v.weight)
+  },
+  curvature: {
+    label: 'Curvature',
+    attribute: 'aCurvature',
+    compute: geometry => geometry.vertices.map(v => v.curvature)
+  },
+  degree: {
+    label: 'Degree',
+    attribute: 'aDegree',
+    compute: geometry => geometry.getVertexEdges().map(edges => edges.length)
+  },
+  density: {
+    label: 'Local Density',
+    attribute: 'aDensity',
+    // Inverse mean metric distance to the nearest neighbours
+    compute: geometry => geometry.vertices.map(v => {
+      const neighbours = geometry.nearestVertices(v, DENSITY_NEIGHBOURS + 1)
+        .filter(({ distance }) => distance > 0);
+      if (!neighbours.length) return 0;
+      const mean = neighbours.reduce((sum, { distance }) => sum + distance, 0) / neighbours.length;
+      return 1 / mean;
+    })
+  },
+  meanEdgeDistance: {
+    label: 'Mean Edge Distance',
+    attribute: 'aMeanEdgeDistance',
+    compute: geometry => geometry.getVertexEdges().map(edges => edges.length
+      ? edges.reduce((sum, index) => sum + geometry.edgeDistances[index], 0) / edges.length
+      : 0)
+  },
+  centreDistance: {
+    label: 'Distance from Centre',
+    attribute: 'aCentreDistance',
+    compute: geometry => {
+      const centre = geometry.computeCentralVertex();
+      return geometry.vertices.map(v => geometry.customDistance(centre, v));
+    }
+  }
+};
+
+// Evenly spaced colour stops from t = 0 to t = 1
+const colormaps = {
+  viridis: {
+    label: 'Viridis',
+    stops: ['#440154', '#482878', '#3e4a89', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725']
+  },
+  magma: {
+    label: 'Magma',
+    stops: ['#000004', '#140e36', '#3b0f70', '#641a80', '#8c2981', '#b73779', '#de4968', '#f7705c', '#fe9f6d', '#fcfdbf']
+  },
+  diverging: {
+    label: 'Diverging (Blue-Red)',
+    diverging: true,
+    stops: ['#3b4cc0', '#6282ea', '#8db0fe', '#b8d0f9', '#dddddd', '#f5c4ad', '#f49a7b', '#de604d', '#b40426']
+  }
+};
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16 & 255) / 255, (value >> 8 & 255) / 255, (value & 255) / 255];
+}
+
+// [r, g, b] in [0, 1] of a colormap at t in [0, 1], as colormap() in the
+// shaders
+function sampleColormap(name, t) {
+  const stops = (colormaps[name] || colormaps.viridis).stops;
+  const position = Math.min(1, Math.max(0, t)) * (stops.length - 1);
+  const index = Math.min(stops.length - 2, Math.floor(position));
+  const from = hexToRgb(stops[index]);
+  const to = hexToRgb(stops[index + 1]);
+  const f = position - index;
+  return from.map((channel, i) => channel + (to[i] - channel) * f);
+}
+
+// { name: { values: Float32Array, min, max } } for every attribute
+function computeVertexAttributes(geometry) {
+  const result = {};
+  Object.entries(vertexAttributes).forEach(([name, { compute }]) => {
+    const values = Float32Array.from(geometry.vertices.length ? compute(geometry) : []);
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(value => {
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    });
+    result[name] = values.length ? { values, min, max } : { values, min: 0, max: 0 };
+  });
+  return result;
+}
+
+// Put the attributes from computeVertexAttributes on a BufferGeometry
+function setVertexAttributes(THREE, bufferGeometry, attributes) {
+  Object.entries(vertexAttributes).forEach(([name, { attribute }]) => {
+    bufferGeometry.setAttribute(attribute, new THREE.BufferAttribute(attributes[name].values, 1));
+  });
+}
+
+// [low, high] an attribute is mapped from; diverging colormaps are centred
+// on zero. A flat range is widened so the shaders never divide by zero.
+function attributeRange(stats, diverging = false) {
+  if (!stats) return [0, 1];
+  let { min, max } = stats;
+  if (diverging) {
+    max = Math.max(Math.abs(min), Math.abs(max));
+    min = -max;
+  }
+  if (max - min < 1e-6) {
+    return [min - 0.5, max + 0.5];
+  }
+  return [min, max];
+}
+
+// Shader id of an attribute name, -1 for none
+function attributeId(name) {
+  return Object.keys(vertexAttributes).indexOf(name);
+}
+
+// Uniform values for the vertex attribute settings of a config and the
+// attribute statistics from computeVertexAttributes:
+//   uColorMetric, uColormap, uColorRange
+//   uSizeMetric, uSizeRange, uSizeScale
+//   uOpacityMetric, uOpacityRange, uOpacityScale
+// with ids from attributeId() and ranges as [low, high]
+function vertexAttributeUniforms(config, attributes) {
+  const colormap = colormaps[config.vertexColormap] ? config.vertexColormap : 'viridis';
+  const stats = name => attributes && attributes[name];
+  return {
+    uColorMetric: attributeId(config.vertexColorAttribute),
+    uColormap: Object.keys(colormaps).indexOf(colormap),
+    uColorRange: attributeRange(stats(config.vertexColorAttribute), colormaps[colormap].diverging),
+    uSizeMetric: attributeId(config.vertexSizeAttribute),
+    uSizeRange: attributeRange(stats(config.vertexSizeAttribute)),
+    uSizeScale: [config.vertexSizeMin, config.vertexSizeMax],
+    uOpacityMetric: attributeId(config.vertexOpacityAttribute),
+    uOpacityRange: attributeRange(stats(config.vertexOpacityAttribute)),
+    uOpacityScale: [config.vertexOpacityMin, config.vertexOpacityMax]
+  };
+}
+
+// GLSL for the point/mesh vertex shader: the attribute declarations,
+// metricValue(id) and colormap(map, t), generated from the tables above
+function vertexAttributeSource() {
+  const lines = ['// ======== Vertex Metric Attributes (generated) ========', ''];
+  Object.entries(vertexAttributes).forEach(([, { label, attribute }]) => {
+    lines.push(`attribute float ${attribute}; // ${label}`);
+  });
+
+  lines.push('', 'float metricValue(int id) {');
+  Object.values(vertexAttributes).forEach(({ attribute }, id) => {
+    lines.push(`  if (id == ${id}) return ${attribute};`);
+  });
+  lines.push('  return 0.0;', '}');
+
+  const vec3 = hex => `vec3(${hexToRgb(hex).map(channel => channel.toFixed(4)).join(', ')})`;
+  lines.push('', 'vec3 colormap(int map, float t) {', '  t = clamp(t, 0.0, 1.0);');
+  Object.values(colormaps).forEach(({ stops }, id) => {
+    const segments = stops.length - 1;
+    lines.push(`  if (map == ${id}) {`);
+    lines.push(`    float position = t * ${segments.toFixed(1)};`);
+    for (let i = 0; i < segments - 1; i++) {
+      lines.push(`    if (position < ${(i + 1).toFixed(1)}) return mix(${vec3(stops[i])}, ${vec3(stops[i + 1])}, position - ${i.toFixed(1)});`);
+    }
+    lines.push(`    return mix(${vec3(stops[segments - 1])}, ${vec3(stops[segments])}, position - ${(segments - 1).toFixed(1)});`);
+    lines.push('  }');
+  });
+  lines.push('  return vec3(t);', '}');
+
+  return lines.join('\n');
+}
+
+export {
+  DENSITY_NEIGHBOURS,
+  vertexAttributes,
+  colormaps,
+  sampleColormap,
+  computeVertexAttributes,
+  setVertexAttributes,
+  attributeRange,
+  attributeId,
+  vertexAttributeUniforms,
+  vertexAttributeSource
+};
@@ -0,0 +1,500 @@
+// Vertex distribution generators and weight/curvature fields.
+//
+// A generator produces vertex positions. Stochastic generators provide
+// sampler(random, params), returning a function that draws one position;
+// structured ones (lattices, spirals, ...) provide
+// generate(count, random, params) returning all positions at once.
+//
+// A field provides compute(positions, random, params) returning one value
+// in [0, 1] per position; generateVertexSet maps it onto the configured
+// weight or curvature range.
+//
+// `random` is a seeded generator from random.js, so a seed reproduces the
+// whole vertex set.
+
+import { Registry } from './registry.js';
+import { MetricVertex } from './metric-space-geometry.js';
+
+// Attempts per requested vertex when redrawing samples that break the spacing
+const TOP_UP_ATTEMPTS = 30;
+
+// ---- Sampling helpers ----
+
+// Standard normal variate (Box–Muller)
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Uniform point on the unit sphere
+function unitSphere(random) {
+  const z = random() * 2 - 1;
+  const theta = random() * 2 * Math.PI;
+  const ring = Math.sqrt(1 - z * z);
+  return { x: ring * Math.cos(theta), y: ring * Math.sin(theta), z };
+}
+
+// Uniform grid over cells of `cellSize` for fast neighbour lookups
+class PointGrid {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+  }
+
+  key(i, j, k) {
+    return `${i},${j},${k}`;
+  }
+
+  cellOf(p) {
+    return [
+      Math.floor(p.x / this.cellSize),
+      Math.floor(p.y / this.cellSize),
+      Math.floor(p.z / this.cellSize)
+    ];
+  }
+
+  add(p) {
+    const key = this.key(...this.cellOf(p));
+    if (!this.cells.has(key)) this.cells.set(key, []);
+    this.cells.get(key).push(p);
+  }
+
+  // Whether any stored point lies closer than `radius` (<= cellSize) to p
+  hasNeighbourWithin(p, radius) {
+    const [ci, cj, ck] = this.cellOf(p);
+    const radiusSq = radius * radius;
+    for (let di = -1; di <= 1; di++) {
+      for (let dj = -1; dj <= 1; dj++) {
+        for (let dk = -1; dk <= 1; dk++) {
+          const cell = this.cells.get(this.key(ci + di, cj + dj, ck + dk));
+          if (!cell) continue;
+          for (let n = 0; n < cell.length; n++) {
+            const dx = cell[n].x - p.x;
+            const dy = cell[n].y - p.y;
+            const dz = cell[n].z - p.z;
+            if (dx*dx + dy*dy + dz*dz < radiusSq) return true;
+          }
+        }
+      }
+    }
+    return false;
+  }
+}
+
+// ---- Built-in generators ----
+
+// The original distribution: a box whose extent wobbles with the sample
+// index. The z wobble used tan(i/2), which diverges near odd multiples of
+// π; it is clamped to [-1, 1] here.
+function jitteredBoxSampler(random) {
+  let i = 0;
+  return () => {
+    const wobble = Math.max(-1, Math.min(1, Math.tan(i * 0.5)));
+    const p = {
+      x: (random() - 0.5) * 4 * (1 + Math.sin(i) * 0.2),
+      y: (random() - 0.5) * 4 * (1 + Math.cos(i) * 0.2),
+      z: (random() - 0.5) * 4 * (1 + wobble * 0.1)
+    };
+    i++;
+    return p;
+  };
+}
+
+function uniformCubeSampler(random, params) {
+  const size = params.cubeSize;
+  return () => ({
+    x: (random() - 0.5) * size,
+    y: (random() - 0.5) * size,
+    z: (random() - 0.5) * size
+  });
+}
+
+// Isotropic Gaussian blobs around centres spread uniformly in a cube
+function gaussianClustersSampler(random, params) {
+  const centers = [];
+  for (let c = 0; c < Math.max(1, Math.round(params.clusterCount)); c++) {
+    centers.push({
+      x: (random() - 0.5) * params.clusterExtent,
+      y: (random() - 0.5) * params.clusterExtent,
+      z: (random() - 0.5) * params.clusterExtent
+    });
+  }
+
+  return () => {
+    const center = centers[Math.floor(random() * centers.length)];
+    return {
+      x: center.x + gaussian(random) * params.clusterSpread,
+      y: center.y + gaussian(random) * params.clusterSpread,
+      z: center.z + gaussian(random) * params.clusterSpread
+    };
+  };
+}
+
+function sphereSurfaceSampler(random, params) {
+  return () => {
+    const p = unitSphere(random);
+    return { x: p.x * params.shellRadius, y: p.y * params.shellRadius, z: p.z * params.shellRadius };
+  };
+}
+
+// Area-uniform torus samples: the tube angle is accepted with probability
+// proportional to the local ring radius
+function torusSurfaceSampler(random, params) {
+  const R = params.torusMajorRadius;
+  const r = Math.min(params.torusMinorRadius, R);
+
+  return () => {
+    let v;
+    do {
+      v = random() * 2 * Math.PI;
+    } while (random() * (R + r) > R + r * Math.cos(v));
+
+    const u = random() * 2 * Math.PI;
+    const ring = R + r * Math.cos(v);
+    return { x: ring * Math.cos(u), y: r * Math.sin(v), z: ring * Math.sin(u) };
+  };
+}
+
+// Dart throwing in a cube: no two points closer than poissonRadius. Stops
+// early (with fewer points) once the cube is saturated.
+function poissonDiskGenerate(count, random, params) {
+  const radius = params.poissonRadius;
+  const extent = params.poissonExtent;
+  const grid = new PointGrid(radius);
+  const positions = [];
+
+  for (let attempt = 0; attempt < count * TOP_UP_ATTEMPTS && positions.length < count; attempt++) {
+    const p = {
+      x: (random() - 0.5) * extent,
+      y: (random() - 0.5) * extent,
+      z: (random() - 0.5) * extent
+    };
+    if (!grid.hasNeighbourWithin(p, radius)) {
+      grid.add(p);
+      positions.push(p);
+    }
+  }
+  return positions;
+}
+
+// Centred cubic lattice, filled layer by layer, with optional jitter
+function latticeGenerate(count, random, params) {
+  const side = Math.max(1, Math.ceil(Math.cbrt(count)));
+  const spacing = params.latticeSpacing;
+  const offset = (side - 1) / 2;
+  const positions = [];
+
+  for (let n = 0; n < count; n++) {
+    const i = n % side;
+    const j = Math.floor(n / side) % side;
+    const k = Math.floor(n / (side * side));
+    const jitter = () => (random() - 0.5) * params.latticeJitter * spacing;
+    positions.push({
+      x: (i - offset) * spacing + jitter(),
+      y: (k - offset) * spacing + jitter(),
+      z: (j - offset) * spacing + jitter()
+    });
+  }
+  return positions;
+}
+
+// Golden-angle spiral: near-uniform points on a sphere
+function fibonacciSphereGenerate(count, random, params) {
+  const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+  const positions = [];
+
+  for (let i = 0; i < count; i++) {
+    const y = count > 1 ? 1 - 2 * i / (count - 1) : 0;
+    const ring = Math.sqrt(1 - y * y);
+    const theta = goldenAngle * i;
+    positions.push({
+      x: Math.cos(theta) * ring * params.fibonacciRadius,
+      y: y * params.fibonacciRadius,
+      z: Math.sin(theta) * ring * params.fibonacciRadius
+    });
+  }
+  return positions;
+}
+
+class VertexGeneratorRegistry extends Registry {
+  constructor() {
+    super('Vertex generator', 'generate');
+  }
+
+  // Accept either a one-point sampler() or a whole-set generate() function
+  register(name, definition) {
+    if (definition && typeof definition.sampler === 'function' && !definition.generate) {
+      return super.register(name, {
+        ...definition,
+        generate: (count, random, params) => {
+          const draw = definition.sampler(random, params);
+          return Array.from({ length: count }, () => draw());
+        }
+      });
+    }
+    return super.register(name, definition);
+  }
+
+  // Whether a config key is a parameter of any registered generator
+  isGeneratorParam(key) {
+    return this.isParam(key);
+  }
+}
+
+const generators = new VertexGeneratorRegistry();
+
+generators
+  .register('jitteredBox', {
+    label: 'Jittered Box (Original)',
+    sampler: jitteredBoxSampler
+  })
+  .register('uniformCube', {
+    label: 'Uniform Cube',
+    params: {
+      cubeSize: { default: 4, min: 0.5, max: 20, step: 0.1, label: 'Cube Size' }
+    },
+    sampler: uniformCubeSampler
+  })
+  .register('gaussianClusters', {
+    label: 'Gaussian Clusters',
+    params: {
+      clusterCount: { default: 4, min: 1, max: 20, step: 1, label: 'Clusters' },
+      clusterSpread: { default: 0.4, min: 0.01, max: 3, step: 0.01, label: 'Cluster Spread' },
+      clusterExtent: { default: 4, min: 0.5, max: 20, step: 0.1, label: 'Cluster Extent' }
+    },
+    sampler: gaussianClustersSampler
+  })
+  .register('sphereSurface', {
+    label: 'Sphere Surface',
+    params: {
+      shellRadius: { default: 2, min: 0.1, max: 10, step: 0.1, label: 'Sphere Radius' }
+    },
+    sampler: sphereSurfaceSampler
+  })
+  .register('torusSurface', {
+    label: 'Torus Surface',
+    params: {
+      torusMajorRadius: { default: 2, min: 0.1, max: 10, step: 0.1, label: 'Torus Major Radius' },
+      torusMinorRadius: { default: 0.6, min: 0.05, max: 5, step: 0.05, label: 'Torus Minor Radius' }
+    },
+    sampler: torusSurfaceSampler
+  })
+  .register('poissonDisk', {
+    label: 'Poisson Disk',
+    params: {
+      poissonRadius: { default: 0.3, min: 0.01, max: 3, step: 0.01, label: 'Poisson Radius' },
+      poissonExtent: { default: 4, min: 0.5, max: 20, step: 0.1, label: 'Poisson Extent' }
+    },
+    generate: poissonDiskGenerate
+  })
+  .register('lattice', {
+    label: 'Cubic Lattice',
+    params: {
+      latticeSpacing: { default: 0.5, min: 0.05, max: 5, step: 0.05, label: 'Lattice Spacing' },
+      latticeJitter: { default: 0, min: 0, max: 1, step: 0.01, label: 'Lattice Jitter' }
+    },
+    generate: latticeGenerate
+  })
+  .register('fibonacciSphere', {
+    label: 'Fibonacci Sphere',
+    params: {
+      fibonacciRadius: { default: 2, min: 0.1, max: 10, step: 0.1, label: 'Fibonacci Radius' }
+    },
+    generate: fibonacciSphereGenerate
+  });
+
+// ---- Weight / curvature fields ----
+
+// Integer lattice hash in [0, 1)
+function hashLattice(i, j, k, seed) {
+  let h = seed ^ Math.imul(i, 0x8da6b343) ^ Math.imul(j, 0xd8163841) ^ Math.imul(k, 0xcb1ab31f);
+  h = Math.imul(h ^ (h >>> 16), 0x7feb352d);
+  h = Math.imul(h ^ (h >>> 15), 0x846ca68b);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+// Trilinearly interpolated value noise with smoothstep fades, in [0, 1)
+function valueNoise(x, y, z, seed) {
+  const i = Math.floor(x);
+  const j = Math.floor(y);
+  const k = Math.floor(z);
+  const fade = t => t * t * (3 - 2 * t);
+  const u = fade(x - i);
+  const v = fade(y - j);
+  const w = fade(z - k);
+  const mix = (a, b, t) => a + (b - a) * t;
+
+  const corner = (di, dj, dk) => hashLattice(i + di, j + dj, k + dk, seed);
+  return mix(
+    mix(mix(corner(0, 0, 0), corner(1, 0, 0), u), mix(corner(0, 1, 0), corner(1, 1, 0), u), v),
+    mix(mix(corner(0, 0, 1), corner(1, 0, 1), u), mix(corner(0, 1, 1), corner(1, 1, 1), u), v),
+    w
+  );
+}
+
+// Three octaves of value noise, renormalised to [0, 1)
+function fractalNoise(p, scale, seed) {
+  let sum = 0;
+  let amplitude = 1;
+  let total = 0;
+  for (let octave = 0; octave < 3; octave++) {
+    const frequency = scale * Math.pow(2, octave);
+    sum += amplitude * valueNoise(p.x * frequency, p.y * frequency, p.z * frequency, seed + octave);
+    total += amplitude;
+    amplitude /= 2;
+  }
+  return sum / total;
+}
+
+// Min-max normalisation to [0, 1] (all zeros for a constant input)
+function normalize(values) {
+  const min = values.reduce((a, b) => Math.min(a, b), Infinity);
+  const max = values.reduce((a, b) => Math.max(a, b), -Infinity);
+  return values.map(value => (max > min ? (value - min) / (max - min) : 0));
+}
+
+class VertexFieldRegistry extends Registry {
+  constructor() {
+    super('Vertex field', 'compute');
+  }
+
+  // Whether a config key is a parameter of any registered field
+  isFieldParam(key) {
+    return this.isParam(key);
+  }
+}
+
+const fields = new VertexFieldRegistry();
+
+fields
+  .register('random', {
+    label: 'Uniform Random',
+    compute: (positions, random) => positions.map(() => random())
+  })
+  .register('skewedRandom', {
+    label: 'Random (Skewed Low)',
+    compute: (positions, random) => positions.map(() => Math.pow(random(), 3))
+  })
+  .register('constant', {
+    label: 'Constant (Minimum)',
+    compute: positions => positions.map(() => 0)
+  })
+  .register('radial', {
+    label: 'Distance from Centroid',
+    compute: positions => {
+      const n = Math.max(positions.length, 1);
+      const c = positions.reduce((acc, p) => ({
+        x: acc.x + p.x / n, y: acc.y + p.y / n, z: acc.z + p.z / n
+      }), { x: 0, y: 0, z: 0 });
+      return normalize(positions.map(p => Math.hypot(p.x - c.x, p.y - c.y, p.z - c.z)));
+    }
+  })
+  .register('height', {
+    label: 'Height (y)',
+    compute: positions => normalize(positions.map(p => p.y))
+  })
+  .register('noise', {
+    label: 'Noise Field',
+    params: {
+      fieldNoiseScale: { default: 0.8, min: 0.05, max: 10, step: 0.05, label: 'Noise Field Scale' }
+    },
+    compute: (positions, random, params) => {
+      const seed = Math.floor(random() * 4294967296) | 0;
+      return positions.map(p => fractalNoise(p, params.fieldNoiseScale, seed));
+    }
+  });
+
+// ---- Vertex set generation ----
+
+// Centre and scale factor that keep every position within maxDistance / 2
+// of the centroid, so no two vertices are farther apart than maxDistance
+function extentLimit(positions, maxDistance) {
+  const n = Math.max(positions.length, 1);
+  const center = positions.reduce((acc, p) => ({
+    x: acc.x + p.x / n, y: acc.y + p.y / n, z: acc.z + p.z / n
+  }), { x: 0, y: 0, z: 0 });
+  const radius = positions.reduce((max, p) =>
+    Math.max(max, Math.hypot(p.x - center.x, p.y - center.y, p.z - center.z)), 0);
+
+  const limit = maxDistance / 2;
+  return { center, scale: radius > limit && limit > 0 ? limit / radius : 1, limit };
+}
+
+// Generate `count` MetricVertex objects from the generator and fields named
+// in `config`, enforcing config.minDistance / config.maxDistance (Euclidean)
+// between vertex positions. Stochastic generators redraw samples that come
+// too close; structured ones drop them, so fewer vertices may be returned.
+function generateVertexSet(count, random, config) {
+  const generatorName = config.vertexGenerator || 'jitteredBox';
+  const generator = generators.get(generatorName);
+  const params = generators.resolveParams(generatorName, config);
+  const minDistance = Math.max(config.minDistance || 0, 0);
+  const maxDistance = config.maxDistance > 0 ? config.maxDistance : Infinity;
+
+  // Keep one sampler for the initial draw and the top-ups, so state such as
+  // cluster centres is shared between them
+  const draw = generator.sampler ? generator.sampler(random, params) : null;
+  const raw = draw
+    ? Array.from({ length: count }, () => draw())
+    : generator.generate(count, random, params);
+  const { center, scale, limit } = extentLimit(raw, maxDistance);
+  const place = p => ({
+    x: center.x + (p.x - center.x) * scale,
+    y: center.y + (p.y - center.y) * scale,
+    z: center.z + (p.z - center.z) * scale
+  });
+
+  const grid = minDistance > 0 ? new PointGrid(minDistance) : null;
+  const positions = [];
+  const accept = p => {
+    if (grid && grid.hasNeighbourWithin(p, minDistance)) return false;
+    if (grid) grid.add(p);
+    positions.push(p);
+    return true;
+  };
+
+  let rejected = 0;
+  raw.forEach(p => {
+    if (!accept(place(p))) rejected++;
+  });
+
+  // Redraw rejected samples from stochastic generators
+  if (rejected && draw) {
+    for (let attempt = 0; attempt < count * TOP_UP_ATTEMPTS && positions.length < count; attempt++) {
+      const p = place(draw());
+      if (Math.hypot(p.x - center.x, p.y - center.y, p.z - center.z) <= limit) {
+        accept(p);
+      }
+    }
+  }
+
+  const fieldValues = (fieldName, fallback) => {
+    const name = fields.has(fieldName) ? fieldName : fallback;
+    return fields.get(name).compute(positions, random, fields.resolveParams(name, config));
+  };
+  const weights = fieldValues(config.weightField, 'skewedRandom');
+  const curvatures = fieldValues(config.curvatureField, 'random');
+
+  const lerp = (min, max, t) => min + (max - min) * t;
+  const vertices = positions.map((p, i) => new MetricVertex(
+    p.x, p.y, p.z,
+    lerp(config.weightMin, config.weightMax, weights[i]),
+    lerp(config.curvatureMin, config.curvatureMax, curvatures[i])
+  ));
+
+  return {
+    vertices,
+    generator: generatorName,
+    scale,
+    dropped: count - vertices.length
+  };
+}
+
+export {
+  VertexGeneratorRegistry,
+  VertexFieldRegistry,
+  fields as VertexFields,
+  generateVertexSet
+};
+export default generators;
@@ -1,7 +1,10 @@
 import MetricSpaceVisualization from './visualization';
+import StateStore from './state-store';
+import Logger from './logger';
+import { decodeUrlState } from './core/url-state';
 
 // Ensure the DOM is fully loaded before initializing
-window.addEventListener('load', () => {
+window.addEventListener('load', async () => {
     const container = document.getElementById('visualization-container');
     
     // Check if container exists
@@ -10,8 +13,29 @@ window.addEventListener('load', () => {
         return;
     }
 
+    // A shared link carries the config, seed and camera in the URL hash;
+    // it has to be in the StateStore before the first vertices are generated.
+    // Decoding migrates and validates it, so a link naming settings this
+    // build does not know is ignored here rather than breaking the page.
+    let urlState = null;
+    try {
+        urlState = await decodeUrlState(window.location.hash);
+    } catch (error) {
+        Logger.error('Ignoring invalid URL state', { error: error.message });
+    }
+
     // Create visualization
-    const visualization = new MetricSpaceVisualization(container);
+    let visualization;
+    if (urlState) {
+        StateStore.assign(urlState.config);
+        visualization = new MetricSpaceVisualization(container, StateStore.config.vertexCount, {
+            renderMode: urlState.renderMode,
+            cameraPose: urlState.camera
+        });
+        Logger.info('Restored state from URL', { seed: StateStore.config.seed });
+    } else {
+        visualization = new MetricSpaceVisualization(container);
+    }
 
     // Cleanup on page unload
     window.addEventListener('beforeunload', () => {
@@ -0,0 +1,20 @@
+// ---- Complex Number Operations ----
+
+vec2 complex_mul(vec2 a, vec2 b) {
+  return vec2(a.x * b.x - a.y * b.y, a.x * b.y + a.y * b.x);
+}
+
+vec2 complex_div(vec2 a, vec2 b) {
+  float denominator = b.x * b.x + b.y * b.y;
+  if (denominator < 0.0001) {
+    // Return a large but finite value for small denominators
+    float magnitude = sqrt(a.x * a.x + a.y * a.y);
+    if (magnitude < 0.0001) return vec2(0.0, 0.0);
+    float scale = 1000.0 / magnitude;
+    return vec2(a.x * scale, a.y * scale);
+  }
+  return vec2(
+    (a.x * b.x + a.y * b.y) / denominator,
+    (a.y * b.x - a.x * b.y) / denominator
+  );
+}
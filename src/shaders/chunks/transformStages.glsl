@@ -0,0 +1,189 @@
+// ======== Transformation Functions ========
+
+// ---- Chladni Plate Modes ----
+
+// Bessel function J_m(x) = 1/pi * integral over [0, pi] of cos(m t - x sin t)
+float besselJ(float m, float x) {
+  const int STEPS = 48;
+  float sum = 0.0;
+  for (int i = 0; i < STEPS; i++) {
+    float t = (float(i) + 0.5) * 3.14159265359 / float(STEPS);
+    sum += cos(m * t - x * sin(t));
+  }
+  return sum / float(STEPS);
+}
+
+// Shape of one mode of the square or circular plate
+float plateMode(vec4 mode, vec2 pos) {
+  if (uChladniPlate == 1) {
+    vec2 p = 3.14159265359 * (pos / uChladniPlateSize + 0.5);
+    return cos(mode.y * p.x) * cos(mode.x * p.y) - cos(mode.x * p.x) * cos(mode.y * p.y);
+  }
+  float r = length(pos) / uChladniPlateSize;
+  float theta = r > 0.0 ? atan(pos.y, pos.x) : 0.0;
+  return besselJ(mode.x, mode.y * r) * cos(mode.x * theta);
+}
+
+// Plate displacement: the sine product, or the superposition of the plate
+// modes, each oscillating with its own phase
+float chladniField(vec2 pos, float time) {
+  if (uChladniPlate == 0) {
+    return sin(uChladniFrequencyX * pos.x + time) * sin(uChladniFrequencyY * pos.y + time);
+  }
+
+  float sum = 0.0;
+  for (int i = 0; i < MAX_CHLADNI_MODES; i++) {
+    if (i >= uChladniModeCount) break;
+    vec4 mode = uChladniModes[i];
+    sum += mode.z * plateMode(mode, pos) * cos(time + mode.w);
+  }
+  return sum;
+}
+
+// ---- Chladni Pattern Transformation ----
+vec3 applyChladniTransform(vec2 pos, float time) {
+  // Plate pattern
+  float baseZ = chladniField(pos, time);
+  
+  // Add noise modulation
+  float noise = snoise(vec3(pos.x * 0.1, pos.y * 0.1, time * 0.05));
+  
+  // Combine base pattern with noise
+  float z = uChladniAmplitude * (baseZ + noise * uNoiseScale);
+  
+  return vec3(pos.x, pos.y, z);
+}
+
+// ---- Classical Möbius Transformation ----
+vec2 applyClassicalMobius(vec2 pos, float time) {
+  // Create time-animated parameters
+  float timePhase = time * uAnimationSpeed;
+  vec2 a = vec2(
+    uA.x * cos(timePhase) - uA.y * sin(timePhase),
+    uA.x * sin(timePhase) + uA.y * cos(timePhase)
+  );
+  vec2 b = uB;
+  vec2 c = uC;
+  vec2 d = uD;
+  
+  // z = x + iy (input complex number)
+  vec2 z = vec2(pos.x, pos.y);
+  
+  // Calculate (a*z + b) / (c*z + d)
+  vec2 numerator = complex_mul(a, z) + b;
+  vec2 denominator = complex_mul(c, z) + d;
+  
+  return complex_div(numerator, denominator);
+}
+
+// ---- Enhanced Möbius-like Transformation ----
+vec3 applyEnhancedMobius(vec3 pos, float time) {
+  // Calculate distance from origin for radial effects
+  float distanceFromOrigin = length(pos.xy);
+  
+  // Create noise-based twist angle variations
+  float noiseFactor = snoise(vec2(pos.x * 0.2, pos.y * 0.2)) * uNoiseScale;
+  
+  // Base twist calculation (distance-based)
+  float twistAngle = uMobiusFactor * distanceFromOrigin;
+  
+  // Enhance with z-coordinate influence (makes it truly 3D)
+  twistAngle *= (1.0 + 0.5 * sin(pos.z * 0.5));
+  
+  // Add time-based animation and noise variation
+  twistAngle += time * 0.1 * (1.0 + noiseFactor);
+  
+  // Create rotation matrix for Z-axis rotation
+  float cosZ = cos(twistAngle);
+  float sinZ = sin(twistAngle);
+  mat3 rotZ = mat3(
+    cosZ, -sinZ, 0.0,
+    sinZ,  cosZ, 0.0,
+    0.0,   0.0,  1.0
+  );
+  
+  // Calculate secondary rotation angle based on position and noise
+  float secondaryAngle = uMobiusFactor * 0.5 * (
+    sin(distanceFromOrigin) + 
+    snoise(vec2(pos.x * 0.1 + time * 0.05, pos.y * 0.1)) * uNoiseScale * 0.5
+  );
+  
+  // Create rotation matrix for Y-axis
+  float cosY = cos(secondaryAngle);
+  float sinY = sin(secondaryAngle);
+  mat3 rotY = mat3(
+    cosY,  0.0, sinY,
+    0.0,   1.0,  0.0,
+   -sinY,  0.0, cosY
+  );
+  
+  // Create rotation matrix for X-axis
+  float xAngle = uMobiusFactor * 0.3 * snoise(vec2(pos.x * 0.15, time * 0.05)) * uNoiseScale;
+  float cosX = cos(xAngle);
+  float sinX = sin(xAngle);
+  mat3 rotX = mat3(
+    1.0, 0.0,  0.0,
+    0.0, cosX, -sinX,
+    0.0, sinX,  cosX
+  );
+  
+  // Apply rotations in sequence
+  vec3 rotated = rotX * rotY * rotZ * pos;
+  return rotated;
+}
+
+// ---- Noise-based Displacement ----
+vec3 applyNoiseDisplacement(vec3 pos, float time) {
+  float displacementX = snoise(vec3(pos.x * 0.2, pos.y * 0.2, time * 0.1)) * uNoiseScale;
+  float displacementY = snoise(vec3(pos.x * 0.2, pos.y * 0.2, time * 0.15 + 100.0)) * uNoiseScale;
+  float displacementZ = snoise(vec3(pos.x * 0.2, pos.y * 0.2, time * 0.05 + 200.0)) * uNoiseScale * 0.5;
+  
+  return pos + vec3(displacementX, displacementY, displacementZ);
+}
+
+// ---- Twist about the z axis ----
+// Rotation angle grows with height, like a wrung cloth
+vec3 applyTwist(vec3 pos, float time) {
+  float angle = uTwistAmount * pos.z + time * 0.1 * uAnimationSpeed;
+  float c = cos(angle);
+  float s = sin(angle);
+  return vec3(c * pos.x - s * pos.y, s * pos.x + c * pos.y, pos.z);
+}
+
+// ---- Radial Warp ----
+// Travelling radial wave: the distance from the z axis is scaled by
+// 1 + amount * sin(frequency * r - t)
+vec3 applyRadialWarp(vec3 pos, float time) {
+  float r = length(pos.xy);
+  float scale = 1.0 + uRadialWarpAmount * sin(uRadialWarpFrequency * r - time * uAnimationSpeed);
+  return vec3(pos.xy * scale, pos.z);
+}
+
+// ======== Pipeline Stages ========
+// vec3 stage(vec3 pos, float time), one per entry of the shader stage
+// registry (core/shader-pipeline.js); pipeline.js chains the enabled ones.
+
+vec3 noiseStage(vec3 pos, float time) {
+  return applyNoiseDisplacement(pos, time);
+}
+
+vec3 classicalMobiusStage(vec3 pos, float time) {
+  return vec3(applyClassicalMobius(pos.xy, time), pos.z);
+}
+
+vec3 enhancedMobiusStage(vec3 pos, float time) {
+  return applyEnhancedMobius(pos, time);
+}
+
+// Adds the Chladni height to z
+vec3 chladniStage(vec3 pos, float time) {
+  return vec3(pos.xy, pos.z + applyChladniTransform(pos.xy, time).z);
+}
+
+vec3 twistStage(vec3 pos, float time) {
+  return applyTwist(pos, time);
+}
+
+vec3 radialWarpStage(vec3 pos, float time) {
+  return applyRadialWarp(pos, time);
+}
@@ -0,0 +1,32 @@
+#ifdef GL_ES
+precision mediump float;
+#endif
+
+// ======== Transform Pipeline Uniforms ========
+// Shared by the point, line and surface vertex shaders (see pipeline.js)
+
+// Core timing
+uniform float uTime;
+
+// Chladni pattern parameters
+uniform float uChladniAmplitude;    // Controls the height of the Chladni pattern
+uniform float uChladniFrequencyX;   // X-axis frequency for the Chladni pattern
+uniform float uChladniFrequencyY;   // Y-axis frequency for the Chladni pattern
+
+// Chladni plate modes (see core/chladni.js)
+#define MAX_CHLADNI_MODES 8
+uniform int uChladniPlate;          // 0 sine product, 1 square plate, 2 circular plate
+uniform float uChladniPlateSize;    // Side of the square plate, radius of the circular one
+uniform int uChladniModeCount;      // Modes in use
+uniform vec4 uChladniModes[MAX_CHLADNI_MODES]; // (m, n or Bessel zero j_mn, amplitude, phase)
+
+// Möbius transformation parameters
+uniform float uMobiusFactor;        // Controls the intensity of the Möbius transformation
+uniform float uNoiseScale;          // Controls the amount of noise influence
+uniform float uAnimationSpeed;      // Controls animation speed
+
+// Classical Möbius transformation parameters (complex coefficients)
+uniform vec2 uA; // Complex number a (real, imag)
+uniform vec2 uB; // Complex number b (real, imag)
+uniform vec2 uC; // Complex number c (real, imag)
+uniform vec2 uD; // Complex number d (real, imag)
@@ -19,6 +19,9 @@ uniform float u_time;             // Time for dynamic effects
 
 // Input from vertex shader
 varying vec2 v_texCoord;
+varying float vAlpha;             // Per-vertex opacity (sculpt fade, opacity mapping)
+varying vec3 vMetricColor;        // Colormapped metric attribute
+varying float vMetricColorMix;    // 1 when the colour follows an attribute
 
 // Smooth polygon interpolation function
 float smoothPolygon(vec2 p, vec2 center, float radius, int sides) {
@@ -76,8 +79,8 @@ void main() {
     // Calculate smooth polygon mask based on local coordinates
     float polygonMask = smoothPolygon(uv, center, baseRadius, sides);
     
-    // Generate dynamic color
-    vec3 dynamicColor = generateDynamicColor();
+    // Generate dynamic color, unless a metric attribute colours the point
+    vec3 dynamicColor = mix(generateDynamicColor(), vMetricColor, vMetricColorMix);
     
     // Calculate light interaction
     float lightInteraction = calculateLightInteraction();
@@ -90,9 +93,10 @@ void main() {
         polygonMask          // Smooth polygon mask
     );
     
-    // Apply light interaction with smooth falloff
-    finalColor *= (1.0 - lightInteraction * 0.5);
+    // Apply light interaction with smooth falloff (colormapped points keep
+    // the legend's colours)
+    finalColor *= (1.0 - lightInteraction * 0.5 * (1.0 - vMetricColorMix));
     
     // Output final fragment color with alpha blending based on the polygon mask
-    gl_FragColor = vec4(finalColor, polygonMask);
+    gl_FragColor = vec4(finalColor, polygonMask * vAlpha);
 }
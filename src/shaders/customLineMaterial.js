@@ -12,7 +12,6 @@ const lineMaterial = new THREE.ShaderMaterial({
       uChladniFrequencyY: { value: 0.1 },
       
       // Möbius transformation parameters
-      uUseClassicalMobius: { value: false },
       uMobiusFactor: { value: 0.5 },
       uNoiseScale: { value: 0.2 },
       uAnimationSpeed: { value: 0.5 },
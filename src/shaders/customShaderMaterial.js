@@ -21,7 +21,6 @@ const shaderMaterial = new THREE.ShaderMaterial({
     uChladniAmplitude: { value: 1.0 },
     uChladniFrequencyX: { value: 1.0 },
     uChladniFrequencyY: { value: 1.0 },
-    uUseClassicalMobius: { value: true },
     uMobiusFactor: { value: 1.0 },
     uNoiseScale: { value: 1.0 },
     uAnimationSpeed: { value: 1.0 },
@@ -29,10 +29,18 @@ uniform vec3 u_orientation;         // Rotation or orientation
 // Shader input variables
 uniform vec2 u_resolution;          // Viewport resolution
 uniform float u_time;               // Time for dynamic effects
+uniform float uTime;                // Animation clock shared with the vertex shader
 
 // Input from vertex shader
 varying vec3 vPosition;             // Position passed from vertex shader
 varying float vDistanceToCamera;    // Distance to camera for depth effects
+varying float vLineT;               // Parameter along the edge curve
+varying float vEdgeIndex;           // Index of the edge
+varying float vEdgeType;            // Curve type id
+varying float vEdgeDistance;        // Metric length of the edge
+varying float vArcLength;           // Geodesic length of the edge (metric length if not a geodesic)
+varying float vSide;                // -1 .. +1 across the ribbon width
+varying float vAlpha;               // Edge opacity (sculpt fade)
 
 // Dynamic color generation based on line properties
 vec3 generateDynamicColor() {
@@ -46,6 +54,13 @@ vec3 generateDynamicColor() {
         0.5 + 0.3 * sin(u_reflectivity * 1.5 + u_time * 0.2)          // Blue component
     );
     
+    // Tint by curve type so different interpolators are distinguishable
+    baseColor += 0.15 * vec3(
+        sin(vEdgeType * 1.7),
+        sin(vEdgeType * 2.3 + 2.0),
+        sin(vEdgeType * 3.1 + 4.0)
+    );
+    
     // Add subtle Chladni influence to color
     float chladniFactor = sin(uChladniFrequencyX * vPosition.x + u_time) * 
                           sin(uChladniFrequencyY * vPosition.y + u_time);
@@ -75,14 +90,18 @@ float calculateLightInteraction() {
 
 // Line pattern generation - for creating dash patterns or variations along the line
 float calculateLinePattern() {
+    // Arc parameter along the edge, in metric units (along the geodesic for
+    // geodesic edges), flowing from start to end
+    float arc = vLineT * vArcLength - uTime * uAnimationSpeed * 0.5;
+
     // If line dash is enabled
     if (uLineDash > 0.0) {
-        float dashPattern = mod(vPosition.x + vPosition.y + vPosition.z + u_time * uAnimationSpeed * 0.5, uLineDash * 2.0);
+        float dashPattern = mod(arc, uLineDash * 2.0);
         return step(uLineDash, dashPattern);
     }
     
-    // For solid lines, return a subtle pattern based on position
-    float lineVariation = sin(vPosition.x * 5.0 + vPosition.y * 5.0 + u_time * uAnimationSpeed) * 0.5 + 0.5;
+    // For solid lines, return a subtle pulse travelling along the edge
+    float lineVariation = sin(arc * 5.0 + vEdgeIndex * 0.37) * 0.5 + 0.5;
     return mix(0.8, 1.0, lineVariation);
 }
 
@@ -129,6 +148,10 @@ void main() {
     
     // Apply line pattern to alpha
     alpha *= linePattern;
+
+    // Soften the ribbon edges
+    alpha *= 1.0 - smoothstep(0.6, 1.0, abs(vSide));
+    alpha *= vAlpha;
     
     // Output final fragment color
     gl_FragColor = vec4(finalColor, alpha);
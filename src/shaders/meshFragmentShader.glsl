@@ -0,0 +1,43 @@
+#ifdef GL_ES
+precision mediump float;
+#endif
+
+// Uniform variables for polygon properties
+uniform float u_charge;           // Electrical charge
+uniform float u_symmetryIndex;    // Stability and interaction encoding
+uniform float u_reflectivity;     // Light reflectivity
+uniform float u_density;          // Density of the polygon
+uniform float uTime;              // Time for dynamic effects
+
+// Input from vertex shader
+varying vec3 vNormal;
+varying vec3 vViewPosition;
+varying float vAlpha;
+varying vec3 vMetricColor;
+varying float vMetricColorMix;
+
+// Dynamic color generation based on polygon properties
+vec3 generateDynamicColor() {
+    vec3 baseColor = vec3(
+        0.5 + 0.5 * sin(u_charge * 3.0),
+        0.5 + 0.5 * cos(u_symmetryIndex * 2.0),
+        0.5 + 0.5 * tan(u_reflectivity)
+    );
+    return clamp(baseColor, 0.0, 1.0);
+}
+
+void main() {
+    vec3 normal = normalize(vNormal);
+    vec3 viewDir = normalize(vViewPosition);
+
+    // Two-sided diffuse + Blinn-Phong specular from a light fixed to the camera
+    vec3 lightDir = normalize(vec3(0.3, 0.6, 1.0));
+    float diffuse = abs(dot(normal, lightDir));
+    vec3 halfDir = normalize(lightDir + viewDir);
+    float specular = pow(abs(dot(normal, halfDir)), 32.0) * u_reflectivity;
+
+    vec3 baseColor = mix(generateDynamicColor(), vMetricColor, vMetricColorMix);
+    vec3 color = baseColor * (0.2 + 0.8 * diffuse) + vec3(specular);
+
+    gl_FragColor = vec4(color, clamp(u_density, 0.0, 1.0) * 0.85 * vAlpha);
+}
@@ -0,0 +1,79 @@
+// Assembles the point, line and surface vertex shaders from the shared
+// chunks and the current stage list (see core/shader-pipeline.js):
+//
+//   transformUniforms  shared uniforms (time, Chladni, Möbius, noise)
+//   stage uniforms     weights and stage parameters, from the registry
+//   noise, complex     simplex noise and complex arithmetic
+//   transformStages    the built-in stage functions
+//   transformPosition  generated: the enabled stages, in order
+//   vertex attributes  generated, points only: per-vertex metric attributes,
+//                      metricValue() and colormap() (core/vertex-attributes.js)
+//   <kind>             the shader's own declarations and main()
+
+import ShaderStages, { weightUniform, normalizePipeline } from '../core/shader-pipeline.js';
+import { vertexAttributeSource } from '../core/vertex-attributes.js';
+import transformUniforms from './chunks/transformUniforms.glsl';
+import noise from './chunks/noise.glsl';
+import complex from './chunks/complex.glsl';
+import transformStages from './chunks/transformStages.glsl';
+import pointVertexShader from './customVertexShader.glsl';
+import lineVertexShader from './lineVertexShader.glsl';
+import surfaceVertexShader from './surfaceVertexShader.glsl';
+
+const vertexShaders = {
+  points: pointVertexShader,
+  lines: lineVertexShader,
+  surface: surfaceVertexShader
+};
+
+function stageUniformDeclarations() {
+  const lines = ['// ======== Stage Uniforms (generated) ========', ''];
+  ShaderStages.list().forEach(name => {
+    const stage = ShaderStages.get(name);
+    lines.push(`uniform float ${weightUniform(name)}; // ${stage.label} weight`);
+    Object.keys(stage.uniforms).forEach(uniform => lines.push(`uniform float ${uniform};`));
+  });
+  return lines.join('\n');
+}
+
+function transformPositionSource(pipeline) {
+  const lines = [
+    '// ======== Transform Pipeline (generated) ========',
+    '',
+    'vec3 transformPosition(vec3 pos, float time) {'
+  ];
+  normalizePipeline(pipeline).forEach(entry => {
+    if (!entry.enabled) return;
+    const stage = ShaderStages.get(entry.stage);
+    lines.push(`  pos = mix(pos, ${stage.glsl}(pos, time), ${weightUniform(entry.stage)});`);
+  });
+  lines.push('  return pos;', '}');
+  return lines.join('\n');
+}
+
+// Vertex shader source for 'points', 'lines' or 'surface'
+function buildVertexShader(kind, pipeline) {
+  const body = vertexShaders[kind];
+  if (!body) {
+    throw new Error(`Unknown vertex shader kind: ${kind}`);
+  }
+
+  // GLSL of stages registered from outside
+  const customSources = ShaderStages.list()
+    .map(name => ShaderStages.get(name).source)
+    .filter(Boolean);
+
+  return [
+    transformUniforms,
+    stageUniformDeclarations(),
+    noise,
+    complex,
+    transformStages,
+    ...customSources,
+    transformPositionSource(pipeline),
+    ...(kind === 'points' ? [vertexAttributeSource()] : []),
+    body
+  ].join('\n\n');
+}
+
+export { buildVertexShader };
@@ -0,0 +1,34 @@
+#ifdef GL_ES
+precision mediump float;
+#endif
+
+// Surface uniforms
+uniform vec3 uSurfaceColor;         // Base colour of the surface
+uniform float uSurfaceOpacity;      // Overall opacity
+uniform float uTime;                // Time for dynamic effects
+
+// Input from vertex shader
+varying vec3 vNormal;
+varying vec3 vViewPosition;
+varying vec2 vUv;
+varying float vChladni;
+
+void main() {
+    vec3 normal = normalize(vNormal);
+    vec3 viewDir = normalize(vViewPosition);
+
+    // Two-sided diffuse lighting from a light fixed to the camera
+    vec3 lightDir = normalize(vec3(0.3, 0.6, 1.0));
+    float diffuse = abs(dot(normal, lightDir));
+
+    // Rim light to keep the silhouette readable when transparent
+    float rim = pow(1.0 - abs(dot(normal, viewDir)), 2.0);
+
+    // Darken the Chladni nodal lines (where the displacement is zero)
+    float nodal = smoothstep(0.0, 0.15, abs(vChladni));
+
+    vec3 color = uSurfaceColor * (0.25 + 0.75 * diffuse) * mix(0.6, 1.0, nodal);
+    color += vec3(0.4, 0.5, 0.8) * rim * 0.5;
+
+    gl_FragColor = vec4(color, uSurfaceOpacity * (0.6 + 0.4 * rim));
+}
@@ -0,0 +1,48 @@
+// Metric Surface Vertex Shader
+// Displaces the metric surface along its normal with the Chladni plate
+// pattern in UV space, so the surface breathes with the points and lines, then runs
+// it through the same transform pipeline (prepended by pipeline.js).
+
+// ======== Uniform Declarations ========
+
+// Surface specific uniforms
+uniform float uSurfaceDisplacement; // Scales the displacement along the normal
+
+// ======== Varying Variables ========
+varying vec3 vNormal;
+varying vec3 vViewPosition;
+varying vec2 vUv;
+varying float vChladni;
+
+// ======== Plate Coordinates ========
+
+// Where a surface (u, v) lies on the Chladni plate: the sine pattern spans
+// 2π, the square plate its side, and the circular plate is wrapped around
+// the pole (radius v * size, angle 2π u)
+vec2 surfacePlatePosition(vec2 uv) {
+  if (uChladniPlate == 0) return uv * 6.28318530718;
+  if (uChladniPlate == 1) return (uv - 0.5) * uChladniPlateSize;
+  float angle = uv.x * 6.28318530718;
+  return uv.y * uChladniPlateSize * vec2(cos(angle), sin(angle));
+}
+
+// ======== Main Shader Function ========
+
+void main() {
+  float time = uTime * uAnimationSpeed;
+
+  // Chladni pattern over the (u, v) parametrisation of the sphere
+  float chladni = chladniField(surfacePlatePosition(uv), time);
+
+  vec3 pos = position + normal * chladni * uChladniAmplitude * uSurfaceDisplacement;
+  pos = transformPosition(pos, uTime);
+
+  vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+  gl_Position = projectionMatrix * mvPosition;
+
+  // Pass data to fragment shader
+  vNormal = normalize(normalMatrix * normal);
+  vViewPosition = -mvPosition.xyz;
+  vUv = uv;
+  vChladni = chladni;
+}
@@ -1,3 +1,20 @@
+// Most undo steps kept
+const HISTORY_LIMIT = 100;
+
+// Changes with the same coalesce key closer together than this (ms) merge
+// into one undo step, so a slider drag is undone in one go
+const COALESCE_WINDOW = 1000;
+
+// Values are recorded by copy so later in-place edits (dat.GUI writes into
+// config directly) do not change the history
+function cloneValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+function sameValue(a, b) {
+  return a === b || (typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b));
+}
+
 class StateStore {
   constructor() {
     // Metric Space Configuration
@@ -5,15 +22,58 @@ class StateStore {
       // New: Vertex count (make sure to include this property)
       vertexCount: 10,
 
+      // Seed of the vertex generator (see core/random.js); the same seed and
+      // vertex count always reproduce the same vertices
+      seed: 1,
+
+      // Vertex distribution (see core/vertex-generators.js); generator and
+      // field parameters are defined on demand by the GUI
+      vertexGenerator: 'jitteredBox',
+      weightField: 'skewedRandom', // Field mapped onto [weightMin, weightMax]
+      weightMin: 1.0,
+      weightMax: 3.0,
+      curvatureField: 'random',    // Field mapped onto [curvatureMin, curvatureMax]
+      curvatureMin: 0.0,
+      curvatureMax: Math.PI / 4,
+
       // Metric Space Parameters
+      metric: 'composite', // Name of the active metric in the metric registry
       alpha: 1.0,   // Euclidean distance weight
       beta: 0.5,    // Curvature term weight
       gamma: 0.2,   // Weight term weight
       threshold: 10.0,
 
+      // Edge construction (see core/graph-construction.js)
+      graphMode: 'epsilon', // epsilon ball of radius `threshold`
+      knnK: 5,
+      graphCandidates: 16, // Neighbours considered by Gabriel/RNG/MST modes
+      epsilonEdgeLimit: 0, // Opt-in cap on epsilon edges (0 = exact epsilon graph)
+
+      // Edge curves (see core/curve-interpolators.js): the mapping picks a
+      // curve interpolator per edge from bands of an edge attribute
+      curveMapping: {
+        attribute: 'relativeDistance',
+        bands: [
+          { max: 0.5, curve: 'quadratic' },
+          { curve: 'mobius' }
+        ]
+      },
+      bezierTension: 1.0,
+      catmullRomBend: 0.5,
+      helixTurns: 2,
+      helixRadius: 0.2,
+      geodesicStrength: 0.5, // Conformal metric built from vertex weight/curvature
+      geodesicSigma: 0.5,
+      geodesicIterations: 40,
+
+      // Parameters of the non-composite built-in metrics
+      minkowskiP: 3.0,
+      hyperbolicRadius: 5.0,
+      sphereRadius: 2.0,
+
       // Extended Metric Space Controls
-      minDistance: 0.1,   // Minimum inter-vertex distance
-      maxDistance: 50.0,  // Maximum inter-vertex distance
+      minDistance: 0.1,   // Minimum inter-vertex distance (enforced when generating)
+      maxDistance: 50.0,  // Maximum inter-vertex distance (enforced when generating)
       distortionFactor: 0.1, // New parameter for spatial warping
 
       // Visualization Parameters
@@ -23,9 +83,68 @@ class StateStore {
       pointOpacity: 0.7,
       pointOpacityRange: [0.1, 1.0],
 
+      // Per-vertex metric attributes (see core/vertex-attributes.js) shown
+      // as point colour, size and opacity; 'none' leaves a channel unmapped
+      vertexColorAttribute: 'weight',
+      vertexColormap: 'viridis',
+      vertexSizeAttribute: 'none',
+      vertexSizeMin: 0.5,    // Point size factor at the low end of the range
+      vertexSizeMax: 2.0,    // ... and at the high end
+      vertexOpacityAttribute: 'none',
+      vertexOpacityMin: 0.2,
+      vertexOpacityMax: 1.0,
+      vertexAttributeLegend: true,
+
+      // Faces for the "mesh" render mode (see core/triangulation.js)
+      meshTriangulation: 'hull',
+
+      // Metric surface (generateMetricSurface)
+      surfaceVisible: true,
+      surfaceWireframe: false,
+      surfaceThetaResolution: 50,
+      surfacePhiResolution: 50,
+      surfaceColor: 0x3366cc,
+      surfaceOpacity: 0.35,
+      surfaceDisplacement: 0.2,
+
       lineColor: 0xff0000,
       lineOpacity: 0.5,
       lineOpacityRange: [0.1, 0.9],      
+      lineWidth: 2.0,      // Ribbon width in pixels
+      lineDash: 0.0,       // Dash length along the edge (0 = solid)
+      lineVariation: 0.1,  // Noise-driven width variation
+
+      // Point cloud import (see core/point-cloud-import.js); column names
+      // are matched case-insensitively, '' means no column
+      importWeightColumn: 'weight',
+      importCurvatureColumn: 'curvature',
+      importDefaultWeight: 1.0,    // Used when the weight column is missing
+      importDefaultCurvature: 0.0, // Used when the curvature column is missing
+      importCenter: true,          // Move the centroid to the origin
+      importNormalize: true,       // Scale so the farthest vertex lies at importRadius
+      importRadius: 2.0,
+
+      // Export (see core/geometry-export.js)
+      exportPoints: true,
+      exportEdges: true,
+      exportSurface: true,
+      exportBakeDisplacement: false, // Bake the shader displacement at exportBakeTime
+      exportBakeTime: 0.0,           // uTime (seconds) to bake at
+
+      // Sculpting (see ui/SculptTool.js)
+      sculptEnabled: false,
+      sculptBrush: 'subtract', // subtract | add | multiply | divide
+      sculptBrushRadius: 0.5,  // Brush radius under the active metric
+      sculptFadeDuration: 0.6, // Seconds a vertex takes to fade out before removal
+      sculptAddCount: 5,       // Vertices spawned per additive dab
+      sculptSpread: 0.3,       // Scatter radius (world units) of spawned vertices
+      sculptScaleFactor: 1.2,  // Weight/curvature factor of the multiplicative brush
+      sculptSplitCount: 2,     // Children per vertex of the divisive brush
+
+      // Vertex editing (see ui/VertexEditor.js)
+      editEnabled: false,
+      editSelectionTool: 'click', // click | box | lasso
+      editGizmoMode: 'translate', // translate | rotate | scale
 
       // Animation/Interaction
       autoRotate: false,
@@ -40,8 +159,43 @@ class StateStore {
       uChladniFrequencyX: 1.0,
       uChladniFrequencyY: 1.0,
       uChladniFrequencyRange: [0, 20],
+
+      // Chladni plate (see core/chladni.js): 'sine' uses the frequencies
+      // above, 'square' and 'circular' superpose plate modes
+      chladniPlate: 'square',
+      chladniPlateSize: 4,
+      chladniModes: [
+        { m: 1, n: 2, amplitude: 1, phase: 0 }
+      ],
+      chladniShowNodalLines: true,
       
-      uUseClassicalMobius: true,
+      // Vertex transform pipeline (see core/shader-pipeline.js): enabled
+      // stages run in this order, each blended in by its weight
+      shaderPipeline: [
+        { stage: 'noise', enabled: true, weight: 1 },
+        { stage: 'classicalMobius', enabled: true, weight: 1 },
+        { stage: 'enhancedMobius', enabled: false, weight: 1 },
+        { stage: 'chladni', enabled: true, weight: 1 },
+        { stage: 'twist', enabled: false, weight: 1 },
+        { stage: 'radialWarp', enabled: false, weight: 1 }
+      ],
+      twistAmount: 0.5,
+      radialWarpAmount: 0.3,
+      radialWarpFrequency: 2,
+
+      // Classical Möbius stage: z -> (az + b) / (cz + d), each coefficient
+      // [re, im], normalised to ad - bc = 1 (see core/mobius.js)
+      mobiusCoefficients: { a: [1, 0], b: [0, 0], c: [0, 0], d: [1, 0] },
+      mobiusTransitionDuration: 1.5,
+      mobiusShowFixedPoints: true,
+
+      // Audio-reactive parameters (see ui/AudioReactive.js): each maps an
+      // audio feature onto a numeric setting
+      audioMappings: [
+        { feature: 'dominant', target: 'uChladniFrequencyX', gain: 1, smoothing: 0.8, min: 0, max: 20 },
+        { feature: 'bass', target: 'uMobiusFactor', gain: 1.5, smoothing: 0.6, min: 0, max: 5 }
+      ],
+
       uMobiusFactor: 1.0,
       uMobiusFactorRange: [0, 10],
       
@@ -54,16 +208,223 @@ class StateStore {
 
     // Listeners for configuration changes
     this.listeners = [];
+
+    // Undo/redo history. Each entry is one undo step:
+    //   { label, time, coalesceKey, changes: Map key -> { before, after },
+    //     operations: Map target -> { undo, redo } }
+    // Config changes are replayed through update's listeners first, then the
+    // operations (e.g. vertex snapshots) on top.
+    this.undoStack = [];
+    this.redoStack = [];
+    this.openEntry = null; // Entry collecting nested changes
+    this.replaying = false;
+    this.historyListeners = [];
+    this.committed = cloneValue(this.config); // Last recorded config values
   }
 
   // Update a specific configuration parameter
   update(key, value) {
+    if (this.config.hasOwnProperty(key)) {
+      this.config[key] = value;
+      // Follow-up changes made by listeners join the same undo step
+      this.transaction(key, () => {
+        this.recordChange(key, value);
+        this.notifyListeners(key, value);
+      }, `config:${key}`);
+    }
+  }
+
+  // Add a configuration parameter if it does not exist yet
+  // (e.g. parameters of metrics registered from outside)
+  define(key, defaultValue) {
+    if (!this.config.hasOwnProperty(key)) {
+      this.config[key] = defaultValue;
+      this.committed[key] = cloneValue(defaultValue);
+    }
+    return this.config[key];
+  }
+
+  // Set many parameters at once without notifying listeners (e.g. when
+  // restoring a saved session); unknown keys are defined
+  assign(values) {
+    Object.entries(values).forEach(([key, value]) => {
+      this.config[key] = value;
+      this.committed[key] = cloneValue(value);
+    });
+  }
+
+  // Drive a parameter live (e.g. from audio) without recording history.
+  // Listeners are notified, but the recorded value stays the last one set
+  // through update, and restore() brings it back.
+  modulate(key, value) {
     if (this.config.hasOwnProperty(key)) {
       this.config[key] = value;
       this.notifyListeners(key, value);
     }
   }
 
+  restore(key) {
+    if (this.config.hasOwnProperty(key)) {
+      this.modulate(key, cloneValue(this.committed[key]));
+    }
+  }
+
+  // ---- Undo/redo history ----
+
+  // Whether changes are being recorded (not while undoing or redoing)
+  isRecording() {
+    return !this.replaying;
+  }
+
+  // Run `fn` without recording what it changes, e.g. the rebuilds that
+  // follow a modulated setting
+  untracked(fn) {
+    const replaying = this.replaying;
+    this.replaying = true;
+    try {
+      return fn();
+    } finally {
+      this.replaying = replaying;
+    }
+  }
+
+  // Run `fn` with every change it makes collected into one undo step
+  transaction(label, fn, coalesceKey = null) {
+    if (this.openEntry || this.replaying) {
+      return fn();
+    }
+
+    const entry = this.pushEntry(label, coalesceKey);
+    this.openEntry = entry;
+    try {
+      return fn();
+    } finally {
+      this.openEntry = null;
+      // Nothing actually changed
+      if (!entry.changes.size && !entry.operations.size) {
+        this.undoStack = this.undoStack.filter(e => e !== entry);
+      }
+      this.notifyHistory();
+    }
+  }
+
+  // Record a change that is not a config value, e.g. the vertex set before
+  // and after an edit. Within one step, a second operation on the same
+  // target keeps the first undo and the latest redo.
+  recordOperation({ label, target, undo, redo, coalesceKey = null }) {
+    if (this.replaying) return;
+
+    const entry = this.openEntry || this.pushEntry(label, coalesceKey);
+    this.redoStack = [];
+    const existing = entry.operations.get(target);
+    entry.operations.set(target, { undo: existing ? existing.undo : undo, redo });
+    if (!this.openEntry) {
+      this.notifyHistory();
+    }
+  }
+
+  // Called by update inside its transaction
+  recordChange(key, value) {
+    const before = this.committed[key];
+    this.committed[key] = cloneValue(value);
+    if (this.replaying || sameValue(before, value)) return;
+
+    this.redoStack = [];
+    const existing = this.openEntry.changes.get(key);
+    this.openEntry.changes.set(key, { before: existing ? existing.before : before, after: cloneValue(value) });
+  }
+
+  // New undo step, or the previous one when it can absorb this change
+  pushEntry(label, coalesceKey) {
+    const now = Date.now();
+    const top = this.undoStack[this.undoStack.length - 1];
+
+    if (coalesceKey && top && top.coalesceKey === coalesceKey && now - top.time < COALESCE_WINDOW) {
+      top.time = now;
+      return top;
+    }
+
+    const entry = { label, time: now, coalesceKey, changes: new Map(), operations: new Map() };
+    this.undoStack.push(entry);
+    if (this.undoStack.length > HISTORY_LIMIT) {
+      this.undoStack.shift();
+    }
+    return entry;
+  }
+
+  // Apply one side ('before' or 'after') of an entry
+  replay(entry, side) {
+    this.replaying = true;
+    try {
+      entry.changes.forEach((change, key) => {
+        const value = cloneValue(change[side]);
+        this.config[key] = value;
+        this.committed[key] = cloneValue(value);
+        this.notifyListeners(key, value);
+      });
+
+      const operations = [...entry.operations.values()];
+      if (side === 'before') {
+        operations.reverse().forEach(operation => operation.undo());
+      } else {
+        operations.forEach(operation => operation.redo());
+      }
+    } finally {
+      this.replaying = false;
+    }
+  }
+
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+    this.replay(entry, 'before');
+    this.redoStack.push(entry);
+    this.notifyHistory(entry);
+    return entry;
+  }
+
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+    this.replay(entry, 'after');
+    this.undoStack.push(entry);
+    this.notifyHistory(entry);
+    return entry;
+  }
+
+  // Undo or redo until `position` steps are applied (see getHistory)
+  goToHistory(position) {
+    while (this.undoStack.length > position && this.undo());
+    while (this.undoStack.length < position && this.redo());
+  }
+
+  // { entries: oldest first, position: number of entries applied }
+  getHistory() {
+    return {
+      entries: this.undoStack.concat([...this.redoStack].reverse()),
+      position: this.undoStack.length
+    };
+  }
+
+  clearHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notifyHistory();
+  }
+
+  // listener(replayedEntry) after every history change; replayedEntry is
+  // set for undo/redo, whose config changes the GUI has to display
+  subscribeHistory(listener) {
+    this.historyListeners.push(listener);
+    return () => {
+      this.historyListeners = this.historyListeners.filter(l => l !== listener);
+    };
+  }
+
+  notifyHistory(replayedEntry = null) {
+    this.historyListeners.forEach(listener => listener(replayedEntry));
+  }
+
   // Subscribe to configuration changes
   subscribe(listener) {
     this.listeners.push(listener);
@@ -0,0 +1,264 @@
+import Logger from '../logger.js';
+import { audioFeatures, AudioFeatureExtractor, mapFeature } from '../core/audio-features.js';
+import ShaderStages, { SHADER_UNIFORM_KEYS } from '../core/shader-pipeline.js';
+
+const FFT_SIZE = 2048;
+
+// Numeric settings that must not follow the audio (they rebuild the scene
+// or its random stream)
+const UNMAPPABLE_KEYS = ['vertexCount', 'seed'];
+
+// Minimum time (seconds) between audio-driven changes of a setting that
+// rebuilds the geometry; shader uniforms follow every frame
+const REBUILD_INTERVAL = 0.5;
+
+function isMappable(config, key) {
+  return typeof config[key] === 'number' && !UNMAPPABLE_KEYS.includes(key);
+}
+
+// Whether a setting only feeds shader uniforms
+function isUniformKey(key) {
+  return SHADER_UNIFORM_KEYS.includes(key) || ShaderStages.isStageParam(key);
+}
+
+// Settings an audio mapping can drive
+function mappableKeys(config) {
+  return Object.keys(config)
+    .filter(key => isMappable(config, key))
+    .sort();
+}
+
+// Default [min, max] of a mapping onto `key`: its GUI range where the config
+// has one (<key>Range, or shared by an X/Y pair), otherwise zero to twice
+// the current value
+function defaultMappingRange(config, key) {
+  const range = config[`${key}Range`] || config[`${key.replace(/[XY]$/, '')}Range`];
+  if (Array.isArray(range)) return [range[0], range[1]];
+  return [0, Math.max(1, Math.abs(config[key]) * 2)];
+}
+
+// Audio-reactive mode: a local audio file (played back) or the microphone
+// is analysed with an AnalyserNode every frame, and each entry of the
+// `audioMappings` setting,
+//   { feature, target, gain, smoothing, min, max },
+// drives its target setting from one feature (see core/audio-features.js).
+// Driven values are modulated, so they stay out of the undo history, and
+// stopping puts back the values set by hand.
+class AudioReactive {
+  constructor(stateStore, visualization) {
+    this.stateStore = stateStore;
+    this.visualization = visualization;
+    this.context = null;
+    this.analyser = null;
+    this.source = null;
+    this.mediaElement = null;
+    this.objectUrl = null;
+    this.stream = null;
+    this.fileInput = null;
+    this.extractor = new AudioFeatureExtractor();
+    this.spectrum = null;
+    this.waveform = null;
+    this.lastTime = null;
+
+    // Smoothed feature value per mapping, the keys currently driven, and
+    // when each rebuilding key last changed
+    this.smoothed = new Map();
+    this.driven = new Set();
+    this.lastRebuild = new Map();
+
+    // Latest features, for the GUI readouts
+    this.monitor = { level: 0, bass: 0, dominantHz: 0, onset: 0, source: 'none' };
+  }
+
+  isActive() {
+    return Boolean(this.analyser);
+  }
+
+  openFilePicker() {
+    if (!this.fileInput) {
+      this.fileInput = document.createElement('input');
+      this.fileInput.type = 'file';
+      this.fileInput.accept = 'audio/*';
+      this.fileInput.style.display = 'none';
+      this.fileInput.addEventListener('change', () => {
+        const file = this.fileInput.files[0];
+        if (file) {
+          this.loadFile(file);
+        }
+        // Allow picking the same file again
+        this.fileInput.value = '';
+      });
+      document.body.appendChild(this.fileInput);
+    }
+    this.fileInput.click();
+  }
+
+  // Play a local audio file in a loop and analyse it
+  async loadFile(file) {
+    this.stop();
+    try {
+      const context = this.ensureContext();
+      this.objectUrl = URL.createObjectURL(file);
+      this.mediaElement = new Audio(this.objectUrl);
+      this.mediaElement.loop = true;
+
+      this.source = context.createMediaElementSource(this.mediaElement);
+      this.connectAnalyser();
+      this.analyser.connect(context.destination);
+
+      await context.resume();
+      await this.mediaElement.play();
+      this.monitor.source = file.name;
+      Logger.info('Audio file loaded', { name: file.name });
+    } catch (error) {
+      Logger.error('Failed to play audio file', { name: file.name, error: error.message });
+      this.stop();
+    }
+  }
+
+  // Analyse the microphone (not played back, to avoid feedback)
+  async useMicrophone() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      Logger.warn('Microphone input is not available in this browser');
+      return;
+    }
+
+    this.stop();
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const context = this.ensureContext();
+      this.source = context.createMediaStreamSource(this.stream);
+      this.connectAnalyser();
+
+      await context.resume();
+      this.monitor.source = 'microphone';
+      Logger.info('Microphone input started');
+    } catch (error) {
+      Logger.error('Failed to open the microphone', { error: error.message });
+      this.stop();
+    }
+  }
+
+  // Stop the audio and put back the driven settings
+  stop() {
+    if (this.source) {
+      this.source.disconnect();
+    }
+    if (this.analyser) {
+      this.analyser.disconnect();
+    }
+    if (this.mediaElement) {
+      this.mediaElement.pause();
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+    }
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+    }
+
+    this.source = null;
+    this.analyser = null;
+    this.mediaElement = null;
+    this.stream = null;
+    this.objectUrl = null;
+    this.lastTime = null;
+    this.extractor.reset();
+    this.smoothed.clear();
+    this.releaseAll();
+    Object.assign(this.monitor, { level: 0, bass: 0, dominantHz: 0, onset: 0, source: 'none' });
+  }
+
+  detach() {
+    this.stop();
+    if (this.context) {
+      this.context.close();
+      this.context = null;
+    }
+    if (this.fileInput) {
+      this.fileInput.remove();
+      this.fileInput = null;
+    }
+  }
+
+  ensureContext() {
+    if (!this.context) {
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContext) {
+        throw new Error('Web Audio is not available in this browser');
+      }
+      this.context = new AudioContext();
+    }
+    return this.context;
+  }
+
+  connectAnalyser() {
+    this.analyser = this.context.createAnalyser();
+    this.analyser.fftSize = FFT_SIZE;
+    // Features are smoothed per mapping instead
+    this.analyser.smoothingTimeConstant = 0;
+    this.source.connect(this.analyser);
+
+    this.spectrum = new Uint8Array(this.analyser.frequencyBinCount);
+    this.waveform = new Float32Array(this.analyser.fftSize);
+  }
+
+  // Put back the hand-set values of the driven settings
+  releaseAll() {
+    this.stateStore.untracked(() => this.driven.forEach(key => this.stateStore.restore(key)));
+    this.driven.clear();
+    this.lastRebuild.clear();
+  }
+
+  // The mappings changed: settings no longer targeted are put back
+  onMappingsChange() {
+    const targets = new Set(this.stateStore.config.audioMappings.map(mapping => mapping.target));
+    this.driven.forEach(key => {
+      if (!targets.has(key)) {
+        this.stateStore.untracked(() => this.stateStore.restore(key));
+        this.driven.delete(key);
+        this.lastRebuild.delete(key);
+      }
+    });
+    this.smoothed.clear();
+  }
+
+  // Called every frame with the time in seconds
+  update(time) {
+    if (!this.analyser) return;
+    const dt = this.lastTime === null ? 1 / 60 : Math.min(0.25, time - this.lastTime);
+    this.lastTime = time;
+
+    this.analyser.getByteFrequencyData(this.spectrum);
+    this.analyser.getFloatTimeDomainData(this.waveform);
+    const features = this.extractor.process(this.spectrum, this.waveform, this.context.sampleRate, dt);
+    Object.assign(this.monitor, {
+      level: features.level,
+      bass: features.bass,
+      dominantHz: features.dominantHz,
+      onset: features.onset
+    });
+
+    const { config } = this.stateStore;
+    config.audioMappings.forEach((mapping, index) => {
+      if (!audioFeatures[mapping.feature] || !isMappable(config, mapping.target)) return;
+
+      const { smoothed, value } = mapFeature(mapping, features[mapping.feature], this.smoothed.get(index), dt);
+      this.smoothed.set(index, smoothed);
+      this.driven.add(mapping.target);
+
+      if (isUniformKey(mapping.target)) {
+        this.stateStore.modulate(mapping.target, value);
+        return;
+      }
+      // Geometry rebuilds are throttled and kept out of the undo history
+      const last = this.lastRebuild.get(mapping.target);
+      if (last !== undefined && time - last < REBUILD_INTERVAL) return;
+      this.lastRebuild.set(mapping.target, time);
+      this.stateStore.untracked(() => this.stateStore.modulate(mapping.target, value));
+    });
+  }
+}
+
+export { mappableKeys, defaultMappingRange };
+export default AudioReactive;
@@ -0,0 +1,141 @@
+import * as THREE from 'three';
+import { chladniPlates, packChladniModes, plateModeValue, sampleGrid, zeroContour } from '../core/chladni.js';
+
+// Samples per side of the grid the nodal lines are traced on
+const GRID_RESOLUTION = 96;
+
+// Segments of the circular plate outline
+const OUTLINE_SEGMENTS = 96;
+
+// Nodal lines of the Chladni plate, where the sand of a real plate would
+// gather: the zero contour of the plate displacement, traced every frame
+// in the plate plane (z = 0, the input of the Chladni stage) together with
+// the plate outline. Each mode's shape is sampled once per settings change;
+// a frame only recombines them with their cos(t + phase) factors.
+class ChladniOverlay {
+  constructor(stateStore, visualization) {
+    this.stateStore = stateStore;
+    this.visualization = visualization;
+    this.group = null;
+    this.lines = null;
+    this.outline = null;
+
+    // { uniforms, extent, grids, values } for the current settings
+    this.cache = null;
+  }
+
+  attach() {
+    const material = new THREE.LineBasicMaterial({
+      color: 0xf5deb3,
+      transparent: true,
+      opacity: 0.85,
+      depthTest: false
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(
+      new Float32Array(GRID_RESOLUTION * GRID_RESOLUTION * 12), 3));
+    this.lines = new THREE.LineSegments(geometry, material);
+    this.lines.frustumCulled = false;
+
+    this.outline = new THREE.LineLoop(new THREE.BufferGeometry(), material);
+
+    this.group = new THREE.Group();
+    this.group.renderOrder = 998;
+    this.group.add(this.lines, this.outline);
+    this.group.visible = false;
+    this.visualization.scene.add(this.group);
+  }
+
+  detach() {
+    if (!this.group) return;
+    this.visualization.scene.remove(this.group);
+    this.lines.geometry.dispose();
+    this.outline.geometry.dispose();
+    this.lines.material.dispose();
+    this.group = null;
+    this.lines = null;
+    this.outline = null;
+    this.cache = null;
+  }
+
+  // Plate settings changed: resample on the next frame
+  invalidate() {
+    this.cache = null;
+  }
+
+  isVisible() {
+    const { config } = this.stateStore;
+    const stage = config.shaderPipeline.find(entry => entry.stage === 'chladni');
+    return Boolean(config.chladniShowNodalLines && stage && stage.enabled && stage.weight > 0);
+  }
+
+  // Sample every mode over the plate and rebuild the outline
+  prepare() {
+    const { config } = this.stateStore;
+    const uniforms = packChladniModes(config);
+    const circular = uniforms.uChladniPlate === chladniPlates.circular.id;
+    const extent = circular ? config.chladniPlateSize : config.chladniPlateSize / 2;
+
+    const grids = uniforms.uChladniPlate === chladniPlates.sine.id
+      ? []
+      : uniforms.uChladniModes.slice(0, uniforms.uChladniModeCount).map(mode =>
+        sampleGrid(GRID_RESOLUTION, extent, (x, y) =>
+          plateModeValue(uniforms.uChladniPlate, uniforms.uChladniPlateSize, mode, x, y)));
+
+    const outline = [];
+    if (circular) {
+      for (let i = 0; i < OUTLINE_SEGMENTS; i++) {
+        const angle = i / OUTLINE_SEGMENTS * Math.PI * 2;
+        outline.push(extent * Math.cos(angle), extent * Math.sin(angle), 0);
+      }
+    } else {
+      outline.push(-extent, -extent, 0, extent, -extent, 0, extent, extent, 0, -extent, extent, 0);
+    }
+    this.outline.geometry.setAttribute('position', new THREE.Float32BufferAttribute(outline, 3));
+
+    const size = GRID_RESOLUTION + 1;
+    this.cache = { uniforms, extent, grids, values: new Float32Array(size * size) };
+  }
+
+  // Called every frame with the shader time
+  update(time) {
+    if (!this.group) return;
+    this.group.visible = this.isVisible();
+    if (!this.group.visible) return;
+
+    if (!this.cache) {
+      this.prepare();
+    }
+    const { uniforms, extent, grids, values } = this.cache;
+
+    if (uniforms.uChladniPlate === chladniPlates.sine.id) {
+      const { uChladniFrequencyX, uChladniFrequencyY } = this.stateStore.config;
+      const size = GRID_RESOLUTION + 1;
+      for (let j = 0; j < size; j++) {
+        const y = -extent + 2 * extent * j / GRID_RESOLUTION;
+        const sy = Math.sin(uChladniFrequencyY * y + time);
+        for (let i = 0; i < size; i++) {
+          const x = -extent + 2 * extent * i / GRID_RESOLUTION;
+          values[j * size + i] = Math.sin(uChladniFrequencyX * x + time) * sy;
+        }
+      }
+    } else {
+      values.fill(0);
+      grids.forEach((grid, index) => {
+        const [, , amplitude, phase] = uniforms.uChladniModes[index];
+        const factor = amplitude * Math.cos(time + phase);
+        for (let i = 0; i < grid.length; i++) {
+          values[i] += factor * grid[i];
+        }
+      });
+    }
+
+    const position = this.lines.geometry.getAttribute('position');
+    const { count } = zeroContour(values, GRID_RESOLUTION, extent, position.array);
+    position.needsUpdate = true;
+    this.lines.geometry.setDrawRange(0, count);
+  }
+}
+
+export default ChladniOverlay;
@@ -0,0 +1,218 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter';
+import Logger from '../logger.js';
+import { collectExportData, writeObj, writePly, writeSvg } from '../core/geometry-export.js';
+import { uniformValues } from '../core/shader-displacement.js';
+
+// Export formats: file extension and MIME type
+const exportFormats = {
+  gltf: { label: 'glTF', extension: 'gltf', mimeType: 'model/gltf+json' },
+  glb: { label: 'GLB', extension: 'glb', mimeType: 'model/gltf-binary' },
+  obj: { label: 'OBJ', extension: 'obj', mimeType: 'text/plain' },
+  ply: { label: 'PLY', extension: 'ply', mimeType: 'text/plain' },
+  svg: { label: 'SVG', extension: 'svg', mimeType: 'image/svg+xml' }
+};
+
+// Trigger a browser download of `content` (string or ArrayBuffer)
+function download(content, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Writes the current point cloud, edge curves and metric surface to files.
+// What is included and whether the shader displacement is baked in come
+// from the export* StateStore keys.
+class Exporter {
+  constructor(stateStore, visualization) {
+    this.stateStore = stateStore;
+    this.visualization = visualization;
+  }
+
+  // uTime the materials are currently rendered at
+  currentTime() {
+    const { renderObject } = this.visualization;
+    return renderObject && renderObject.material.uniforms ? renderObject.material.uniforms.uTime.value : 0;
+  }
+
+  // Export data for the current scene and settings
+  collect() {
+    const { metricGeometry, renderObject, edgeRibbons, surfaceMesh } = this.visualization;
+    const config = this.stateStore.config;
+
+    const bake = config.exportBakeDisplacement && renderObject && edgeRibbons
+      ? {
+        time: config.exportBakeTime,
+        pipeline: config.shaderPipeline,
+        pointUniforms: uniformValues(renderObject.material.uniforms),
+        lineUniforms: uniformValues(edgeRibbons.material.uniforms),
+        surfaceUniforms: surfaceMesh ? uniformValues(surfaceMesh.material.uniforms) : null
+      }
+      : null;
+
+    return collectExportData(metricGeometry, surfaceMesh ? surfaceMesh.geometry : null, {
+      points: config.exportPoints,
+      edges: config.exportEdges,
+      surface: config.exportSurface && !!surfaceMesh,
+      bake,
+      source: { seed: config.seed, generator: config.vertexGenerator }
+    });
+  }
+
+  // Export in one of exportFormats
+  export(format) {
+    const entry = exportFormats[format];
+    if (!entry) {
+      Logger.warn('Unknown export format', { format });
+      return;
+    }
+    if (!this.visualization.metricGeometry) {
+      Logger.warn('Nothing to export yet');
+      return;
+    }
+
+    const fileName = `metric-space.${entry.extension}`;
+    try {
+      const data = this.collect();
+      const save = content => {
+        download(content, fileName, entry.mimeType);
+        Logger.info('Geometry exported', {
+          format,
+          fileName,
+          vertices: data.vertices.length,
+          edges: data.edges.length,
+          surface: !!data.surface,
+          bakedTime: this.stateStore.config.exportBakeDisplacement ? this.stateStore.config.exportBakeTime : null
+        });
+      };
+
+      if (format === 'gltf' || format === 'glb') {
+        this.writeGltf(data, format === 'glb', save);
+      } else if (format === 'obj') {
+        save(writeObj(data));
+      } else if (format === 'ply') {
+        save(writePly(data));
+      } else {
+        save(this.writeSvg(data));
+      }
+    } catch (error) {
+      Logger.error('Failed to export geometry', {
+        format,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  // glTF scene: "points" (with _WEIGHT/_CURVATURE attributes), "edges" as
+  // line segments along the curves, and the "surface" mesh
+  writeGltf(data, binary, onDone) {
+    const config = this.stateStore.config;
+    const scene = new THREE.Scene();
+    scene.name = 'MetricSpace';
+
+    if (data.vertices.length) {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(data.vertices.flatMap(v => [v.x, v.y, v.z]), 3));
+      geometry.setAttribute('weight', new THREE.Float32BufferAttribute(data.vertices.map(v => v.weight), 1));
+      geometry.setAttribute('curvature', new THREE.Float32BufferAttribute(data.vertices.map(v => v.curvature), 1));
+      const points = new THREE.Points(geometry, new THREE.PointsMaterial({ color: config.pointColor }));
+      points.name = 'points';
+      scene.add(points);
+    }
+
+    if (data.edges.length) {
+      const positions = [];
+      data.edges.forEach(edge => {
+        for (let k = 1; k < edge.points.length; k++) {
+          const a = edge.points[k - 1];
+          const b = edge.points[k];
+          positions.push(a.x, a.y, a.z, b.x, b.y, b.z);
+        }
+      });
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+      const edges = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: config.lineColor }));
+      edges.name = 'edges';
+      scene.add(edges);
+    }
+
+    if (data.surface) {
+      const { positions, normals, indices } = data.surface;
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions.flatMap(p => [p.x, p.y, p.z]), 3));
+      geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals.flatMap(n => [n.x, n.y, n.z]), 3));
+      geometry.setIndex(indices);
+      const surface = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+        color: config.surfaceColor,
+        transparent: true,
+        opacity: config.surfaceOpacity,
+        side: THREE.DoubleSide
+      }));
+      surface.name = 'surface';
+      scene.add(surface);
+    }
+
+    const dispose = () => scene.traverse(object => {
+      if (object.geometry) object.geometry.dispose();
+      if (object.material) object.material.dispose();
+    });
+
+    const exporter = new GLTFExporter();
+    // Seed and generator in asset.extras
+    exporter.register(writer => ({
+      afterParse: () => {
+        if (data.source) writer.json.asset.extras = { ...data.source };
+      }
+    }));
+    exporter.parse(
+      scene,
+      result => {
+        dispose();
+        onDone(binary ? result : JSON.stringify(result));
+      },
+      error => {
+        dispose();
+        Logger.error('Failed to export glTF', { error: error.message });
+      },
+      { binary }
+    );
+  }
+
+  // Project through the current camera onto the canvas
+  writeSvg(data) {
+    const { camera, renderer } = this.visualization;
+    const config = this.stateStore.config;
+    const width = renderer.domElement.clientWidth;
+    const height = renderer.domElement.clientHeight;
+    const vector = new THREE.Vector3();
+
+    const project = p => {
+      vector.set(p.x, p.y, p.z).project(camera);
+      if (vector.z < -1 || vector.z > 1) return null;
+      return { x: (vector.x + 1) / 2 * width, y: (1 - vector.y) / 2 * height, depth: vector.z };
+    };
+
+    return writeSvg(data, project, {
+      width,
+      height,
+      background: 0x000000,
+      pointColor: config.pointColor,
+      pointOpacity: config.pointOpacity,
+      pointRadius: Math.max(1.5, config.pointSize / 2),
+      lineColor: config.lineColor,
+      lineOpacity: config.lineOpacity,
+      lineWidth: config.lineWidth,
+      surfaceColor: config.surfaceColor,
+      surfaceOpacity: config.surfaceOpacity
+    });
+  }
+}
+
+export { exportFormats, download };
+export default Exporter;
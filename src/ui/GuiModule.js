@@ -1,5 +1,39 @@
 import * as dat from 'dat.gui';
 import StateStore from '../state-store.js';
+import MetricRegistry from '../core/metrics.js';
+import { summarizeReport } from '../core/metric-validator.js';
+import { graphModes, MAX_EPSILON_EDGES } from '../core/graph-construction.js';
+import CurveRegistry, { edgeAttributes, normalizeCurveMapping } from '../core/curve-interpolators.js';
+import { triangulationMethods } from '../core/triangulation.js';
+import { randomSeed } from '../core/random.js';
+import VertexGenerators, { VertexFields } from '../core/vertex-generators.js';
+import ShaderStages, { defaultPipeline, normalizePipeline } from '../core/shader-pipeline.js';
+import { mobiusPresets, classify, isDegenerate } from '../core/mobius.js';
+import { chladniPlates, MAX_CHLADNI_MODES } from '../core/chladni.js';
+import { audioFeatures } from '../core/audio-features.js';
+import { vertexAttributes, colormaps } from '../core/vertex-attributes.js';
+import { mappableKeys, defaultMappingRange } from './AudioReactive.js';
+import { sculptBrushes } from './SculptTool.js';
+import { selectionTools } from './VertexEditor.js';
+import { exportFormats } from './Exporter.js';
+
+// Most recent history steps listed in the History folder
+const HISTORY_PANEL_SIZE = 15;
+
+function formatHistoryValue(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(3);
+  if (value !== null && typeof value === 'object') return '…';
+  return String(value);
+}
+
+// "key = value" for a single config change, otherwise the step's label
+function describeHistoryEntry(entry) {
+  if (entry.changes.size === 1 && !entry.operations.size) {
+    const [[key, { after }]] = entry.changes;
+    return `${key} = ${formatHistoryValue(after)}`;
+  }
+  return entry.label;
+}
 
 class GuiModule {
   constructor(stateStore, onUpdateCallback) {
@@ -7,59 +41,234 @@ class GuiModule {
     this.onUpdateCallback = onUpdateCallback;
     this.gui = null;
     this.renderMode = 'points'; // Match the default in visualization
+    this.metricFolder = null;
+    this.metricParamControllers = [];
+    this.metricValidity = null;
+    this.metricWarningBadge = null;
+    this.curveFolder = null;
+    this.curveBandControllers = [];
+    this.curveMapping = null; // Copy of curveMapping the Curves folder edits
+    this.distributionFolder = null;
+    this.generatorParamControllers = [];
+    this.fieldParamControllers = [];
+    this.inspectorFolder = null;
+    this.inspectorSelection = 0;
+    this.curveAttributeController = null;
+    this.metricController = null;
+    this.pipelineFolder = null;
+    this.pipelineStageFolders = [];
+    this.mobiusFolder = null;
+    this.mobiusFields = {};
+    this.chladniFolder = null;
+    this.chladniModeFolders = [];
+    this.audioFolder = null;
+    this.audioMappingFolders = [];
+    this.historyFolder = null;
+    this.historyControllers = [];
+    this.historyRenderPending = false;
+
+    this.stateStore.subscribeHistory(entry => this.onHistoryChange(entry));
+    // Metrics registered after startup join the dropdown
+    MetricRegistry.subscribe(() => this.refreshMetricOptions());
   }
 
   init() {
     this.gui = new dat.GUI();
     this.setupVertexFolder();
     this.setupMetricSpaceFolder();
+    this.setupCurveFolder();
     this.setupVisualizationFolder();
+    this.setupVertexAttributeFolder();
+    this.setupSurfaceFolder();
     this.setupInteractionFolder();
+    this.setupImportFolder();
+    this.setupExportFolder();
+    this.setupSessionFolder();
+    this.setupSculptFolder();
+    this.setupEditFolder();
     this.setupShaderUniformsFolder();
+    this.setupShaderPipelineFolder();
+    this.setupMobiusFolder();
+    this.setupChladniFolder();
+    this.setupAudioFolder();
+    this.setupHistoryFolder();
   }
 
   setupVertexFolder() {
     const vertexFolder = this.gui.addFolder('Vertices');
     
     // Bind directly to the state object's vertexCount
-    vertexFolder.add(this.stateStore.config, 'vertexCount', 3, 500)
+    vertexFolder.add(this.stateStore.config, 'vertexCount', 3, 20000)
       .step(1)
       .onChange(value => {
-        // Update state and trigger regeneration
-        this.stateStore.update('vertexCount', Math.floor(value));
-        this.onUpdateCallback.regenerateVertices(Math.floor(value));
+        // Update state and trigger regeneration, as one undo step
+        this.stateStore.transaction('Vertex count', () => {
+          this.stateStore.update('vertexCount', Math.floor(value));
+          this.onUpdateCallback.regenerateVertices(Math.floor(value));
+        }, 'config:vertexCount');
       })
       .name('Vertex Count');
-    
-    // Regenerate button using the current state value
-    vertexFolder.add({ regenerate: () => this.onUpdateCallback.regenerateVertices(this.stateStore.config.vertexCount) }, 'regenerate')
-      .name('Regenerate Vertices');
+
+    // Generator seed; editing it regenerates the vertices
+    vertexFolder.add(this.stateStore.config, 'seed')
+      .step(1)
+      .onFinishChange(value => {
+        this.stateStore.transaction('Seed', () => {
+          this.stateStore.update('seed', Math.floor(value));
+          this.onUpdateCallback.regenerateVertices(this.stateStore.config.vertexCount);
+        });
+      })
+      .name('Seed');
+
+    vertexFolder.add({ newSeed: () => {
+      this.stateStore.transaction('New seed', () => {
+        this.stateStore.update('seed', randomSeed());
+        this.refreshDisplay();
+        this.onUpdateCallback.regenerateVertices(this.stateStore.config.vertexCount);
+      });
+    } }, 'newSeed')
+      .name('New Random Seed');
+
+    this.setupDistributionFolder(vertexFolder);
     
     vertexFolder.open();
   }
 
+  // Generator and weight/curvature fields; changes regenerate the vertices
+  setupDistributionFolder(vertexFolder) {
+    const distributionFolder = vertexFolder.addFolder('Distribution');
+    this.distributionFolder = distributionFolder;
+    this.generatorParamControllers = [];
+    this.fieldParamControllers = [];
+
+    distributionFolder.add(this.stateStore.config, 'vertexGenerator', VertexGenerators.options())
+      .onChange(value => {
+        this.setupGeneratorParamControllers(value);
+        this.stateStore.update('vertexGenerator', value);
+      })
+      .name('Generator');
+
+    distributionFolder.add(this.stateStore.config, 'weightField', VertexFields.options())
+      .onChange(value => {
+        this.setupFieldParamControllers();
+        this.stateStore.update('weightField', value);
+      })
+      .name('Weight Field');
+
+    distributionFolder.add(this.stateStore.config, 'weightMin', 0.01, 10)
+      .step(0.01)
+      .onChange(value => this.stateStore.update('weightMin', value))
+      .name('Weight Min');
+
+    distributionFolder.add(this.stateStore.config, 'weightMax', 0.01, 10)
+      .step(0.01)
+      .onChange(value => this.stateStore.update('weightMax', value))
+      .name('Weight Max');
+
+    distributionFolder.add(this.stateStore.config, 'curvatureField', VertexFields.options())
+      .onChange(value => {
+        this.setupFieldParamControllers();
+        this.stateStore.update('curvatureField', value);
+      })
+      .name('Curvature Field');
+
+    distributionFolder.add(this.stateStore.config, 'curvatureMin', -Math.PI, Math.PI)
+      .step(0.01)
+      .onChange(value => this.stateStore.update('curvatureMin', value))
+      .name('Curvature Min');
+
+    distributionFolder.add(this.stateStore.config, 'curvatureMax', -Math.PI, Math.PI)
+      .step(0.01)
+      .onChange(value => this.stateStore.update('curvatureMax', value))
+      .name('Curvature Max');
+
+    this.setupGeneratorParamControllers(this.stateStore.config.vertexGenerator);
+    this.setupFieldParamControllers();
+  }
+
+  // One controller per parameter of the selected generator
+  setupGeneratorParamControllers(generatorName) {
+    this.generatorParamControllers.forEach(controller => this.distributionFolder.remove(controller));
+    this.generatorParamControllers = this.addParamControllers(
+      this.distributionFolder,
+      VertexGenerators.get(generatorName).params
+    );
+  }
+
+  // One controller per parameter of the weight and curvature fields (shared
+  // when both use the same field)
+  setupFieldParamControllers() {
+    this.fieldParamControllers.forEach(controller => this.distributionFolder.remove(controller));
+
+    const { weightField, curvatureField } = this.stateStore.config;
+    const params = {};
+    [weightField, curvatureField].forEach(name => {
+      if (VertexFields.has(name)) {
+        Object.assign(params, VertexFields.get(name).params);
+      }
+    });
+    this.fieldParamControllers = this.addParamControllers(this.distributionFolder, params);
+  }
+
+  // Controllers for a registry parameter schema bound to StateStore keys
+  addParamControllers(folder, params) {
+    return Object.entries(params).map(([key, schema]) => {
+      this.stateStore.define(key, schema.default);
+
+      const controller = folder.add(this.stateStore.config, key, schema.min, schema.max)
+        .onChange(value => this.stateStore.update(key, value))
+        .name(schema.label || key);
+      if (schema.step !== undefined) {
+        controller.step(schema.step);
+      }
+      return controller;
+    });
+  }
+
   setupMetricSpaceFolder() {
     const metricFolder = this.gui.addFolder('Metric Space Parameters');
     
-    // Metric space parameters with more comprehensive controls
-    metricFolder.add(this.stateStore.config, 'alpha', 0, 5)
-      .step(0.1)
-      .onChange(value => this.stateStore.update('alpha', value))
-      .name('Alpha (Distance Weight)');
-    
-    metricFolder.add(this.stateStore.config, 'beta', 0, 5)
-      .step(0.1)
-      .onChange(value => this.stateStore.update('beta', value))
-      .name('Beta (Curvature Weight)');
-    
-    metricFolder.add(this.stateStore.config, 'gamma', 0, 5)
-      .step(0.1)
-      .onChange(value => this.stateStore.update('gamma', value))
-      .name('Gamma (Weight Term)');
+    this.metricFolder = metricFolder;
+    this.metricParamControllers = [];
+
+    // Metric selection; its parameter controls are rebuilt on change
+    this.metricController = this.bindMetricController(
+      metricFolder.add(this.stateStore.config, 'metric', MetricRegistry.options()));
+
+    this.setupMetricParamControllers(this.stateStore.config.metric);
+    this.setupMetricWarningBadge();
     
+    // Edge construction mode and its parameters
+    const graphModeOptions = {};
+    Object.entries(graphModes).forEach(([mode, { label }]) => {
+      graphModeOptions[label] = mode;
+    });
+
+    metricFolder.add(this.stateStore.config, 'graphMode', graphModeOptions)
+      .onChange(value => this.stateStore.update('graphMode', value))
+      .name('Edge Construction');
+
     metricFolder.add(this.stateStore.config, 'threshold', 1, 20)
       .step(0.5)
-      .onChange(value => this.stateStore.update('threshold', value));
+      .onChange(value => this.stateStore.update('threshold', value))
+      .name('Threshold (Epsilon)');
+
+    metricFolder.add(this.stateStore.config, 'knnK', 1, 30)
+      .step(1)
+      .onChange(value => this.stateStore.update('knnK', value))
+      .name('k (Nearest Neighbours)');
+
+    metricFolder.add(this.stateStore.config, 'graphCandidates', 2, 64)
+      .step(1)
+      .onChange(value => this.stateStore.update('graphCandidates', value))
+      .name('Candidate Neighbours');
+
+    // Opt-in: a denser epsilon graph keeps each vertex's nearest neighbours
+    // only (0 builds the exact graph, refused above MAX_EPSILON_EDGES)
+    metricFolder.add(this.stateStore.config, 'epsilonEdgeLimit', 0, MAX_EPSILON_EDGES)
+      .step(1000)
+      .onChange(value => this.stateStore.update('epsilonEdgeLimit', value))
+      .name('Epsilon Edge Limit (0 = Off)');
     
     // Extended metric space controls
     metricFolder.add(this.stateStore.config, 'minDistance', 0.01, 5)
@@ -67,7 +276,7 @@ class GuiModule {
       .onChange(value => this.stateStore.update('minDistance', value))
       .name('Min Vertex Distance');
     
-    metricFolder.add(this.stateStore.config, 'maxDistance', 5, 20)
+    metricFolder.add(this.stateStore.config, 'maxDistance', 5, 50)
       .step(0.5)
       .onChange(value => this.stateStore.update('maxDistance', value))
       .name('Max Vertex Distance');
@@ -85,6 +294,149 @@ class GuiModule {
     metricFolder.open();
   }
 
+  bindMetricController(controller) {
+    return controller
+      .onChange(value => {
+        this.setupMetricParamControllers(value);
+        this.stateStore.update('metric', value);
+      })
+      .name('Metric');
+  }
+
+  // Replace the metric dropdown with the registry's current options
+  refreshMetricOptions() {
+    if (!this.metricController) return;
+    this.metricController = this.bindMetricController(
+      this.metricController.options(MetricRegistry.options()));
+  }
+
+  // Add one controller per parameter declared in the metric's schema
+  setupMetricParamControllers(metricName) {
+    this.metricParamControllers.forEach(controller => this.metricFolder.remove(controller));
+    this.metricParamControllers = this.addParamControllers(
+      this.metricFolder,
+      MetricRegistry.get(metricName).params
+    );
+  }
+
+  // Warning badge shown in the folder title when the metric axioms fail
+  setupMetricWarningBadge() {
+    const title = this.metricFolder.domElement.querySelector('li.title');
+    if (!title) return;
+
+    const badge = document.createElement('span');
+    badge.textContent = '\u26A0 not a metric';
+    badge.style.cssText = 'margin-left: 8px; padding: 0 4px; border-radius: 3px; ' +
+      'background: #c0392b; color: #fff; font-size: 10px;';
+    title.appendChild(badge);
+
+    this.metricWarningBadge = badge;
+    this.renderMetricValidity();
+  }
+
+  // Receive the latest metric validation report
+  setMetricValidity(report) {
+    this.metricValidity = report;
+    this.renderMetricValidity();
+  }
+
+  renderMetricValidity() {
+    if (!this.metricWarningBadge) return;
+
+    const report = this.metricValidity;
+    const invalid = report && !report.valid;
+    this.metricWarningBadge.style.display = invalid ? 'inline' : 'none';
+    this.metricWarningBadge.title = report ? summarizeReport(report) : '';
+  }
+
+  setupCurveFolder() {
+    const curveFolder = this.gui.addFolder('Curves');
+    this.curveFolder = curveFolder;
+    this.curveBandControllers = [];
+
+    // Controllers edit a copy, committed as a new mapping
+    this.curveMapping = normalizeCurveMapping(this.stateStore.config.curveMapping);
+    const attributeOptions = {};
+    Object.entries(edgeAttributes).forEach(([name, { label }]) => {
+      attributeOptions[label] = name;
+    });
+
+    this.curveAttributeController = curveFolder.add(this.curveMapping, 'attribute', attributeOptions)
+      .onChange(() => this.commitCurveMapping())
+      .name('Map Curves By');
+
+    curveFolder.add({ addBand: () => this.addCurveBand() }, 'addBand')
+      .name('Add Band');
+    curveFolder.add({ removeBand: () => this.removeCurveBand() }, 'removeBand')
+      .name('Remove Band');
+
+    // Parameters of every registered curve interpolator
+    CurveRegistry.list().forEach(name => {
+      this.addParamControllers(curveFolder, CurveRegistry.get(name).params);
+    });
+
+    this.setupCurveBandControllers();
+  }
+
+  // One curve selector per band, plus an upper bound for all but the last band
+  setupCurveBandControllers() {
+    this.curveBandControllers.forEach(controller => this.curveFolder.remove(controller));
+    this.curveBandControllers = [];
+
+    const { bands } = this.curveMapping;
+    bands.forEach((band, index) => {
+      const isLast = index === bands.length - 1;
+
+      if (!isLast) {
+        this.curveBandControllers.push(
+          this.curveFolder.add(band, 'max')
+            .step(0.05)
+            .onFinishChange(() => this.commitCurveMapping())
+            .name(`Band ${index + 1} Below`)
+        );
+      }
+
+      this.curveBandControllers.push(
+        this.curveFolder.add(band, 'curve', CurveRegistry.options())
+          .onChange(() => this.commitCurveMapping())
+          .name(`Band ${index + 1} Curve`)
+      );
+    });
+  }
+
+  // Split the last band in two, reusing its curve
+  addCurveBand() {
+    const { bands } = this.curveMapping;
+    const last = bands[bands.length - 1];
+    const previousMax = bands.length > 1 ? bands[bands.length - 2].max : 0;
+    bands.splice(bands.length - 1, 0, { max: previousMax + 0.5, curve: last.curve });
+
+    this.commitCurveMapping();
+  }
+
+  // Merge the last two bands (at least one band always remains)
+  removeCurveBand() {
+    const { bands } = this.curveMapping;
+    if (bands.length < 2) return;
+    bands.splice(bands.length - 2, 1);
+
+    this.commitCurveMapping();
+  }
+
+  // Store the edited copy as a new mapping, its bands put in order
+  commitCurveMapping() {
+    this.stateStore.update('curveMapping', normalizeCurveMapping(this.curveMapping));
+    this.syncCurveMapping();
+  }
+
+  // Point the Curves controllers at a fresh copy of the stored mapping
+  syncCurveMapping() {
+    this.curveMapping = normalizeCurveMapping(this.stateStore.config.curveMapping);
+    this.curveAttributeController.object = this.curveMapping;
+    this.curveAttributeController.updateDisplay();
+    this.setupCurveBandControllers();
+  }
+
   setupVisualizationFolder() {
     const visualFolder = this.gui.addFolder('Visualization');
     
@@ -121,11 +473,35 @@ class GuiModule {
       this.stateStore.config.lineOpacityRange[0], 
       this.stateStore.config.lineOpacityRange[1]
     ).onChange(value => this.stateStore.update('lineOpacity', value));
+
+    visualFolder.add(this.stateStore.config, 'lineWidth', 0.5, 20)
+      .step(0.5)
+      .onChange(value => this.stateStore.update('lineWidth', value))
+      .name('Line Width');
+
+    visualFolder.add(this.stateStore.config, 'lineDash', 0, 2)
+      .step(0.01)
+      .onChange(value => this.stateStore.update('lineDash', value))
+      .name('Line Dash');
+
+    visualFolder.add(this.stateStore.config, 'lineVariation', 0, 1)
+      .step(0.01)
+      .onChange(value => this.stateStore.update('lineVariation', value))
+      .name('Line Width Variation');
     
     // Render Mode Toggle
     visualFolder.add(this, 'renderMode', ['points', 'mesh'])
       .name('Render Mode')
       .onChange(() => this.onUpdateCallback.changeRenderMode(this.renderMode));
+
+    const triangulationOptions = {};
+    Object.entries(triangulationMethods).forEach(([method, { label }]) => {
+      triangulationOptions[label] = method;
+    });
+
+    visualFolder.add(this.stateStore.config, 'meshTriangulation', triangulationOptions)
+      .onChange(value => this.stateStore.update('meshTriangulation', value))
+      .name('Mesh Faces');
     
     // Optional: Add labels to sliders
     pointSizeController.name('Point Size');
@@ -133,6 +509,93 @@ class GuiModule {
     lineOpacityController.name('Line Opacity');
   }
 
+  // Per-vertex metric attributes mapped onto point colour, size and
+  // opacity, each over the attribute's range in the current vertex set
+  setupVertexAttributeFolder() {
+    const attributeFolder = this.gui.addFolder('Vertex Attributes');
+    const config = this.stateStore.config;
+
+    const attributeOptions = { None: 'none' };
+    Object.entries(vertexAttributes).forEach(([name, { label }]) => {
+      attributeOptions[label] = name;
+    });
+    const colormapOptions = {};
+    Object.entries(colormaps).forEach(([name, { label }]) => {
+      colormapOptions[label] = name;
+    });
+
+    attributeFolder.add(config, 'vertexColorAttribute', attributeOptions)
+      .onChange(value => this.stateStore.update('vertexColorAttribute', value))
+      .name('Colour By');
+    attributeFolder.add(config, 'vertexColormap', colormapOptions)
+      .onChange(value => this.stateStore.update('vertexColormap', value))
+      .name('Colormap');
+
+    attributeFolder.add(config, 'vertexSizeAttribute', attributeOptions)
+      .onChange(value => this.stateStore.update('vertexSizeAttribute', value))
+      .name('Size By');
+    attributeFolder.add(config, 'vertexSizeMin', 0, 5)
+      .step(0.05)
+      .onChange(value => this.stateStore.update('vertexSizeMin', value))
+      .name('Size at Min');
+    attributeFolder.add(config, 'vertexSizeMax', 0, 5)
+      .step(0.05)
+      .onChange(value => this.stateStore.update('vertexSizeMax', value))
+      .name('Size at Max');
+
+    attributeFolder.add(config, 'vertexOpacityAttribute', attributeOptions)
+      .onChange(value => this.stateStore.update('vertexOpacityAttribute', value))
+      .name('Opacity By');
+    attributeFolder.add(config, 'vertexOpacityMin', 0, 1)
+      .step(0.01)
+      .onChange(value => this.stateStore.update('vertexOpacityMin', value))
+      .name('Opacity at Min');
+    attributeFolder.add(config, 'vertexOpacityMax', 0, 1)
+      .step(0.01)
+      .onChange(value => this.stateStore.update('vertexOpacityMax', value))
+      .name('Opacity at Max');
+
+    attributeFolder.add(config, 'vertexAttributeLegend')
+      .onChange(value => this.stateStore.update('vertexAttributeLegend', value))
+      .name('Show Legend');
+  }
+
+  setupSurfaceFolder() {
+    const surfaceFolder = this.gui.addFolder('Metric Surface');
+
+    surfaceFolder.add(this.stateStore.config, 'surfaceVisible')
+      .onChange(value => this.stateStore.update('surfaceVisible', value))
+      .name('Show Surface');
+
+    surfaceFolder.add(this.stateStore.config, 'surfaceWireframe')
+      .onChange(value => this.stateStore.update('surfaceWireframe', value))
+      .name('Wireframe');
+
+    surfaceFolder.add(this.stateStore.config, 'surfaceThetaResolution', 4, 200)
+      .step(1)
+      .onChange(value => this.stateStore.update('surfaceThetaResolution', Math.floor(value)))
+      .name('Theta Resolution');
+
+    surfaceFolder.add(this.stateStore.config, 'surfacePhiResolution', 4, 200)
+      .step(1)
+      .onChange(value => this.stateStore.update('surfacePhiResolution', Math.floor(value)))
+      .name('Phi Resolution');
+
+    surfaceFolder.addColor(this.stateStore.config, 'surfaceColor')
+      .onChange(value => this.stateStore.update('surfaceColor', value))
+      .name('Surface Color');
+
+    surfaceFolder.add(this.stateStore.config, 'surfaceOpacity', 0, 1)
+      .step(0.01)
+      .onChange(value => this.stateStore.update('surfaceOpacity', value))
+      .name('Surface Opacity');
+
+    surfaceFolder.add(this.stateStore.config, 'surfaceDisplacement', 0, 2)
+      .step(0.01)
+      .onChange(value => this.stateStore.update('surfaceDisplacement', value))
+      .name('Surface Displacement');
+  }
+
   setupInteractionFolder() {
     const interactionFolder = this.gui.addFolder('Interaction');
     
@@ -150,6 +613,184 @@ class GuiModule {
     animationSpeedController.name('Animation Speed');
   }
 
+  // Point cloud import: file picker (files can also be dropped on the
+  // canvas), column mapping and normalisation
+  setupImportFolder() {
+    const importFolder = this.gui.addFolder('Import');
+
+    importFolder.add({ importFile: () => this.onUpdateCallback.importPointCloud() }, 'importFile')
+      .name('Import File (CSV/JSON/PLY/XYZ)');
+
+    importFolder.add(this.stateStore.config, 'importWeightColumn')
+      .onFinishChange(value => this.stateStore.update('importWeightColumn', value.trim()))
+      .name('Weight Column');
+
+    importFolder.add(this.stateStore.config, 'importCurvatureColumn')
+      .onFinishChange(value => this.stateStore.update('importCurvatureColumn', value.trim()))
+      .name('Curvature Column');
+
+    importFolder.add(this.stateStore.config, 'importDefaultWeight', 0.01, 10)
+      .step(0.01)
+      .onChange(value => this.stateStore.update('importDefaultWeight', value))
+      .name('Default Weight');
+
+    importFolder.add(this.stateStore.config, 'importDefaultCurvature', -Math.PI, Math.PI)
+      .step(0.01)
+      .onChange(value => this.stateStore.update('importDefaultCurvature', value))
+      .name('Default Curvature');
+
+    importFolder.add(this.stateStore.config, 'importCenter')
+      .onChange(value => this.stateStore.update('importCenter', value))
+      .name('Center at Origin');
+
+    importFolder.add(this.stateStore.config, 'importNormalize')
+      .onChange(value => this.stateStore.update('importNormalize', value))
+      .name('Normalize Size');
+
+    importFolder.add(this.stateStore.config, 'importRadius', 0.1, 20)
+      .step(0.1)
+      .onChange(value => this.stateStore.update('importRadius', value))
+      .name('Normalized Radius');
+
+    importFolder.add({ reapply: () => this.onUpdateCallback.reapplyImport() }, 'reapply')
+      .name('Re-apply to Last File');
+  }
+
+  // Export of points, edge curves and surface, optionally with the shader
+  // displacement baked in at a chosen uTime
+  setupExportFolder() {
+    const exportFolder = this.gui.addFolder('Export');
+
+    [['exportPoints', 'Include Points'], ['exportEdges', 'Include Edges'], ['exportSurface', 'Include Surface'],
+     ['exportBakeDisplacement', 'Bake Displacement']].forEach(([key, label]) => {
+      exportFolder.add(this.stateStore.config, key)
+        .onChange(value => this.stateStore.update(key, value))
+        .name(label);
+    });
+
+    exportFolder.add(this.stateStore.config, 'exportBakeTime')
+      .step(0.01)
+      .onFinishChange(value => this.stateStore.update('exportBakeTime', value))
+      .name('Bake at uTime');
+
+    exportFolder.add({ useCurrentTime: () => {
+      this.stateStore.update('exportBakeTime', this.onUpdateCallback.currentShaderTime());
+      this.refreshDisplay();
+    } }, 'useCurrentTime')
+      .name('Use Current uTime');
+
+    Object.entries(exportFormats).forEach(([format, { label }]) => {
+      exportFolder.add({ [format]: () => this.onUpdateCallback.exportGeometry(format) }, format)
+        .name(`Export ${label}`);
+    });
+  }
+
+  // Save/load the whole scene as a session document
+  setupSessionFolder() {
+    const sessionFolder = this.gui.addFolder('Session');
+
+    [['saveSession', 'Save Session File'], ['loadSession', 'Load Session File'],
+     ['saveSessionToBrowser', 'Save to Browser'], ['loadSessionFromBrowser', 'Load from Browser']].forEach(([action, label]) => {
+      sessionFolder.add({ [action]: () => this.onUpdateCallback[action]() }, action)
+        .name(label);
+    });
+  }
+
+  setupSculptFolder() {
+    const sculptFolder = this.gui.addFolder('Sculpt');
+
+    sculptFolder.add(this.stateStore.config, 'sculptEnabled')
+      .onChange(value => this.stateStore.update('sculptEnabled', value))
+      .name('Sculpt Mode (Drag)');
+
+    const brushOptions = {};
+    Object.entries(sculptBrushes).forEach(([brush, { label }]) => {
+      brushOptions[label] = brush;
+    });
+
+    sculptFolder.add(this.stateStore.config, 'sculptBrush', brushOptions)
+      .onChange(value => this.stateStore.update('sculptBrush', value))
+      .name('Brush');
+
+    sculptFolder.add(this.stateStore.config, 'sculptBrushRadius', 0.05, 10)
+      .step(0.05)
+      .onChange(value => this.stateStore.update('sculptBrushRadius', value))
+      .name('Brush Radius (Metric)');
+
+    sculptFolder.add(this.stateStore.config, 'sculptFadeDuration', 0, 3)
+      .step(0.05)
+      .onChange(value => this.stateStore.update('sculptFadeDuration', value))
+      .name('Fade Duration (s)');
+
+    sculptFolder.add(this.stateStore.config, 'sculptAddCount', 1, 50)
+      .step(1)
+      .onChange(value => this.stateStore.update('sculptAddCount', value))
+      .name('Add: Vertices per Dab');
+
+    sculptFolder.add(this.stateStore.config, 'sculptSpread', 0.01, 3)
+      .step(0.01)
+      .onChange(value => this.stateStore.update('sculptSpread', value))
+      .name('Add/Divide: Spread');
+
+    sculptFolder.add(this.stateStore.config, 'sculptScaleFactor', 0.1, 3)
+      .step(0.05)
+      .onChange(value => this.stateStore.update('sculptScaleFactor', value))
+      .name('Multiply: Factor');
+
+    sculptFolder.add(this.stateStore.config, 'sculptSplitCount', 2, 8)
+      .step(1)
+      .onChange(value => this.stateStore.update('sculptSplitCount', value))
+      .name('Divide: Children');
+  }
+
+  setupEditFolder() {
+    const editFolder = this.gui.addFolder('Vertex Editor');
+
+    editFolder.add(this.stateStore.config, 'editEnabled')
+      .onChange(value => this.stateStore.update('editEnabled', value))
+      .name('Edit Mode');
+
+    const toolOptions = {};
+    Object.entries(selectionTools).forEach(([tool, { label }]) => {
+      toolOptions[label] = tool;
+    });
+
+    editFolder.add(this.stateStore.config, 'editSelectionTool', toolOptions)
+      .onChange(value => this.stateStore.update('editSelectionTool', value))
+      .name('Select (Shift Adds)');
+
+    editFolder.add(this.stateStore.config, 'editGizmoMode', { Move: 'translate', Rotate: 'rotate', Scale: 'scale' })
+      .onChange(value => this.stateStore.update('editGizmoMode', value))
+      .name('Gizmo');
+
+    editFolder.add({ clearSelection: () => this.onUpdateCallback.clearSelection() }, 'clearSelection')
+      .name('Clear Selection');
+
+    // Position is the selection's centroid; weight/curvature their means
+    const inspectorFolder = editFolder.addFolder('Inspector');
+    this.inspectorFolder = inspectorFolder;
+
+    const inspector = this.onUpdateCallback.vertexInspector;
+    [['x', 'X'], ['y', 'Y'], ['z', 'Z'], ['weight', 'Weight'], ['curvature', 'Curvature']].forEach(([key, label]) => {
+      inspectorFolder.add(inspector, key)
+        .step(0.01)
+        .onFinishChange(value => this.onUpdateCallback.editSelection(key, value))
+        .name(label);
+    });
+
+    this.setInspectorSelection(this.inspectorSelection);
+    inspectorFolder.open();
+  }
+
+  // Show the current selection size and refresh the inspector values
+  setInspectorSelection(count) {
+    this.inspectorSelection = count;
+    if (!this.inspectorFolder) return;
+
+    this.inspectorFolder.name = `Inspector (${count} selected)`;
+    this.inspectorFolder.__controllers.forEach(controller => controller.updateDisplay());
+  }
+
   setupShaderUniformsFolder() {
     const shaderFolder = this.gui.addFolder('Shader Uniforms');
     
@@ -159,47 +800,43 @@ class GuiModule {
       'uChladniAmplitude', 
       this.stateStore.config.uChladniAmplitudeRange[0], 
       this.stateStore.config.uChladniAmplitudeRange[1]
-    ).step(0.1).onChange(value => this.onUpdateCallback.updateUniform('uChladniAmplitude', value));
+    ).step(0.1).onChange(value => this.stateStore.update('uChladniAmplitude', value));
     
     const chladniFreqXController = shaderFolder.add(
       this.stateStore.config, 
       'uChladniFrequencyX', 
       this.stateStore.config.uChladniFrequencyRange[0], 
       this.stateStore.config.uChladniFrequencyRange[1]
-    ).step(0.1).onChange(value => this.onUpdateCallback.updateUniform('uChladniFrequencyX', value));
+    ).step(0.1).onChange(value => this.stateStore.update('uChladniFrequencyX', value));
     
     const chladniFreqYController = shaderFolder.add(
       this.stateStore.config, 
       'uChladniFrequencyY', 
       this.stateStore.config.uChladniFrequencyRange[0], 
       this.stateStore.config.uChladniFrequencyRange[1]
-    ).step(0.1).onChange(value => this.onUpdateCallback.updateUniform('uChladniFrequencyY', value));
+    ).step(0.1).onChange(value => this.stateStore.update('uChladniFrequencyY', value));
     
     // Mobius Transformation Uniforms
-    shaderFolder.add(this.stateStore.config, 'uUseClassicalMobius')
-      .onChange(value => this.onUpdateCallback.updateUniform('uUseClassicalMobius', value))
-      .name('Classic Mobius');
-    
     const mobiusFactorController = shaderFolder.add(
       this.stateStore.config, 
       'uMobiusFactor', 
       this.stateStore.config.uMobiusFactorRange[0], 
       this.stateStore.config.uMobiusFactorRange[1]
-    ).step(0.1).onChange(value => this.onUpdateCallback.updateUniform('uMobiusFactor', value));
+    ).step(0.1).onChange(value => this.stateStore.update('uMobiusFactor', value));
     
     const noiseScaleController = shaderFolder.add(
       this.stateStore.config, 
       'uNoiseScale', 
       this.stateStore.config.uNoiseScaleRange[0], 
       this.stateStore.config.uNoiseScaleRange[1]
-    ).step(0.1).onChange(value => this.onUpdateCallback.updateUniform('uNoiseScale', value));
+    ).step(0.1).onChange(value => this.stateStore.update('uNoiseScale', value));
     
     const animationSpeedController = shaderFolder.add(
       this.stateStore.config, 
       'uAnimationSpeed', 
       this.stateStore.config.uAnimationSpeedRange[0], 
       this.stateStore.config.uAnimationSpeedRange[1]
-    ).step(0.1).onChange(value => this.onUpdateCallback.updateUniform('uAnimationSpeed', value));
+    ).step(0.1).onChange(value => this.stateStore.update('uAnimationSpeed', value));
     
     // Adding descriptive names
     chladniAmplitudeController.name('Chladni Amplitude');
@@ -210,6 +847,404 @@ class GuiModule {
     animationSpeedController.name('Shader Animation Speed');
   }
 
+  // The transform stages in pipeline order; each has its own folder with
+  // the enabled flag, its weight, reorder buttons and its parameters
+  setupShaderPipelineFolder() {
+    const pipelineFolder = this.gui.addFolder('Shader Pipeline');
+    this.pipelineFolder = pipelineFolder;
+    this.pipelineStageFolders = [];
+
+    // Sessions and links may predate stages registered since
+    this.stateStore.assign({ shaderPipeline: normalizePipeline(this.stateStore.config.shaderPipeline) });
+
+    pipelineFolder.add({ reset: () => this.resetShaderPipeline() }, 'reset')
+      .name('Reset Pipeline');
+
+    this.setupPipelineStageFolders();
+  }
+
+  setupPipelineStageFolders() {
+    // Keep open stages open across reorders
+    const open = new Set(this.pipelineStageFolders.filter(({ folder }) => !folder.closed).map(({ stage }) => stage));
+    this.pipelineStageFolders.forEach(({ folder }) => this.pipelineFolder.removeFolder(folder));
+
+    const pipeline = this.stateStore.config.shaderPipeline;
+    this.pipelineStageFolders = pipeline.map((entry, index) => {
+      const stage = ShaderStages.get(entry.stage);
+      const folder = this.pipelineFolder.addFolder(`${index + 1}. ${stage.label || entry.stage}`);
+
+      folder.add(entry, 'enabled')
+        .onChange(() => this.commitShaderPipeline())
+        .name('Enabled');
+      folder.add(entry, 'weight', 0, 1)
+        .step(0.01)
+        .onChange(() => this.commitShaderPipeline())
+        .name('Weight');
+
+      if (index > 0) {
+        folder.add({ up: () => this.moveShaderStage(index, -1) }, 'up')
+          .name('Move Up');
+      }
+      if (index < pipeline.length - 1) {
+        folder.add({ down: () => this.moveShaderStage(index, 1) }, 'down')
+          .name('Move Down');
+      }
+
+      this.addParamControllers(folder, stage.params);
+
+      if (open.has(entry.stage)) {
+        folder.open();
+      }
+      return { stage: entry.stage, folder };
+    });
+  }
+
+  moveShaderStage(index, offset) {
+    const pipeline = this.stateStore.config.shaderPipeline;
+    const [entry] = pipeline.splice(index, 1);
+    pipeline.splice(index + offset, 0, entry);
+
+    this.setupPipelineStageFolders();
+    this.commitShaderPipeline();
+  }
+
+  resetShaderPipeline() {
+    this.stateStore.update('shaderPipeline', defaultPipeline());
+    this.setupPipelineStageFolders();
+  }
+
+  commitShaderPipeline() {
+    this.stateStore.update('shaderPipeline', this.stateStore.config.shaderPipeline);
+  }
+
+  // Coefficients of the classical Möbius stage: the complex-plane editor,
+  // Re/Im fields, presets reached by a smooth transition, and the fixed
+  // point markers
+  setupMobiusFolder() {
+    const mobiusFolder = this.gui.addFolder('Möbius Transform');
+    this.mobiusFolder = mobiusFolder;
+
+    const planeRow = document.createElement('li');
+    planeRow.style.cssText = 'height: auto; padding: 0 4px;';
+    mobiusFolder.__ul.appendChild(planeRow);
+    this.onUpdateCallback.mountMobiusPlane(planeRow);
+
+    this.mobiusFields = {};
+    ['a', 'b', 'c', 'd'].forEach(key => {
+      [['Re', 0], ['Im', 1]].forEach(([part, index]) => {
+        mobiusFolder.add(this.mobiusFields, `${key}${part}`, -5, 5)
+          .step(0.01)
+          .onChange(() => this.commitMobiusFields(false))
+          .onFinishChange(() => this.commitMobiusFields(true))
+          .name(`${key} (${part})`);
+      });
+    });
+
+    const presetOptions = {};
+    Object.entries(mobiusPresets).forEach(([name, { label }]) => {
+      presetOptions[label] = name;
+    });
+    const preset = { preset: 'identity' };
+    mobiusFolder.add(preset, 'preset', presetOptions)
+      .onChange(name => this.onUpdateCallback.transitionMobius(mobiusPresets[name].create()))
+      .name('Preset');
+    mobiusFolder.add({ back: () => this.onUpdateCallback.transitionMobiusBack() }, 'back')
+      .name('Transition Back');
+
+    mobiusFolder.add(this.stateStore.config, 'mobiusTransitionDuration', 0, 10)
+      .step(0.1)
+      .onChange(value => this.stateStore.update('mobiusTransitionDuration', value))
+      .name('Transition (s)');
+    mobiusFolder.add(this.stateStore.config, 'mobiusShowFixedPoints')
+      .onChange(value => this.stateStore.update('mobiusShowFixedPoints', value))
+      .name('Show Fixed Points');
+
+    this.setMobiusCoefficients(this.stateStore.config.mobiusCoefficients);
+  }
+
+  // Show new coefficients in the fields and their type in the folder title
+  setMobiusCoefficients(coefficients) {
+    if (!this.mobiusFolder) return;
+
+    Object.entries(coefficients).forEach(([key, [re, im]]) => {
+      this.mobiusFields[`${key}Re`] = re;
+      this.mobiusFields[`${key}Im`] = im;
+    });
+    this.mobiusFolder.__controllers.forEach(controller => controller.updateDisplay());
+
+    const type = isDegenerate(coefficients) ? 'degenerate' : classify(coefficients);
+    this.mobiusFolder.name = `Möbius Transform (${type})`;
+  }
+
+  // Values are applied while a field is edited and normalised once done
+  commitMobiusFields(finished) {
+    const coefficients = {};
+    ['a', 'b', 'c', 'd'].forEach(key => {
+      coefficients[key] = [this.mobiusFields[`${key}Re`], this.mobiusFields[`${key}Im`]];
+    });
+    if (!this.onUpdateCallback.editMobius(coefficients, finished) && finished) {
+      // Refused as degenerate: show the coefficients in effect again
+      this.setMobiusCoefficients(this.stateStore.config.mobiusCoefficients);
+    }
+  }
+
+  // Plate type and size, the nodal line overlay, and one folder per
+  // superposed mode with its (m, n), amplitude and phase
+  setupChladniFolder() {
+    const chladniFolder = this.gui.addFolder('Chladni Plate');
+    this.chladniFolder = chladniFolder;
+    this.chladniModeFolders = [];
+
+    const plateOptions = {};
+    Object.entries(chladniPlates).forEach(([name, { label }]) => {
+      plateOptions[label] = name;
+    });
+    chladniFolder.add(this.stateStore.config, 'chladniPlate', plateOptions)
+      .onChange(value => this.stateStore.update('chladniPlate', value))
+      .name('Plate');
+    chladniFolder.add(this.stateStore.config, 'chladniPlateSize', 0.5, 20)
+      .step(0.1)
+      .onChange(value => this.stateStore.update('chladniPlateSize', value))
+      .name('Plate Size');
+    chladniFolder.add(this.stateStore.config, 'chladniShowNodalLines')
+      .onChange(value => this.stateStore.update('chladniShowNodalLines', value))
+      .name('Show Nodal Lines');
+
+    chladniFolder.add({ addMode: () => this.addChladniMode() }, 'addMode')
+      .name('Add Mode');
+    chladniFolder.add({ removeMode: () => this.removeChladniMode() }, 'removeMode')
+      .name('Remove Mode');
+
+    this.setupChladniModeFolders();
+  }
+
+  setupChladniModeFolders() {
+    this.chladniModeFolders.forEach(folder => this.chladniFolder.removeFolder(folder));
+
+    this.chladniModeFolders = this.stateStore.config.chladniModes.map((mode, index) => {
+      const folder = this.chladniFolder.addFolder(`Mode ${index + 1}`);
+      folder.add(mode, 'm', 0, 8)
+        .step(1)
+        .onChange(() => this.commitChladniModes())
+        .name('m');
+      folder.add(mode, 'n', 1, 8)
+        .step(1)
+        .onChange(() => this.commitChladniModes())
+        .name('n');
+      folder.add(mode, 'amplitude', -2, 2)
+        .step(0.01)
+        .onChange(() => this.commitChladniModes())
+        .name('Amplitude');
+      folder.add(mode, 'phase', 0, Math.PI * 2)
+        .step(0.01)
+        .onChange(() => this.commitChladniModes())
+        .name('Phase');
+      folder.open();
+      return folder;
+    });
+  }
+
+  addChladniMode() {
+    const modes = this.stateStore.config.chladniModes;
+    if (modes.length >= MAX_CHLADNI_MODES) return;
+    const last = modes[modes.length - 1];
+    modes.push({ m: last ? last.m + 1 : 1, n: last ? last.n : 2, amplitude: 0.5, phase: 0 });
+
+    this.setupChladniModeFolders();
+    this.commitChladniModes();
+  }
+
+  removeChladniMode() {
+    const modes = this.stateStore.config.chladniModes;
+    if (modes.length < 2) return;
+    modes.pop();
+
+    this.setupChladniModeFolders();
+    this.commitChladniModes();
+  }
+
+  commitChladniModes() {
+    this.stateStore.update('chladniModes', this.stateStore.config.chladniModes);
+  }
+
+  // Audio source, live feature readouts, and one folder per mapping from an
+  // audio feature to a setting
+  setupAudioFolder() {
+    const audioFolder = this.gui.addFolder('Audio');
+    this.audioFolder = audioFolder;
+    this.audioMappingFolders = [];
+
+    audioFolder.add({ load: () => this.onUpdateCallback.loadAudioFile() }, 'load')
+      .name('Load Audio File');
+    audioFolder.add({ microphone: () => this.onUpdateCallback.useMicrophone() }, 'microphone')
+      .name('Use Microphone');
+    audioFolder.add({ stop: () => this.onUpdateCallback.stopAudio() }, 'stop')
+      .name('Stop');
+
+    // Readouts, refreshed every frame
+    const monitor = this.onUpdateCallback.audioMonitor;
+    [['source', 'Source'], ['level', 'Level', 0.01], ['bass', 'Bass', 0.01], ['dominantHz', 'Dominant (Hz)', 1],
+      ['onset', 'Onset', 0.01]].forEach(([key, label, step]) => {
+      const controller = audioFolder.add(monitor, key).name(label).listen();
+      if (step !== undefined) {
+        controller.step(step);
+      }
+      controller.domElement.style.pointerEvents = 'none';
+    });
+
+    audioFolder.add({ addMapping: () => this.addAudioMapping() }, 'addMapping')
+      .name('Add Mapping');
+    audioFolder.add({ removeMapping: () => this.removeAudioMapping() }, 'removeMapping')
+      .name('Remove Mapping');
+
+    this.setupAudioMappingFolders();
+  }
+
+  setupAudioMappingFolders() {
+    this.audioMappingFolders.forEach(folder => this.audioFolder.removeFolder(folder));
+
+    const featureOptions = {};
+    Object.entries(audioFeatures).forEach(([name, { label }]) => {
+      featureOptions[label] = name;
+    });
+    const targetOptions = mappableKeys(this.stateStore.config);
+
+    this.audioMappingFolders = this.stateStore.config.audioMappings.map((mapping, index) => {
+      const folder = this.audioFolder.addFolder(`Mapping ${index + 1}`);
+      folder.add(mapping, 'feature', featureOptions)
+        .onChange(() => this.commitAudioMappings())
+        .name('Feature');
+      folder.add(mapping, 'target', targetOptions)
+        .onChange(target => {
+          // Start from the range of the new target
+          [mapping.min, mapping.max] = defaultMappingRange(this.stateStore.config, target);
+          folder.__controllers.forEach(controller => controller.updateDisplay());
+          this.commitAudioMappings();
+        })
+        .name('Target');
+      folder.add(mapping, 'gain', 0, 10)
+        .step(0.01)
+        .onChange(() => this.commitAudioMappings())
+        .name('Gain');
+      folder.add(mapping, 'smoothing', 0, 0.99)
+        .step(0.01)
+        .onChange(() => this.commitAudioMappings())
+        .name('Smoothing');
+      folder.add(mapping, 'min')
+        .step(0.01)
+        .onChange(() => this.commitAudioMappings())
+        .name('Range Min');
+      folder.add(mapping, 'max')
+        .step(0.01)
+        .onChange(() => this.commitAudioMappings())
+        .name('Range Max');
+      return folder;
+    });
+  }
+
+  addAudioMapping() {
+    const target = 'uNoiseScale';
+    const [min, max] = defaultMappingRange(this.stateStore.config, target);
+    this.stateStore.config.audioMappings.push({ feature: 'level', target, gain: 1, smoothing: 0.7, min, max });
+
+    this.setupAudioMappingFolders();
+    this.commitAudioMappings();
+  }
+
+  removeAudioMapping() {
+    const mappings = this.stateStore.config.audioMappings;
+    if (!mappings.length) return;
+    mappings.pop();
+
+    this.setupAudioMappingFolders();
+    this.commitAudioMappings();
+  }
+
+  commitAudioMappings() {
+    this.stateStore.update('audioMappings', this.stateStore.config.audioMappings);
+  }
+
+  // Undo/redo buttons and the most recent steps; clicking a step moves the
+  // history to just after it
+  setupHistoryFolder() {
+    const historyFolder = this.gui.addFolder('History');
+    this.historyFolder = historyFolder;
+    this.historyControllers = [];
+
+    historyFolder.add({ undo: () => this.onUpdateCallback.undo() }, 'undo')
+      .name('Undo (Ctrl+Z)');
+    historyFolder.add({ redo: () => this.onUpdateCallback.redo() }, 'redo')
+      .name('Redo (Ctrl+Shift+Z)');
+
+    this.renderHistory();
+  }
+
+  // One button per listed step: ▶ current, · applied, ○ undone
+  renderHistory() {
+    if (!this.historyFolder) return;
+    this.historyControllers.forEach(controller => this.historyFolder.remove(controller));
+
+    const { entries, position } = this.stateStore.getHistory();
+    const first = Math.max(0, entries.length - HISTORY_PANEL_SIZE);
+    const marker = index => (index === position - 1 ? '▶' : index < position ? '·' : '○');
+
+    const rows = [];
+    if (first === 0 && entries.length) {
+      rows.push({ name: `${position === 0 ? '▶' : '·'} Start`, position: 0 });
+    }
+    entries.slice(first).forEach((entry, offset) => {
+      const index = first + offset;
+      rows.push({ name: `${marker(index)} ${describeHistoryEntry(entry)}`, position: index + 1 });
+    });
+
+    this.historyControllers = rows.map(row => {
+      const action = `step${row.position}`;
+      return this.historyFolder.add({ [action]: () => this.onUpdateCallback.goToHistory(row.position) }, action)
+        .name(row.name);
+    });
+  }
+
+  // After an undo/redo, controllers that depend on the replayed keys are
+  // rebuilt and every value is redisplayed; the list is redrawn once per frame
+  onHistoryChange(replayedEntry) {
+    if (!this.gui) return;
+
+    if (replayedEntry) {
+      const config = this.stateStore.config;
+      const changed = key => replayedEntry.changes.has(key);
+      if (changed('metric')) {
+        this.setupMetricParamControllers(config.metric);
+      }
+      if (changed('vertexGenerator')) {
+        this.setupGeneratorParamControllers(config.vertexGenerator);
+      }
+      if (changed('weightField') || changed('curvatureField')) {
+        this.setupFieldParamControllers();
+      }
+      if (changed('curveMapping')) {
+        this.syncCurveMapping();
+      }
+      if (changed('shaderPipeline')) {
+        this.setupPipelineStageFolders();
+      }
+      if (changed('chladniModes')) {
+        this.setupChladniModeFolders();
+      }
+      if (changed('audioMappings')) {
+        this.setupAudioMappingFolders();
+      }
+      this.refreshDisplay();
+    }
+
+    if (!this.historyRenderPending) {
+      this.historyRenderPending = true;
+      requestAnimationFrame(() => {
+        this.historyRenderPending = false;
+        this.renderHistory();
+      });
+    }
+  }
+
   // Update method for cases where shader uniforms might change
   updateControls() {
     if (this.gui) {
@@ -219,11 +1254,52 @@ class GuiModule {
     }
   }
 
+  // Recreate every folder from the current state, e.g. after a session
+  // replaced the whole config (ranges and dynamic param controllers included)
+  rebuild() {
+    if (this.gui) {
+      this.destroy();
+      this.init();
+    }
+  }
+
+  // Sync every controller with the state after programmatic changes
+  refreshDisplay() {
+    if (!this.gui) return;
+
+    const refresh = folder => {
+      folder.__controllers.forEach(controller => controller.updateDisplay());
+      Object.values(folder.__folders).forEach(refresh);
+    };
+    refresh(this.gui);
+  }
+
   // Cleanup method
   destroy() {
     if (this.gui) {
       this.gui.destroy();
       this.gui = null;
+      this.metricFolder = null;
+      this.metricController = null;
+      this.metricParamControllers = [];
+      this.metricWarningBadge = null;
+      this.curveFolder = null;
+      this.curveBandControllers = [];
+      this.curveMapping = null;
+      this.distributionFolder = null;
+      this.generatorParamControllers = [];
+      this.fieldParamControllers = [];
+      this.inspectorFolder = null;
+      this.curveAttributeController = null;
+      this.pipelineFolder = null;
+      this.pipelineStageFolders = [];
+      this.mobiusFolder = null;
+      this.chladniFolder = null;
+      this.chladniModeFolders = [];
+      this.audioFolder = null;
+      this.audioMappingFolders = [];
+      this.historyFolder = null;
+      this.historyControllers = [];
     }
   }
 }
@@ -0,0 +1,103 @@
+import { vertexAttributes, colormaps, sampleColormap } from '../core/vertex-attributes.js';
+
+// Size of the colour bar in CSS pixels
+const BAR_WIDTH = 180;
+const BAR_HEIGHT = 10;
+
+function formatValue(value) {
+  return Math.abs(value) >= 1000 ? value.toFixed(0) : String(Number(value.toPrecision(3)));
+}
+
+// On-screen legend of the per-vertex attribute mappings: a colour bar with
+// the value range of the attribute colouring the points, and the ranges of
+// the ones driving point size and opacity
+class MetricLegend {
+  constructor(stateStore, visualization) {
+    this.stateStore = stateStore;
+    this.visualization = visualization;
+    this.element = null;
+  }
+
+  attach() {
+    this.element = document.createElement('div');
+    this.element.style.cssText = 'position: fixed; left: 12px; bottom: 12px; padding: 8px 10px; ' +
+      'background: rgba(0, 0, 0, 0.6); color: #eee; font: 11px sans-serif; border-radius: 3px; ' +
+      'pointer-events: none; display: none;';
+    document.body.appendChild(this.element);
+  }
+
+  detach() {
+    if (!this.element) return;
+    this.element.remove();
+    this.element = null;
+  }
+
+  // `uniforms`: vertexAttributeUniforms() values the shaders were given
+  refresh(uniforms) {
+    if (!this.element) return;
+    const { config } = this.stateStore;
+    this.element.textContent = '';
+
+    const color = vertexAttributes[config.vertexColorAttribute];
+    const size = vertexAttributes[config.vertexSizeAttribute];
+    const opacity = vertexAttributes[config.vertexOpacityAttribute];
+    if (!config.vertexAttributeLegend || !(color || size || opacity)) {
+      this.element.style.display = 'none';
+      return;
+    }
+    this.element.style.display = 'block';
+
+    if (color) {
+      const colormap = colormaps[config.vertexColormap] ? config.vertexColormap : 'viridis';
+      this.addRow(`Colour: ${color.label}`);
+      this.element.appendChild(this.colorBar(colormap));
+      this.addRange(uniforms.uColorRange);
+    }
+    if (size) {
+      const [low, high] = uniforms.uSizeRange;
+      const [from, to] = uniforms.uSizeScale;
+      this.addRow(`Size: ${size.label} ${formatValue(low)} – ${formatValue(high)} (×${formatValue(from)} – ×${formatValue(to)})`);
+    }
+    if (opacity) {
+      const [low, high] = uniforms.uOpacityRange;
+      const [from, to] = uniforms.uOpacityScale;
+      this.addRow(`Opacity: ${opacity.label} ${formatValue(low)} – ${formatValue(high)} (${formatValue(from)} – ${formatValue(to)})`);
+    }
+  }
+
+  addRow(text) {
+    const row = document.createElement('div');
+    row.textContent = text;
+    row.style.margin = '2px 0';
+    this.element.appendChild(row);
+  }
+
+  // Low and high ends under the colour bar
+  addRange([low, high]) {
+    const row = document.createElement('div');
+    row.style.cssText = `display: flex; justify-content: space-between; width: ${BAR_WIDTH}px;`;
+    [low, high].forEach(value => {
+      const label = document.createElement('span');
+      label.textContent = formatValue(value);
+      row.appendChild(label);
+    });
+    this.element.appendChild(row);
+  }
+
+  colorBar(colormap) {
+    const canvas = document.createElement('canvas');
+    canvas.width = BAR_WIDTH;
+    canvas.height = BAR_HEIGHT;
+    canvas.style.cssText = 'display: block; margin: 2px 0;';
+
+    const context = canvas.getContext('2d');
+    for (let x = 0; x < BAR_WIDTH; x++) {
+      const [r, g, b] = sampleColormap(colormap, x / (BAR_WIDTH - 1));
+      context.fillStyle = `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+      context.fillRect(x, 0, 1, BAR_HEIGHT);
+    }
+    return canvas;
+  }
+}
+
+export default MetricLegend;
@@ -0,0 +1,299 @@
+import * as THREE from 'three';
+import Logger from '../logger.js';
+import { normalize, isDegenerate, interpolate, fixedPoints } from '../core/mobius.js';
+
+// Coefficient handles in the complex-plane editor
+const HANDLES = [
+  { key: 'a', color: '#e74c3c' },
+  { key: 'b', color: '#2ecc71' },
+  { key: 'c', color: '#3498db' },
+  { key: 'd', color: '#f39c12' }
+];
+
+// Half-width of the complex plane shown in the editor
+const PLANE_EXTENT = 2.5;
+
+// Pointer distance (CSS pixels) within which a handle is grabbed
+const HANDLE_RADIUS = 8;
+
+// Fixed points further out than this are not marked in the scene
+const MARKER_RANGE = 50;
+
+const smoothstep = t => t * t * (3 - 2 * t);
+
+// Editor for the coefficients of the classical Möbius stage:
+//   - a canvas showing a, b, c, d in the complex plane; dragging a handle
+//     edits that coefficient and the result is normalised to ad - bc = 1 on
+//     release (degenerate edits are refused)
+//   - markers at the fixed points of the transform as the shader applies
+//     it (the stage spins `a` with time, so they move with the animation)
+//   - smooth transitions to a target transform, interpolated in SL(2,C)
+class MobiusEditor {
+  constructor(stateStore, visualization) {
+    this.stateStore = stateStore;
+    this.visualization = visualization;
+    this.canvas = null;
+    this.dragging = null;
+    this.markers = null;
+
+    // { from, to, start, duration } while a transition runs
+    this.transition = null;
+
+    // Transform before the last transition, for transitionBack()
+    this.previous = null;
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+  }
+
+  attach() {
+    const material = new THREE.MeshBasicMaterial({ color: 0xffd54f, depthTest: false, transparent: true });
+    const geometry = new THREE.OctahedronGeometry(0.06);
+    this.markers = new THREE.Group();
+    for (let i = 0; i < 2; i++) {
+      const marker = new THREE.Mesh(geometry, material);
+      marker.renderOrder = 999;
+      marker.visible = false;
+      this.markers.add(marker);
+    }
+    this.visualization.scene.add(this.markers);
+    window.addEventListener('pointerup', this.onPointerUp);
+  }
+
+  detach() {
+    window.removeEventListener('pointerup', this.onPointerUp);
+    this.unmountPlane();
+    if (!this.markers) return;
+
+    this.visualization.scene.remove(this.markers);
+    const [marker] = this.markers.children;
+    marker.geometry.dispose();
+    marker.material.dispose();
+    this.markers = null;
+  }
+
+  // Coefficients currently fed to the shaders
+  current() {
+    if (this.transition) {
+      const { from, to, start, duration } = this.transition;
+      const t = Math.min(1, (performance.now() * 0.001 - start) / duration);
+      return interpolate(from, to, smoothstep(t));
+    }
+    return this.stateStore.config.mobiusCoefficients;
+  }
+
+  // Apply edited coefficients. Edits in progress (dragging, typing) are
+  // applied as entered and normalised once finished.
+  setCoefficients(coefficients, finished = true) {
+    if (isDegenerate(coefficients)) {
+      if (finished) {
+        Logger.warn('Ignoring degenerate Möbius coefficients (ad - bc = 0)');
+      }
+      return false;
+    }
+    this.stateStore.update('mobiusCoefficients', finished ? normalize(coefficients) : coefficients);
+    return true;
+  }
+
+  // Move to `target` over `mobiusTransitionDuration` seconds; the setting
+  // (and the undo history) changes once, when the transition ends
+  transitionTo(target, duration = this.stateStore.config.mobiusTransitionDuration) {
+    if (isDegenerate(target)) {
+      Logger.warn('Cannot transition to a degenerate Möbius transform');
+      return;
+    }
+
+    const from = normalize(this.current());
+    this.transition = null;
+    this.previous = from;
+
+    if (!(duration > 0)) {
+      this.setCoefficients(target);
+      return;
+    }
+    this.transition = { from, to: normalize(target), start: performance.now() * 0.001, duration };
+  }
+
+  // Back to the transform the last transition started from
+  transitionBack() {
+    if (this.previous) {
+      this.transitionTo(this.previous);
+    }
+  }
+
+  onConfigChange(key) {
+    if (key === 'mobiusCoefficients') {
+      // Any other change of the coefficients wins over a running transition
+      this.transition = null;
+      this.drawPlane();
+    }
+  }
+
+  // Called every frame with the shader time
+  update(time) {
+    if (this.transition) {
+      const { to, start, duration } = this.transition;
+      if (time - start >= duration) {
+        this.transition = null;
+        this.stateStore.update('mobiusCoefficients', to);
+      } else {
+        this.visualization.setMobiusUniforms(this.current());
+        this.drawPlane();
+      }
+    }
+    this.updateMarkers(time);
+  }
+
+  // The classical stage rotates `a` by time * uAnimationSpeed (see
+  // applyClassicalMobius); mark the fixed points of that transform
+  updateMarkers(time) {
+    if (!this.markers) return;
+
+    const { config } = this.stateStore;
+    const stage = config.shaderPipeline.find(entry => entry.stage === 'classicalMobius');
+    let points = [];
+    if (config.mobiusShowFixedPoints && stage && stage.enabled && stage.weight > 0) {
+      const coefficients = this.current();
+      const phase = time * config.uAnimationSpeed;
+      const [re, im] = coefficients.a;
+      const spun = {
+        ...coefficients,
+        a: [re * Math.cos(phase) - im * Math.sin(phase), re * Math.sin(phase) + im * Math.cos(phase)]
+      };
+      points = isDegenerate(spun) ? [] : fixedPoints(spun);
+    }
+
+    this.markers.children.forEach((marker, index) => {
+      const point = points[index];
+      marker.visible = Boolean(point) && Math.hypot(point[0], point[1]) < MARKER_RANGE;
+      if (marker.visible) {
+        marker.position.set(point[0], point[1], 0);
+      }
+    });
+  }
+
+  // ---- Complex-plane editor ----
+
+  // Put the editor canvas into `container` (a GUI folder row)
+  mountPlane(container) {
+    this.unmountPlane();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 230;
+    canvas.height = 230;
+    canvas.style.cssText = 'display: block; width: 100%; margin: 4px 0; cursor: crosshair; touch-action: none;';
+    canvas.addEventListener('pointerdown', this.onPointerDown);
+    canvas.addEventListener('pointermove', this.onPointerMove);
+    container.appendChild(canvas);
+
+    this.canvas = canvas;
+    this.drawPlane();
+  }
+
+  unmountPlane() {
+    if (!this.canvas) return;
+    this.canvas.removeEventListener('pointerdown', this.onPointerDown);
+    this.canvas.removeEventListener('pointermove', this.onPointerMove);
+    this.canvas.remove();
+    this.canvas = null;
+    this.dragging = null;
+  }
+
+  // Canvas pixel of a complex number, and back
+  toCanvas([re, im]) {
+    const { width, height } = this.canvas;
+    return [(re / PLANE_EXTENT + 1) * width / 2, (1 - im / PLANE_EXTENT) * height / 2];
+  }
+
+  fromEvent(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) / rect.width;
+    const y = (event.clientY - rect.top) / rect.height;
+    return [(x * 2 - 1) * PLANE_EXTENT, (1 - y * 2) * PLANE_EXTENT];
+  }
+
+  drawPlane() {
+    if (!this.canvas) return;
+    const context = this.canvas.getContext('2d');
+    const { width, height } = this.canvas;
+    const coefficients = this.current();
+
+    context.fillStyle = '#1a1a1a';
+    context.fillRect(0, 0, width, height);
+
+    // Integer grid, axes and the unit circle
+    context.lineWidth = 1;
+    for (let i = -Math.floor(PLANE_EXTENT); i <= PLANE_EXTENT; i++) {
+      context.strokeStyle = i === 0 ? '#777' : '#333';
+      const [x] = this.toCanvas([i, 0]);
+      const [, y] = this.toCanvas([0, i]);
+      context.beginPath();
+      context.moveTo(x, 0);
+      context.lineTo(x, height);
+      context.moveTo(0, y);
+      context.lineTo(width, y);
+      context.stroke();
+    }
+    const [cx, cy] = this.toCanvas([0, 0]);
+    context.strokeStyle = '#555';
+    context.beginPath();
+    context.arc(cx, cy, width / (2 * PLANE_EXTENT), 0, Math.PI * 2);
+    context.stroke();
+
+    // Fixed points of the transform itself (without the time spin)
+    context.strokeStyle = '#ffd54f';
+    const points = isDegenerate(coefficients) ? [] : fixedPoints(coefficients);
+    points.filter(Boolean).forEach(point => {
+      const [x, y] = this.toCanvas(point);
+      context.beginPath();
+      context.moveTo(x - 5, y - 5);
+      context.lineTo(x + 5, y + 5);
+      context.moveTo(x + 5, y - 5);
+      context.lineTo(x - 5, y + 5);
+      context.stroke();
+    });
+
+    context.font = '11px sans-serif';
+    context.textBaseline = 'middle';
+    HANDLES.forEach(({ key, color }) => {
+      const [x, y] = this.toCanvas(coefficients[key]);
+      context.fillStyle = color;
+      context.beginPath();
+      context.arc(x, y, 5, 0, Math.PI * 2);
+      context.fill();
+      context.fillText(key, x + 8, y);
+    });
+  }
+
+  onPointerDown(event) {
+    if (event.button !== 0) return;
+    const rect = this.canvas.getBoundingClientRect();
+    const pixelScale = this.canvas.width / rect.width;
+    const coefficients = this.current();
+
+    const [px, py] = [(event.clientX - rect.left) * pixelScale, (event.clientY - rect.top) * pixelScale];
+    const hit = HANDLES.find(({ key }) => {
+      const [x, y] = this.toCanvas(coefficients[key]);
+      return Math.hypot(x - px, y - py) <= HANDLE_RADIUS * pixelScale;
+    });
+    if (!hit) return;
+
+    this.dragging = hit.key;
+    this.canvas.setPointerCapture(event.pointerId);
+    event.preventDefault();
+  }
+
+  onPointerMove(event) {
+    if (!this.dragging) return;
+    this.setCoefficients({ ...this.current(), [this.dragging]: this.fromEvent(event) }, false);
+  }
+
+  onPointerUp() {
+    if (!this.dragging) return;
+    this.dragging = null;
+    this.setCoefficients(this.stateStore.config.mobiusCoefficients);
+  }
+}
+
+export default MobiusEditor;
@@ -0,0 +1,196 @@
+import Logger from '../logger.js';
+import {
+  importFormats,
+  formatForFile,
+  parsePointCloud,
+  tableToVertices
+} from '../core/point-cloud-import.js';
+import { SESSION_FORMAT, isSessionDocument } from '../core/session.js';
+
+// Most malformed rows logged individually; the rest are only counted
+const MAX_LOGGED_ERRORS = 20;
+
+// Loads point clouds dropped on the canvas or picked with a file dialog and
+// hands the vertices to the visualization. The column mapping and
+// normalisation come from the import* StateStore keys; the last parsed
+// table is kept so a changed mapping can be re-applied without re-reading.
+class PointCloudImporter {
+  constructor(stateStore, visualization) {
+    this.stateStore = stateStore;
+    this.visualization = visualization;
+    this.domElement = null;
+    this.fileInput = null;
+    this.lastImport = null; // { fileName, format, table }
+
+    this.onDragOver = this.onDragOver.bind(this);
+    this.onDrop = this.onDrop.bind(this);
+  }
+
+  attach(domElement) {
+    this.domElement = domElement;
+    domElement.addEventListener('dragover', this.onDragOver);
+    domElement.addEventListener('drop', this.onDrop);
+  }
+
+  detach() {
+    if (this.domElement) {
+      this.domElement.removeEventListener('dragover', this.onDragOver);
+      this.domElement.removeEventListener('drop', this.onDrop);
+      this.domElement = null;
+    }
+    if (this.fileInput) {
+      this.fileInput.remove();
+      this.fileInput = null;
+    }
+  }
+
+  onDragOver(event) {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  }
+
+  onDrop(event) {
+    event.preventDefault();
+    const file = event.dataTransfer.files[0];
+    if (file) {
+      this.importFile(file);
+    }
+  }
+
+  // Open the browser's file dialog
+  openFilePicker() {
+    if (!this.fileInput) {
+      const accept = Object.values(importFormats)
+        .flatMap(format => format.extensions.map(extension => `.${extension}`))
+        .join(',');
+
+      this.fileInput = document.createElement('input');
+      this.fileInput.type = 'file';
+      this.fileInput.accept = accept;
+      this.fileInput.style.display = 'none';
+      this.fileInput.addEventListener('change', () => {
+        const file = this.fileInput.files[0];
+        if (file) {
+          this.importFile(file);
+        }
+        // Allow picking the same file again
+        this.fileInput.value = '';
+      });
+      document.body.appendChild(this.fileInput);
+    }
+    this.fileInput.click();
+  }
+
+  // Read and parse a File, then load its vertices
+  importFile(file) {
+    const format = formatForFile(file.name);
+    if (!format) {
+      Logger.error('Unsupported point cloud file', {
+        fileName: file.name,
+        supported: Object.values(importFormats).map(entry => entry.extensions.join('/')).join(', ')
+      });
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      // Session documents dropped on the canvas restore the whole scene
+      if (format === 'json' && reader.result.includes(SESSION_FORMAT)) {
+        try {
+          const document = JSON.parse(reader.result);
+          if (isSessionDocument(document)) {
+            this.visualization.sessionManager.load(document, file.name);
+            return;
+          }
+        } catch (error) {
+          // Not valid JSON; let the point cloud parser report it
+        }
+      }
+
+      try {
+        const table = parsePointCloud(format, reader.result);
+        this.lastImport = { fileName: file.name, format, table };
+        this.applyImport();
+      } catch (error) {
+        Logger.error('Failed to parse point cloud', {
+          fileName: file.name,
+          format,
+          error: error.message
+        });
+      }
+    };
+    reader.onerror = () => {
+      Logger.error('Failed to read point cloud file', {
+        fileName: file.name,
+        error: reader.error ? reader.error.message : 'unknown error'
+      });
+    };
+
+    Logger.info('Reading point cloud', { fileName: file.name, format, size: file.size });
+    if (importFormats[format].binary) {
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.readAsText(file);
+    }
+  }
+
+  // Map the last parsed table with the current import settings and load it
+  applyImport() {
+    if (!this.lastImport) {
+      Logger.warn('No point cloud imported yet');
+      return;
+    }
+
+    const { fileName, format, table } = this.lastImport;
+    const config = this.stateStore.config;
+
+    try {
+      const result = tableToVertices(table, {
+        weightColumn: config.importWeightColumn,
+        curvatureColumn: config.importCurvatureColumn,
+        defaultWeight: config.importDefaultWeight,
+        defaultCurvature: config.importDefaultCurvature,
+        center: config.importCenter,
+        normalize: config.importNormalize,
+        radius: config.importRadius
+      });
+
+      this.report(fileName, result);
+
+      if (!result.vertices.length) {
+        Logger.error('Point cloud contains no valid vertices', { fileName, rows: table.rows.length });
+        return;
+      }
+
+      this.visualization.loadVertices(result.vertices, {
+        source: fileName,
+        format,
+        columns: result.mapping
+      });
+    } catch (error) {
+      Logger.error('Failed to import point cloud', {
+        fileName,
+        columns: table.columns,
+        error: error.message
+      });
+    }
+  }
+
+  // Log mapping warnings and malformed rows
+  report(fileName, { errors, warnings }) {
+    warnings.forEach(message => Logger.warn('Point cloud import', { fileName, message }));
+
+    errors.slice(0, MAX_LOGGED_ERRORS).forEach(({ ref, message }) => {
+      Logger.warn(`Skipped malformed row (${ref})`, { fileName, message });
+    });
+    if (errors.length) {
+      Logger.error('Malformed rows skipped during import', {
+        fileName,
+        skipped: errors.length,
+        notLogged: Math.max(errors.length - MAX_LOGGED_ERRORS, 0)
+      });
+    }
+  }
+}
+
+export default PointCloudImporter;
@@ -0,0 +1,298 @@
+import * as THREE from 'three';
+import Logger from '../logger.js';
+import { MetricVertex } from '../core/metric-space-geometry.js';
+import { createRandom } from '../core/random.js';
+import { pickVertex } from './picking.js';
+
+// Minimum time (seconds) between two dabs of the editing brushes while dragging
+const DAB_INTERVAL = 0.12;
+
+// Most vertices the divisive brush splits in a single dab
+const MAX_SPLITS_PER_DAB = 64;
+
+// Uniformly distributed offset inside a ball
+function randomInBall(random, radius) {
+  const u = random() * 2 - 1;
+  const theta = random() * 2 * Math.PI;
+  const ring = Math.sqrt(1 - u * u);
+  const direction = new THREE.Vector3(ring * Math.cos(theta), ring * Math.sin(theta), u);
+  return direction.multiplyScalar(radius * Math.cbrt(random()));
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// Brush modes. Each applies a dab given the picked vertex and the brush
+// hits ({ index, distance } within the radius, under the active metric).
+const sculptBrushes = {
+  subtract: {
+    label: 'Subtract (Delete)',
+    apply: (tool, picked, hits, time) => tool.markForDeletion(hits, time)
+  },
+  add: {
+    label: 'Add',
+    throttled: true,
+    apply: (tool, picked) => tool.spawnVertices(picked)
+  },
+  multiply: {
+    label: 'Multiply Weight/Curvature',
+    throttled: true,
+    apply: (tool, picked, hits) => tool.scaleVertices(hits)
+  },
+  divide: {
+    label: 'Divide (Split)',
+    throttled: true,
+    apply: (tool, picked, hits) => tool.splitVertices(hits)
+  }
+};
+
+// Mouse sculpting on the point cloud. Dragging with the left mouse button
+// applies the selected brush around the vertex under the cursor:
+//   subtract  vertices within the brush fade out over `sculptFadeDuration`
+//             seconds and are then removed
+//   add       spawns new vertices around the picked vertex
+//   multiply  scales weight and curvature, with a falloff towards the rim
+//   divide    splits vertices into children along their edges
+// Every dab updates the connectivity locally.
+class SculptTool {
+  constructor(stateStore, visualization) {
+    this.stateStore = stateStore;
+    this.visualization = visualization;
+    this.domElement = null;
+    this.dragging = false;
+    this.lastDab = -Infinity;
+
+    // Spawned vertices come from a stream seeded like the vertex generator
+    this.random = createRandom(stateStore.config.seed);
+
+    // Vertex index -> fade start time (seconds)
+    this.fading = new Map();
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+  }
+
+  attach(domElement) {
+    this.domElement = domElement;
+    domElement.addEventListener('pointerdown', this.onPointerDown);
+    domElement.addEventListener('pointermove', this.onPointerMove);
+    window.addEventListener('pointerup', this.onPointerUp);
+  }
+
+  detach() {
+    if (!this.domElement) return;
+    this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+    this.domElement.removeEventListener('pointermove', this.onPointerMove);
+    window.removeEventListener('pointerup', this.onPointerUp);
+    this.domElement = null;
+  }
+
+  // Forget pending deletions (their indices are invalid after a rebuild)
+  // and restart the seeded random stream
+  reset() {
+    this.fading.clear();
+    this.dragging = false;
+    this.random = createRandom(this.stateStore.config.seed);
+  }
+
+  onPointerDown(event) {
+    if (!this.stateStore.config.sculptEnabled || event.button !== 0) return;
+    this.dragging = true;
+    this.applyBrush(event);
+  }
+
+  onPointerMove(event) {
+    if (this.dragging) {
+      this.applyBrush(event);
+    }
+  }
+
+  onPointerUp() {
+    this.dragging = false;
+  }
+
+  // Index of the vertex under the pointer, or -1
+  pick(event) {
+    if (!this.domElement) return -1;
+    const { camera, renderObject } = this.visualization;
+    return pickVertex(event, this.domElement, camera, renderObject, this.stateStore.config.shaderPipeline);
+  }
+
+  // Apply the selected brush around the vertex under the pointer
+  applyBrush(event) {
+    const brushName = this.stateStore.config.sculptBrush;
+    const brush = sculptBrushes[brushName];
+    if (!brush) {
+      Logger.warn('Unknown sculpt brush', { brush: brushName });
+      return;
+    }
+
+    const now = performance.now() * 0.001;
+    if (brush.throttled && now - this.lastDab < DAB_INTERVAL) return;
+
+    const geometry = this.visualization.metricGeometry;
+    const picked = this.pick(event);
+    if (!geometry || picked < 0) return;
+
+    const hits = geometry.verticesWithin(geometry.vertices[picked], this.stateStore.config.sculptBrushRadius);
+    this.lastDab = now;
+    brush.apply(this, picked, hits, now);
+  }
+
+  // Subtractive brush: start fading out the hit vertices
+  markForDeletion(hits, time) {
+    let marked = 0;
+    hits.forEach(({ index }) => {
+      if (!this.fading.has(index)) {
+        this.fading.set(index, time);
+        marked++;
+      }
+    });
+
+    if (marked) {
+      Logger.debug('Sculpt brush applied', { brush: 'subtract', marked, pending: this.fading.size });
+    }
+  }
+
+  // Additive brush: new vertices scattered around the picked one, with its
+  // weight and curvature
+  spawnVertices(picked) {
+    const { sculptAddCount, sculptSpread } = this.stateStore.config;
+    const center = this.visualization.metricGeometry.vertices[picked];
+
+    const spawned = [];
+    for (let k = 0; k < sculptAddCount; k++) {
+      const offset = randomInBall(this.random, sculptSpread);
+      spawned.push(new MetricVertex(
+        center.x + offset.x,
+        center.y + offset.y,
+        center.z + offset.z,
+        center.weight,
+        center.curvature
+      ));
+    }
+    this.visualization.addVertices(spawned);
+  }
+
+  // Multiplicative brush: scale weight and curvature by the factor at the
+  // brush centre, easing to 1 at the rim
+  scaleVertices(hits) {
+    const { sculptScaleFactor, sculptBrushRadius } = this.stateStore.config;
+    const distances = new Map(hits.map(({ index, distance }) => [index, distance]));
+    const indices = hits.map(hit => hit.index).filter(index => !this.fading.has(index));
+
+    this.visualization.modifyVertices(indices, (vertex, index) => {
+      const falloff = sculptBrushRadius > 0 ? 1 - distances.get(index) / sculptBrushRadius : 1;
+      const factor = Math.pow(sculptScaleFactor, Math.max(falloff, 0));
+      vertex.weight *= factor;
+      vertex.curvature *= factor;
+    });
+  }
+
+  // Divisive brush: replace each hit vertex by `sculptSplitCount` children
+  // placed part-way along its edges, with weight and curvature interpolated
+  // towards the neighbour. Vertices without edges split in place.
+  splitVertices(hits) {
+    const { sculptSplitCount, sculptSpread } = this.stateStore.config;
+    const geometry = this.visualization.metricGeometry;
+    const vertexEdges = geometry.getVertexEdges();
+
+    const parents = hits
+      .map(hit => hit.index)
+      .filter(index => !this.fading.has(index))
+      .slice(0, MAX_SPLITS_PER_DAB);
+    if (!parents.length) return;
+
+    const children = [];
+    parents.forEach(index => {
+      const parent = geometry.vertices[index];
+      const neighbours = vertexEdges[index].map(edgeIndex => {
+        const [i, j] = geometry.edges[edgeIndex];
+        return geometry.vertices[i === index ? j : i];
+      });
+
+      for (let k = 0; k < sculptSplitCount; k++) {
+        if (neighbours.length) {
+          // Stay on the parent's side of the edge midpoint
+          const neighbour = neighbours[Math.floor(this.random() * neighbours.length)];
+          const t = 0.5 * this.random();
+          children.push(new MetricVertex(
+            lerp(parent.x, neighbour.x, t),
+            lerp(parent.y, neighbour.y, t),
+            lerp(parent.z, neighbour.z, t),
+            lerp(parent.weight, neighbour.weight, t),
+            lerp(parent.curvature, neighbour.curvature, t)
+          ));
+        } else {
+          const offset = randomInBall(this.random, sculptSpread);
+          children.push(new MetricVertex(
+            parent.x + offset.x,
+            parent.y + offset.y,
+            parent.z + offset.z,
+            parent.weight,
+            parent.curvature
+          ));
+        }
+      }
+    });
+
+    const remap = this.visualization.replaceVertices(parents, children);
+    this.remapFading(remap);
+  }
+
+  // Carry pending fades over to new vertex indices (remap: old -> new, -1 removed)
+  remapFading(remap) {
+    if (!remap) {
+      this.fading.clear();
+      return new Map();
+    }
+
+    const remaining = new Map();
+    this.fading.forEach((start, index) => {
+      if (remap[index] >= 0) {
+        remaining.set(remap[index], start);
+      }
+    });
+    this.fading = remaining;
+    return remaining;
+  }
+
+  // Advance the fades; remove the vertices whose fade has finished
+  update(time) {
+    if (!this.fading.size) return;
+
+    const duration = this.stateStore.config.sculptFadeDuration;
+    const alphas = new Map();
+    const expired = [];
+
+    this.fading.forEach((start, index) => {
+      const progress = duration > 0 ? (time - start) / duration : 1;
+      if (progress >= 1) {
+        expired.push(index);
+      } else {
+        alphas.set(index, 1 - Math.max(progress, 0));
+      }
+    });
+
+    this.visualization.setVertexAlphas(alphas);
+    if (!expired.length) return;
+
+    expired.forEach(index => this.fading.delete(index));
+    const remap = this.visualization.removeVertices(expired);
+
+    // The rebuilt geometry starts fully opaque; restore the fades in progress
+    const remainingAlphas = new Map();
+    this.fading.forEach((start, index) => {
+      if (remap && remap[index] >= 0) {
+        remainingAlphas.set(remap[index], alphas.get(index));
+      }
+    });
+    this.remapFading(remap);
+    this.visualization.setVertexAlphas(remainingAlphas);
+  }
+}
+
+export { sculptBrushes };
+export default SculptTool;
@@ -0,0 +1,152 @@
+import Logger from '../logger.js';
+import {
+  createSessionDocument,
+  migrateSession,
+  serializeUniforms
+} from '../core/session.js';
+import { download } from './Exporter.js';
+
+// localStorage slot of the browser-saved session
+const STORAGE_KEY = 'metric-space-session';
+
+// Saves the whole scene (settings, vertices, edges, shader uniforms, render
+// mode and camera) as a versioned JSON document, to a file or localStorage,
+// and restores it.
+class SessionManager {
+  constructor(stateStore, visualization) {
+    this.stateStore = stateStore;
+    this.visualization = visualization;
+    this.fileInput = null;
+  }
+
+  // Session document for the current scene
+  capture() {
+    const { metricGeometry, renderObject, edgeRibbons, surfaceMesh, renderMode } = this.visualization;
+
+    return createSessionDocument({
+      config: this.stateStore.getConfig(),
+      renderMode,
+      vertices: metricGeometry.vertices,
+      connectivity: metricGeometry.getConnectivity(),
+      uniforms: {
+        points: renderObject ? serializeUniforms(renderObject.material.uniforms) : {},
+        lines: edgeRibbons ? serializeUniforms(edgeRibbons.material.uniforms) : {},
+        surface: surfaceMesh ? serializeUniforms(surfaceMesh.material.uniforms) : {}
+      },
+      camera: this.visualization.getCameraPose()
+    });
+  }
+
+  // Migrate, validate and apply a parsed session document
+  load(document, source = 'session') {
+    try {
+      const session = migrateSession(document);
+      this.visualization.applySession(session);
+      Logger.info('Session loaded', {
+        source,
+        version: document.version || 0,
+        savedAt: session.savedAt,
+        vertices: session.vertices ? session.vertices.length : 'regenerated'
+      });
+      return true;
+    } catch (error) {
+      Logger.error('Failed to load session', {
+        source,
+        error: error.message,
+        stack: error.stack
+      });
+      return false;
+    }
+  }
+
+  saveToFile() {
+    try {
+      const document = this.capture();
+      download(JSON.stringify(document), 'metric-space-session.json', 'application/json');
+      Logger.info('Session saved to file', { vertices: document.vertices.length, version: document.version });
+    } catch (error) {
+      Logger.error('Failed to save session', { error: error.message });
+    }
+  }
+
+  // Open the browser's file dialog for a session file
+  openFilePicker() {
+    if (!this.fileInput) {
+      this.fileInput = document.createElement('input');
+      this.fileInput.type = 'file';
+      this.fileInput.accept = '.json,application/json';
+      this.fileInput.style.display = 'none';
+      this.fileInput.addEventListener('change', () => {
+        const file = this.fileInput.files[0];
+        if (file) {
+          this.loadFile(file);
+        }
+        this.fileInput.value = '';
+      });
+      document.body.appendChild(this.fileInput);
+    }
+    this.fileInput.click();
+  }
+
+  loadFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let document;
+      try {
+        document = JSON.parse(reader.result);
+      } catch (error) {
+        Logger.error('Session file is not valid JSON', { fileName: file.name, error: error.message });
+        return;
+      }
+      this.load(document, file.name);
+    };
+    reader.onerror = () => {
+      Logger.error('Failed to read session file', {
+        fileName: file.name,
+        error: reader.error ? reader.error.message : 'unknown error'
+      });
+    };
+    reader.readAsText(file);
+  }
+
+  saveToBrowser() {
+    try {
+      const document = this.capture();
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(document));
+      Logger.info('Session saved to browser storage', { vertices: document.vertices.length });
+    } catch (error) {
+      // Quota exceeded or storage disabled
+      Logger.error('Failed to save session to browser storage', { error: error.message });
+    }
+  }
+
+  loadFromBrowser() {
+    let text;
+    try {
+      text = window.localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+      Logger.error('Browser storage is not available', { error: error.message });
+      return false;
+    }
+    if (!text) {
+      Logger.warn('No session saved in browser storage');
+      return false;
+    }
+
+    try {
+      return this.load(JSON.parse(text), 'localStorage');
+    } catch (error) {
+      Logger.error('Saved session is not valid JSON', { error: error.message });
+      return false;
+    }
+  }
+
+  detach() {
+    if (this.fileInput) {
+      this.fileInput.remove();
+      this.fileInput = null;
+    }
+  }
+}
+
+export default SessionManager;
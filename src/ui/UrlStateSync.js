@@ -0,0 +1,95 @@
+import Logger from '../logger.js';
+import { encodeUrlState, decodeUrlState } from '../core/url-state.js';
+
+// Delay after the last change before the hash is rewritten (ms)
+const WRITE_DELAY = 500;
+
+// Keeps the URL hash in step with the config and camera so the address can
+// be shared, and applies a pasted link while the page is open. The initial
+// hash is read by index.js before the visualization is constructed.
+class UrlStateSync {
+  constructor(stateStore, visualization) {
+    this.stateStore = stateStore;
+    this.visualization = visualization;
+    this.timer = null;
+    this.writeCount = 0;
+    this.currentHash = null;
+    this.unsubscribe = null;
+    this.unsubscribeHistory = null;
+
+    this.schedule = this.schedule.bind(this);
+    this.onHashChange = this.onHashChange.bind(this);
+  }
+
+  attach() {
+    this.unsubscribe = this.stateStore.subscribe(this.schedule);
+    // Render mode changes and session loads are history operations rather
+    // than config changes
+    this.unsubscribeHistory = this.stateStore.subscribeHistory(this.schedule);
+    this.visualization.controls.addEventListener('change', this.schedule);
+    window.addEventListener('hashchange', this.onHashChange);
+    this.schedule();
+  }
+
+  detach() {
+    clearTimeout(this.timer);
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.unsubscribeHistory) {
+      this.unsubscribeHistory();
+      this.unsubscribeHistory = null;
+    }
+    if (this.visualization.controls) {
+      this.visualization.controls.removeEventListener('change', this.schedule);
+    }
+    window.removeEventListener('hashchange', this.onHashChange);
+  }
+
+  // Debounced hash update
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.write(), WRITE_DELAY);
+  }
+
+  async write() {
+    const write = ++this.writeCount;
+    try {
+      // Recorded values, not the ones audio is currently modulating
+      const hash = await encodeUrlState({
+        config: this.stateStore.committed,
+        renderMode: this.visualization.renderMode,
+        camera: this.visualization.getCameraPose()
+      });
+      // A newer write started while this one was compressing
+      if (write !== this.writeCount || hash === this.currentHash) return;
+
+      this.currentHash = hash;
+      // replaceState keeps parameter tweaks out of the back button history
+      // and does not fire hashchange
+      window.history.replaceState(null, '', `#${hash}`);
+    } catch (error) {
+      Logger.warn('Failed to write URL state', { error: error.message });
+    }
+  }
+
+  // A link pasted into the address bar of the open page
+  async onHashChange() {
+    const hash = window.location.hash.replace(/^#/, '');
+    if (hash === this.currentHash) return;
+
+    try {
+      const session = await decodeUrlState(hash);
+      if (!session) return;
+
+      this.currentHash = hash;
+      this.visualization.applySession(session);
+      Logger.info('Applied state from URL', { seed: session.config.seed, vertexCount: session.config.vertexCount });
+    } catch (error) {
+      Logger.error('Ignoring invalid URL state', { error: error.message });
+    }
+  }
+}
+
+export default UrlStateSync;
@@ -0,0 +1,383 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls';
+import Logger from '../logger.js';
+import { pointerPosition, pickVertex, projectVertices, insidePolygon } from './picking.js';
+
+// Minimum time (seconds) between live geometry updates while dragging the gizmo
+const LIVE_UPDATE_INTERVAL = 0.05;
+
+// Pointer travel (pixels) below which a press counts as a click
+const CLICK_TOLERANCE = 4;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const selectionTools = {
+  click: { label: 'Click' },
+  box: { label: 'Box' },
+  lasso: { label: 'Lasso' }
+};
+
+// Direct vertex editing: click, box or lasso selection (Shift adds to the
+// selection), a transform gizmo that moves, rotates or scales the selection
+// about its centroid, and an inspector holding the selection's position,
+// weight and curvature (means for several vertices).
+//
+// The selection holds MetricVertex objects, so it survives edits that
+// renumber the vertices; vertices that disappear drop out of it.
+class VertexEditor {
+  constructor(stateStore, visualization) {
+    this.stateStore = stateStore;
+    this.visualization = visualization;
+    this.domElement = null;
+    this.selection = new Set();
+
+    // Values shown (and edited) in the GUI inspector
+    this.inspector = { x: 0, y: 0, z: 0, weight: 0, curvature: 0 };
+
+    this.transformControls = null;
+    this.pivot = new THREE.Object3D();
+    this.highlight = null;
+    this.overlay = null;
+    this.overlayPath = null;
+
+    // Pointer gesture in progress: { start, path } in canvas pixels
+    this.gesture = null;
+    // Gizmo drag in progress: { indices, positions, inverse }
+    this.drag = null;
+    this.lastLiveUpdate = -Infinity;
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+  }
+
+  attach(domElement) {
+    const { scene, camera } = this.visualization;
+    this.domElement = domElement;
+
+    scene.add(this.pivot);
+    this.transformControls = new TransformControls(camera, domElement);
+    this.transformControls.setMode(this.stateStore.config.editGizmoMode);
+    this.transformControls.addEventListener('dragging-changed', event => {
+      if (event.value) {
+        this.beginTransform();
+      } else {
+        this.endTransform();
+      }
+      this.visualization.updateControlsEnabled();
+    });
+    this.transformControls.addEventListener('objectChange', () => this.applyTransform(false));
+    scene.add(this.transformControls);
+
+    // Selected vertices drawn on top of everything
+    this.highlight = new THREE.Points(
+      new THREE.BufferGeometry(),
+      new THREE.PointsMaterial({
+        color: 0xffff00,
+        size: 8,
+        sizeAttenuation: false,
+        depthTest: false,
+        transparent: true
+      })
+    );
+    this.highlight.renderOrder = 999;
+    scene.add(this.highlight);
+
+    // Box/lasso outline drawn over the canvas
+    this.overlay = document.createElementNS(SVG_NS, 'svg');
+    this.overlay.style.cssText = 'position: fixed; pointer-events: none; display: none;';
+    this.overlayPath = document.createElementNS(SVG_NS, 'polygon');
+    this.overlayPath.setAttribute('fill', 'rgba(255, 255, 0, 0.1)');
+    this.overlayPath.setAttribute('stroke', '#ffff00');
+    this.overlayPath.setAttribute('stroke-dasharray', '4 3');
+    this.overlay.appendChild(this.overlayPath);
+    document.body.appendChild(this.overlay);
+
+    domElement.addEventListener('pointerdown', this.onPointerDown);
+    domElement.addEventListener('pointermove', this.onPointerMove);
+    window.addEventListener('pointerup', this.onPointerUp);
+
+    this.refresh();
+  }
+
+  detach() {
+    if (!this.domElement) return;
+    this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+    this.domElement.removeEventListener('pointermove', this.onPointerMove);
+    window.removeEventListener('pointerup', this.onPointerUp);
+
+    const { scene } = this.visualization;
+    this.transformControls.detach();
+    this.transformControls.dispose();
+    scene.remove(this.transformControls);
+    scene.remove(this.pivot);
+    scene.remove(this.highlight);
+    this.highlight.geometry.dispose();
+    this.highlight.material.dispose();
+    this.overlay.remove();
+
+    this.transformControls = null;
+    this.highlight = null;
+    this.overlay = null;
+    this.domElement = null;
+  }
+
+  // Whether the editor currently needs the left mouse button
+  capturesPointer() {
+    const { editEnabled, editSelectionTool } = this.stateStore.config;
+    return !!this.drag || (editEnabled && editSelectionTool !== 'click');
+  }
+
+  // React to StateStore changes of the editor settings
+  onConfigChange(key, value) {
+    if (key === 'editGizmoMode' && this.transformControls) {
+      this.transformControls.setMode(value);
+    } else if (key === 'editEnabled') {
+      this.refresh();
+    }
+  }
+
+  // ---- Selection ----
+
+  // Indices of the selected vertices in the current geometry
+  selectedIndices() {
+    const geometry = this.visualization.metricGeometry;
+    if (!geometry || !this.selection.size) return [];
+
+    const indices = [];
+    geometry.vertices.forEach((vertex, index) => {
+      if (this.selection.has(vertex)) indices.push(index);
+    });
+    return indices;
+  }
+
+  select(indices, additive = false) {
+    const { vertices } = this.visualization.metricGeometry;
+    if (!additive) {
+      this.selection.clear();
+    }
+    indices.forEach(index => this.selection.add(vertices[index]));
+
+    Logger.debug('Vertex selection changed', { selected: this.selection.size });
+    this.refresh();
+  }
+
+  clearSelection() {
+    this.selection.clear();
+    this.refresh();
+  }
+
+  // Sync the highlight, gizmo and inspector with the selection and the
+  // current geometry (call after any change to the vertices)
+  refresh() {
+    const geometry = this.visualization.metricGeometry;
+    if (!geometry || !this.highlight) return;
+
+    // Drop selected vertices that no longer exist
+    const present = new Set(geometry.vertices);
+    this.selection.forEach(vertex => {
+      if (!present.has(vertex)) this.selection.delete(vertex);
+    });
+    const selected = Array.from(this.selection);
+
+    const positions = new Float32Array(selected.length * 3);
+    selected.forEach((v, k) => {
+      positions[k * 3] = v.x;
+      positions[k * 3 + 1] = v.y;
+      positions[k * 3 + 2] = v.z;
+    });
+    this.highlight.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    this.highlight.geometry.computeBoundingSphere();
+
+    this.updateInspector(selected);
+
+    // Keep the gizmo on the centroid, except while it is being dragged
+    if (!this.drag) {
+      this.pivot.position.set(this.inspector.x, this.inspector.y, this.inspector.z);
+      this.pivot.rotation.set(0, 0, 0);
+      this.pivot.scale.set(1, 1, 1);
+      this.pivot.updateMatrix();
+
+      if (selected.length && this.stateStore.config.editEnabled) {
+        this.transformControls.attach(this.pivot);
+      } else {
+        this.transformControls.detach();
+      }
+    }
+  }
+
+  // Means of position, weight and curvature over the selection
+  updateInspector(selected) {
+    const keys = ['x', 'y', 'z', 'weight', 'curvature'];
+    keys.forEach(key => {
+      this.inspector[key] = selected.length
+        ? selected.reduce((sum, v) => sum + v[key], 0) / selected.length
+        : 0;
+    });
+    this.visualization.guiModule.setInspectorSelection(selected.length);
+  }
+
+  // Numeric edit from the inspector. Position values move the selection so
+  // its centroid lands on the value; weight/curvature are set on every
+  // selected vertex.
+  setInspectorValue(key, value) {
+    const indices = this.selectedIndices();
+    if (!indices.length || typeof value !== 'number' || !isFinite(value)) return;
+
+    const selected = indices.map(index => this.visualization.metricGeometry.vertices[index]);
+    const mean = selected.reduce((sum, v) => sum + v[key], 0) / selected.length;
+
+    this.visualization.modifyVertices(indices, vertex => {
+      if (key === 'weight' || key === 'curvature') {
+        vertex[key] = value;
+      } else {
+        vertex[key] += value - mean;
+      }
+    });
+    Logger.debug('Vertex inspector edit', { key, value, selected: indices.length });
+  }
+
+  // ---- Pointer selection ----
+
+  onPointerDown(event) {
+    if (!this.stateStore.config.editEnabled || event.button !== 0) return;
+    // Presses on a gizmo handle belong to the transform controls
+    if (this.transformControls && this.transformControls.axis !== null) return;
+
+    const start = pointerPosition(event, this.domElement);
+    this.gesture = { start, path: [start], additive: event.shiftKey };
+  }
+
+  onPointerMove(event) {
+    if (!this.gesture) return;
+
+    const tool = this.stateStore.config.editSelectionTool;
+    if (tool === 'click') return;
+
+    const point = pointerPosition(event, this.domElement);
+    if (tool === 'lasso') {
+      this.gesture.path.push(point);
+    } else {
+      this.gesture.path = [this.gesture.start, point];
+    }
+    this.drawOverlay(this.selectionPolygon());
+  }
+
+  onPointerUp(event) {
+    const gesture = this.gesture;
+    this.gesture = null;
+    this.drawOverlay(null);
+    if (!gesture) return;
+
+    const end = pointerPosition(event, this.domElement);
+    const travel = Math.hypot(end.x - gesture.start.x, end.y - gesture.start.y);
+    const tool = this.stateStore.config.editSelectionTool;
+
+    if (tool === 'click' || travel < CLICK_TOLERANCE) {
+      // Dragging with the click tool orbits the camera; only clicks select
+      if (travel >= CLICK_TOLERANCE) return;
+
+      const { camera, renderObject } = this.visualization;
+      const picked = pickVertex(event, this.domElement, camera, renderObject, this.stateStore.config.shaderPipeline);
+      if (picked >= 0) {
+        const vertex = this.visualization.metricGeometry.vertices[picked];
+        if (gesture.additive && this.selection.has(vertex)) {
+          this.selection.delete(vertex);
+          this.refresh();
+        } else {
+          this.select([picked], gesture.additive);
+        }
+      } else if (!gesture.additive) {
+        this.clearSelection();
+      }
+      return;
+    }
+
+    // Box/lasso: select every vertex whose projection falls inside
+    const polygon = this.selectionPolygon();
+    const { camera, renderObject } = this.visualization;
+    const screen = projectVertices(this.domElement, camera, renderObject, this.stateStore.config.shaderPipeline);
+    const inside = [];
+    screen.forEach((point, index) => {
+      if (point && insidePolygon(point, polygon)) inside.push(index);
+    });
+    this.select(inside, gesture.additive);
+  }
+
+  // Outline of the current box/lasso gesture as a polygon
+  selectionPolygon() {
+    const { path } = this.gesture;
+    if (this.stateStore.config.editSelectionTool === 'lasso') {
+      return path;
+    }
+    const [a, b] = [path[0], path[path.length - 1]];
+    return [a, { x: b.x, y: a.y }, b, { x: a.x, y: b.y }];
+  }
+
+  drawOverlay(polygon) {
+    if (!this.overlay) return;
+    if (!polygon) {
+      this.overlay.style.display = 'none';
+      return;
+    }
+
+    const rect = this.domElement.getBoundingClientRect();
+    this.overlay.style.left = `${rect.left}px`;
+    this.overlay.style.top = `${rect.top}px`;
+    this.overlay.setAttribute('width', rect.width);
+    this.overlay.setAttribute('height', rect.height);
+    this.overlayPath.setAttribute('points', polygon.map(p => `${p.x},${p.y}`).join(' '));
+    this.overlay.style.display = 'block';
+  }
+
+  // ---- Gizmo transforms ----
+
+  // Remember the selection's positions and the pivot when a drag starts
+  beginTransform() {
+    const indices = this.selectedIndices();
+    const { vertices } = this.visualization.metricGeometry;
+    this.pivot.updateMatrix();
+    this.drag = {
+      indices,
+      positions: indices.map(index => new THREE.Vector3(vertices[index].x, vertices[index].y, vertices[index].z)),
+      inverse: this.pivot.matrix.clone().invert()
+    };
+  }
+
+  // Apply the pivot's change since the drag started to the selection.
+  // Live updates are throttled; the final one always goes through.
+  applyTransform(final) {
+    if (!this.drag || !this.drag.indices.length) return;
+
+    const now = performance.now() * 0.001;
+    if (!final && now - this.lastLiveUpdate < LIVE_UPDATE_INTERVAL) return;
+    this.lastLiveUpdate = now;
+
+    this.pivot.updateMatrix();
+    const transform = this.pivot.matrix.clone().multiply(this.drag.inverse);
+    const target = new THREE.Vector3();
+    const { indices, positions } = this.drag;
+    const start = new Map(indices.map((index, k) => [index, positions[k]]));
+
+    this.visualization.modifyVertices(indices, (vertex, index) => {
+      target.copy(start.get(index)).applyMatrix4(transform);
+      vertex.x = target.x;
+      vertex.y = target.y;
+      vertex.z = target.z;
+    });
+  }
+
+  endTransform() {
+    if (!this.drag) return;
+    this.applyTransform(true);
+    Logger.debug('Vertex transform applied', {
+      mode: this.stateStore.config.editGizmoMode,
+      selected: this.drag.indices.length
+    });
+    this.drag = null;
+    this.refresh();
+  }
+}
+
+export { selectionTools };
+export default VertexEditor;
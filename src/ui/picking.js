@@ -0,0 +1,124 @@
+import * as THREE from 'three';
+import { displacePoint } from '../core/shader-pipeline.js';
+import { uniformValues } from '../core/shader-displacement.js';
+
+// World-space tolerance for picking a point with the raycaster
+const PICK_THRESHOLD = 0.15;
+
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+const projected = new THREE.Vector3();
+
+// Pointer position relative to an element, in CSS pixels
+function pointerPosition(event, domElement) {
+  const rect = domElement.getBoundingClientRect();
+  return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
+
+// Local-space position attribute of `object` moved by the shader pipeline at
+// the uTime it is currently rendered with, so picking matches what is drawn.
+// Returns the undisplaced attribute without a pipeline.
+function displacedPositions(object, pipeline) {
+  const position = object.geometry.getAttribute('position');
+  const uniforms = object.material && object.material.uniforms;
+  if (!pipeline || !uniforms || !uniforms.uTime) return position;
+
+  const values = uniformValues(uniforms);
+  const displaced = new Float32Array(position.count * 3);
+  for (let i = 0; i < position.count; i++) {
+    projected.fromBufferAttribute(position, i);
+    const p = displacePoint(projected, values, values.uTime, pipeline);
+    displaced[i * 3] = p.x;
+    displaced[i * 3 + 1] = p.y;
+    displaced[i * 3 + 2] = p.z;
+  }
+  return new THREE.BufferAttribute(displaced, 3);
+}
+
+// Stand-in for `object` with its vertices at their displaced positions, for
+// the raycaster
+function displacedProxy(object, pipeline) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', displacedPositions(object, pipeline));
+  if (object.geometry.index) geometry.setIndex(object.geometry.index);
+
+  const proxy = new object.constructor(geometry, object.material);
+  proxy.matrixAutoUpdate = false;
+  proxy.matrixWorld.copy(object.matrixWorld);
+  return proxy;
+}
+
+// Index of the vertex of `object` (Points, or an indexed Mesh over the same
+// vertices) under the pointer, or -1. With the shader `pipeline` the vertices
+// are picked where the vertex shader currently draws them.
+function pickVertex(event, domElement, camera, object, pipeline = null) {
+  if (!object) return -1;
+
+  const rect = domElement.getBoundingClientRect();
+  pointer.set(
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1
+  );
+  raycaster.setFromCamera(pointer, camera);
+  raycaster.params.Points.threshold = PICK_THRESHOLD;
+
+  const proxy = displacedProxy(object, pipeline);
+  const hits = raycaster.intersectObject(proxy, false);
+  if (!hits.length) return -1;
+
+  // Points report the vertex directly; for meshes take the face corner
+  // nearest to the hit point
+  const hit = hits[0];
+  if (hit.index !== undefined && !hit.face) {
+    return hit.index;
+  }
+
+  const position = proxy.geometry.getAttribute('position');
+  const local = hit.point.clone().applyMatrix4(proxy.matrixWorld.clone().invert());
+  const corner = new THREE.Vector3();
+  let nearest = -1;
+  let nearestDistance = Infinity;
+  [hit.face.a, hit.face.b, hit.face.c].forEach(index => {
+    const distance = corner.fromBufferAttribute(position, index).distanceToSquared(local);
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearest = index;
+    }
+  });
+  return nearest;
+}
+
+// Screen positions (CSS pixels relative to domElement) of the vertices of
+// `object`, displaced by the shader `pipeline` as in pickVertex; vertices
+// behind the camera get null
+function projectVertices(domElement, camera, object, pipeline = null) {
+  const rect = domElement.getBoundingClientRect();
+  const position = displacedPositions(object, pipeline);
+  const screen = new Array(position.count);
+
+  for (let i = 0; i < position.count; i++) {
+    projected.fromBufferAttribute(position, i)
+      .applyMatrix4(object.matrixWorld)
+      .project(camera);
+    screen[i] = projected.z > 1
+      ? null
+      : { x: (projected.x + 1) / 2 * rect.width, y: (1 - projected.y) / 2 * rect.height };
+  }
+  return screen;
+}
+
+// Even-odd rule point-in-polygon test ({x, y} points)
+function insidePolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export { pointerPosition, pickVertex, projectVertices, insidePolygon };
@@ -2,15 +2,41 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
 import StateStore from './state-store';
 import GuiModule from './ui/GuiModule.js';
+import SculptTool from './ui/SculptTool.js';
+import VertexEditor from './ui/VertexEditor.js';
+import PointCloudImporter from './ui/PointCloudImporter.js';
+import Exporter from './ui/Exporter.js';
+import SessionManager from './ui/SessionManager.js';
+import MobiusEditor from './ui/MobiusEditor.js';
+import ChladniOverlay from './ui/ChladniOverlay.js';
+import AudioReactive from './ui/AudioReactive.js';
+import MetricLegend from './ui/MetricLegend.js';
+import UrlStateSync from './ui/UrlStateSync.js';
 import Logger from './logger'; // Import the logger
 import { MetricVertex, MetricSpaceGeometry } from './core/metric-space-geometry';
-import vertexShader from './shaders/customVertexShader.glsl';
+import MetricRegistry from './core/metrics';
+import { validateMetric, summarizeReport } from './core/metric-validator';
+import { createRandom } from './core/random';
+import { restoreUniforms, migrateSession } from './core/session';
+import CurveRegistry from './core/curve-interpolators';
+import VertexGenerators, { VertexFields, generateVertexSet } from './core/vertex-generators';
+import ShaderStages, { SHADER_UNIFORM_KEYS, pipelineSignature, weightValues, stageUniformValues } from './core/shader-pipeline';
+import { packChladniModes } from './core/chladni';
+import { vertexAttributeUniforms } from './core/vertex-attributes';
+import { buildVertexShader } from './shaders/pipeline';
 import fragmentShader from './shaders/customFragmentShader.glsl';
-import lineVertexShader from './shaders/lineVertexShader.glsl';
 import lineFragmentShader from './shaders/lineFragmentShader.glsl';
+import meshFragmentShader from './shaders/meshFragmentShader.glsl';
+import surfaceFragmentShader from './shaders/surfaceFragmentShader.glsl';
+
+// Settings of the per-vertex attribute mappings (see core/vertex-attributes.js)
+const VERTEX_ATTRIBUTE_KEYS = ['vertexColorAttribute', 'vertexColormap', 'vertexSizeAttribute', 'vertexSizeMin',
+  'vertexSizeMax', 'vertexOpacityAttribute', 'vertexOpacityMin', 'vertexOpacityMax', 'vertexAttributeLegend'];
 
 class MetricSpaceVisualization {
-  constructor(mountElement, vertexCount = 5) {
+  // options: { renderMode, cameraPose } to start from, e.g. decoded from a
+  // shared URL (see core/url-state.js)
+  constructor(mountElement, vertexCount = 5, options = {}) {
     Logger.info('Initializing MetricSpaceVisualization', {
       mountElement: mountElement,
       vertexCount: vertexCount
@@ -22,18 +48,78 @@ class MetricSpaceVisualization {
     this.renderer = null;
     this.controls = null;
     this.renderObject = null;
-    this.lineSegments = null;
+    this.edgeRibbons = null;
+    this.surfaceMesh = null;
+    this.metricGeometry = null;
+    this.renderObjectMode = null; // Render mode the current material was built for
     this.vertexCount = vertexCount;
     this.vertices = [];
-    this.renderMode = 'points'; // Default render mode
+    this.renderMode = options.renderMode || 'points'; // Default render mode
+    this.initialCameraPose = options.cameraPose || null;
+
+    // Vertex selection, inspector and transform gizmo (attached in init)
+    this.vertexEditor = new VertexEditor(StateStore, this);
+
+    // Point cloud files dropped on the canvas or picked in the GUI
+    this.importer = new PointCloudImporter(StateStore, this);
+
+    // glTF/OBJ/PLY/SVG export of the current geometry
+    this.exporter = new Exporter(StateStore, this);
+
+    // Versioned session documents (file or browser storage)
+    this.sessionManager = new SessionManager(StateStore, this);
+
+    // Classical Möbius coefficients: plane editor, fixed-point markers and
+    // transitions (attached in init, once the scene exists)
+    this.mobiusEditor = new MobiusEditor(StateStore, this);
+
+    // Nodal lines of the Chladni plate (attached in init)
+    this.chladniOverlay = new ChladniOverlay(StateStore, this);
+
+    // Audio file or microphone driving settings through audioMappings
+    this.audioReactive = new AudioReactive(StateStore, this);
+
+    // Value ranges of the per-vertex attribute mappings (attached in init)
+    this.metricLegend = new MetricLegend(StateStore, this);
+
+    // Shareable URL hash (attached in init, once the camera controls exist)
+    this.urlStateSync = new UrlStateSync(StateStore, this);
 
     // Create GUI module with callback methods
     this.guiModule = new GuiModule(StateStore, {
       vertexCount: this.vertexCount,
       regenerateVertices: this.regenerateVertices.bind(this),
       changeRenderMode: this.changeRenderMode.bind(this),
-      updateUniform: this.updateUniform.bind(this)
+      updateUniform: this.updateUniform.bind(this),
+      vertexInspector: this.vertexEditor.inspector,
+      editSelection: (key, value) => this.vertexEditor.setInspectorValue(key, value),
+      clearSelection: () => this.vertexEditor.clearSelection(),
+      importPointCloud: () => this.importer.openFilePicker(),
+      reapplyImport: () => this.importer.applyImport(),
+      exportGeometry: format => this.exporter.export(format),
+      currentShaderTime: () => this.exporter.currentTime(),
+      saveSession: () => this.sessionManager.saveToFile(),
+      loadSession: () => this.sessionManager.openFilePicker(),
+      saveSessionToBrowser: () => this.sessionManager.saveToBrowser(),
+      loadSessionFromBrowser: () => this.sessionManager.loadFromBrowser(),
+      undo: () => this.undo(),
+      redo: () => this.redo(),
+      goToHistory: position => this.goToHistory(position),
+      mountMobiusPlane: container => this.mobiusEditor.mountPlane(container),
+      editMobius: (coefficients, finished) => this.mobiusEditor.setCoefficients(coefficients, finished),
+      transitionMobius: target => this.mobiusEditor.transitionTo(target),
+      transitionMobiusBack: () => this.mobiusEditor.transitionBack(),
+      audioMonitor: this.audioReactive.monitor,
+      loadAudioFile: () => this.audioReactive.openFilePicker(),
+      useMicrophone: () => this.audioReactive.useMicrophone(),
+      stopAudio: () => this.audioReactive.stop()
     });
+    this.guiModule.renderMode = this.renderMode;
+
+    // Subtractive sculpting with the mouse (attached to the canvas in init)
+    this.sculptTool = new SculptTool(StateStore, this);
+
+    this.onKeyDown = this.onKeyDown.bind(this);
 
     try {
       this.init();
@@ -108,6 +194,9 @@ class MetricSpaceVisualization {
     try {
       this.controls = new OrbitControls(this.camera, this.renderer.domElement);
       this.controls.enableDamping = true;
+      if (this.initialCameraPose) {
+        this.setCameraPose(this.initialCameraPose);
+      }
       Logger.info('Orbit controls initialized');
     } catch (error) {
       Logger.error('Failed to create orbit controls', {
@@ -126,6 +215,19 @@ class MetricSpaceVisualization {
       });
     }
 
+    this.vertexEditor.attach(this.renderer.domElement);
+    this.sculptTool.attach(this.renderer.domElement);
+    this.importer.attach(this.mountElement);
+    this.urlStateSync.attach();
+    this.mobiusEditor.attach();
+    this.chladniOverlay.attach();
+    this.metricLegend.attach();
+    this.applyVertexAttributes();
+    this.updateControlsEnabled();
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS)
+    window.addEventListener('keydown', this.onKeyDown);
+
     // Subscribe to state changes
     StateStore.subscribe(this.updateVisualization.bind(this));
 
@@ -140,9 +242,10 @@ class MetricSpaceVisualization {
 
   createShaderMaterial() {
     try {
+      // Meshes are lit using their normals; points draw polygon sprites
       const material = new THREE.ShaderMaterial({
-        vertexShader,
-        fragmentShader,
+        vertexShader: buildVertexShader('points', StateStore.config.shaderPipeline),
+        fragmentShader: this.renderMode === 'mesh' ? meshFragmentShader : fragmentShader,
         uniforms: {
           uTime: { value: 0 },
           uPointSize: { value: StateStore.config.pointSize },
@@ -159,18 +262,19 @@ class MetricSpaceVisualization {
           uChladniAmplitude: { value: 1.0 },
           uChladniFrequencyX: { value: 1.0 },
           uChladniFrequencyY: { value: 1.0 },
-          uUseClassicalMobius: { value: true },
           uMobiusFactor: { value: 1.0 },
           uNoiseScale: { value: 1.0 },
           uAnimationSpeed: { value: 1.0 },
-          uA: { value: new THREE.Vector2(1, 0) },
-          uB: { value: new THREE.Vector2(0, 0) },
-          uC: { value: new THREE.Vector2(0, 0) },
-          uD: { value: new THREE.Vector2(1, 0) }
+          ...this.createMobiusUniforms(),
+          ...this.createChladniUniforms(),
+          ...this.createStageUniforms(),
+          ...this.createVertexAttributeUniforms()
         },
         transparent: true,
-        depthWrite: false
+        depthWrite: false,
+        side: THREE.DoubleSide
       });
+      material.userData.pipelineSignature = pipelineSignature(StateStore.config.shaderPipeline);
 
       Logger.debug('Shader material created', {
         uniformKeys: Object.keys(material.uniforms)
@@ -188,7 +292,7 @@ class MetricSpaceVisualization {
   createLineShaderMaterial() {
     try {
       const lineMaterial = new THREE.ShaderMaterial({
-        vertexShader: lineVertexShader,
+        vertexShader: buildVertexShader('lines', StateStore.config.shaderPipeline),
         fragmentShader: lineFragmentShader,
         uniforms: {
           // Core timing
@@ -200,16 +304,16 @@ class MetricSpaceVisualization {
           uChladniFrequencyY: { value: 0.1 },
           
           // Möbius transformation parameters
-          uUseClassicalMobius: { value: false },
           uMobiusFactor: { value: 0.5 },
           uNoiseScale: { value: 0.2 },
           uAnimationSpeed: { value: 0.5 },
           
           // Classical Möbius transformation parameters
-          uA: { value: new THREE.Vector2(1.0, 0.0) },
-          uB: { value: new THREE.Vector2(0.0, 0.0) },
-          uC: { value: new THREE.Vector2(0.0, 0.0) },
-          uD: { value: new THREE.Vector2(1.0, 0.0) },
+          ...this.createMobiusUniforms(),
+          ...this.createChladniUniforms(),
+
+          // Transform pipeline weights and stage parameters
+          ...this.createStageUniforms(),
           
           // Line specific uniforms
           uLineWidth: { value: StateStore.config.lineWidth || 2.0 },
@@ -229,8 +333,10 @@ class MetricSpaceVisualization {
           u_resolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) }
         },
         transparent: true,
+        depthWrite: false,
         side: THREE.DoubleSide
       });
+      lineMaterial.userData.pipelineSignature = pipelineSignature(StateStore.config.shaderPipeline);
   
       Logger.debug('Line shader material created', {
         uniformKeys: Object.keys(lineMaterial.uniforms)
@@ -245,30 +351,288 @@ class MetricSpaceVisualization {
     }
   }
 
-  createMetricGeometry() {
+  createSurfaceShaderMaterial() {
+    try {
+      const surfaceMaterial = new THREE.ShaderMaterial({
+        vertexShader: buildVertexShader('surface', StateStore.config.shaderPipeline),
+        fragmentShader: surfaceFragmentShader,
+        uniforms: {
+          // Core timing
+          uTime: { value: 0.0 },
+
+          // Chladni pattern parameters
+          uChladniAmplitude: { value: StateStore.config.uChladniAmplitude },
+          uChladniFrequencyX: { value: StateStore.config.uChladniFrequencyX },
+          uChladniFrequencyY: { value: StateStore.config.uChladniFrequencyY },
+          uAnimationSpeed: { value: StateStore.config.uAnimationSpeed },
+
+          // Rest of the transform pipeline
+          uMobiusFactor: { value: StateStore.config.uMobiusFactor },
+          uNoiseScale: { value: StateStore.config.uNoiseScale },
+          ...this.createMobiusUniforms(),
+          ...this.createChladniUniforms(),
+          ...this.createStageUniforms(),
+
+          // Surface specific uniforms
+          uSurfaceColor: { value: new THREE.Color(StateStore.config.surfaceColor) },
+          uSurfaceOpacity: { value: StateStore.config.surfaceOpacity },
+          uSurfaceDisplacement: { value: StateStore.config.surfaceDisplacement }
+        },
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+        wireframe: StateStore.config.surfaceWireframe
+      });
+      surfaceMaterial.userData.pipelineSignature = pipelineSignature(StateStore.config.shaderPipeline);
+
+      Logger.debug('Surface shader material created', {
+        uniformKeys: Object.keys(surfaceMaterial.uniforms)
+      });
+
+      return surfaceMaterial;
+    } catch (error) {
+      Logger.error('Failed to create surface shader material', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // uA..uD from the mobiusCoefficients setting
+  createMobiusUniforms() {
+    const { a, b, c, d } = StateStore.config.mobiusCoefficients;
+    return {
+      uA: { value: new THREE.Vector2(...a) },
+      uB: { value: new THREE.Vector2(...b) },
+      uC: { value: new THREE.Vector2(...c) },
+      uD: { value: new THREE.Vector2(...d) }
+    };
+  }
+
+  // Feed Möbius coefficients ({ a, b, c, d } of [re, im]) to every material
+  setMobiusUniforms(coefficients) {
+    [this.renderObject, this.edgeRibbons, this.surfaceMesh].forEach(object => {
+      if (!object) return;
+      const { uniforms } = object.material;
+      ['a', 'b', 'c', 'd'].forEach(key => {
+        uniforms[`u${key.toUpperCase()}`].value.set(...coefficients[key]);
+      });
+    });
+  }
+
+  // Plate uniforms from the chladniPlate, chladniPlateSize and chladniModes
+  // settings (see core/chladni.js)
+  createChladniUniforms() {
+    const values = packChladniModes(StateStore.config);
+    return {
+      uChladniPlate: { value: values.uChladniPlate },
+      uChladniPlateSize: { value: values.uChladniPlateSize },
+      uChladniModeCount: { value: values.uChladniModeCount },
+      uChladniModes: { value: values.uChladniModes.map(mode => new THREE.Vector4(...mode)) }
+    };
+  }
+
+  applyChladniPlate() {
+    const values = packChladniModes(StateStore.config);
+    [this.renderObject, this.edgeRibbons, this.surfaceMesh].forEach(object => {
+      if (!object) return;
+      const { uniforms } = object.material;
+      uniforms.uChladniPlate.value = values.uChladniPlate;
+      uniforms.uChladniPlateSize.value = values.uChladniPlateSize;
+      uniforms.uChladniModeCount.value = values.uChladniModeCount;
+      values.uChladniModes.forEach((mode, index) => uniforms.uChladniModes.value[index].set(...mode));
+    });
+    this.chladniOverlay.invalidate();
+  }
+
+  // Attribute mapping uniforms of the point/mesh material
+  createVertexAttributeUniforms() {
+    const values = vertexAttributeUniforms(StateStore.config, this.metricGeometry && this.metricGeometry.vertexAttributes);
+    const uniforms = {};
+    Object.entries(values).forEach(([name, value]) => {
+      uniforms[name] = { value: Array.isArray(value) ? new THREE.Vector2(...value) : value };
+    });
+    return uniforms;
+  }
+
+  // Map the per-vertex attributes onto colour, size and opacity from the
+  // vertex attribute settings and the current vertex set, and redraw the
+  // legend
+  applyVertexAttributes() {
+    const values = vertexAttributeUniforms(StateStore.config, this.metricGeometry && this.metricGeometry.vertexAttributes);
+    if (this.renderObject) {
+      const { uniforms } = this.renderObject.material;
+      Object.entries(values).forEach(([name, value]) => {
+        if (Array.isArray(value)) {
+          uniforms[name].value.set(...value);
+        } else {
+          uniforms[name].value = value;
+        }
+      });
+    }
+    this.metricLegend.refresh(values);
+  }
+
+  // Weight and stage parameter uniforms of the transform pipeline
+  createStageUniforms() {
+    const values = {
+      ...weightValues(StateStore.config.shaderPipeline),
+      ...stageUniformValues(StateStore.config)
+    };
+    const uniforms = {};
+    Object.entries(values).forEach(([name, value]) => {
+      uniforms[name] = { value };
+    });
+    return uniforms;
+  }
+
+  // Bring every material in line with the shaderPipeline config. Weights
+  // only set uniforms; a new stage order or enabled set recompiles the
+  // vertex shaders, keeping the uniform objects and so their values.
+  applyShaderPipeline() {
+    const pipeline = StateStore.config.shaderPipeline;
+    const signature = pipelineSignature(pipeline);
+    const weights = weightValues(pipeline);
+
+    [[this.renderObject, 'points'], [this.edgeRibbons, 'lines'], [this.surfaceMesh, 'surface']].forEach(([object, kind]) => {
+      if (!object) return;
+      const material = object.material;
+
+      Object.entries(weights).forEach(([name, value]) => {
+        if (material.uniforms[name]) {
+          material.uniforms[name].value = value;
+        }
+      });
+
+      if (material.userData.pipelineSignature !== signature) {
+        material.vertexShader = buildVertexShader(kind, pipeline);
+        material.userData.pipelineSignature = signature;
+        material.needsUpdate = true;
+        Logger.debug('Recompiled vertex shader', { kind, pipeline: signature });
+      }
+    });
+  }
+
+  // Remove the surface mesh from the scene and free its GPU resources
+  removeSurfaceMesh() {
+    if (this.surfaceMesh) {
+      this.scene.remove(this.surfaceMesh);
+      this.surfaceMesh.geometry.dispose();
+      this.surfaceMesh.material.dispose();
+      this.surfaceMesh = null;
+      Logger.debug('Removed previous surface mesh');
+    }
+  }
+
+  // Add the metric surface built by generateMetricSurface to the scene
+  createSurfaceMesh(surfaceGeometry) {
+    this.removeSurfaceMesh();
+
+    this.surfaceMesh = new THREE.Mesh(surfaceGeometry, this.createSurfaceShaderMaterial());
+    this.surfaceMesh.visible = StateStore.config.surfaceVisible;
+    this.scene.add(this.surfaceMesh);
+
+    Logger.debug('Surface mesh created', {
+      vertexCount: surfaceGeometry.getAttribute('position').count,
+      visible: this.surfaceMesh.visible
+    });
+  }
+
+  // Regenerate only the surface (e.g. after a resolution change)
+  rebuildSurface() {
+    if (!this.metricGeometry) return;
+
+    try {
+      this.metricGeometry.surfaceThetaResolution = StateStore.config.surfaceThetaResolution;
+      this.metricGeometry.surfacePhiResolution = StateStore.config.surfacePhiResolution;
+      const surfaceGeometry = this.metricGeometry.generateMetricSurface(
+        THREE,
+        this.metricGeometry.surfaceThetaResolution,
+        this.metricGeometry.surfacePhiResolution
+      );
+      this.createSurfaceMesh(surfaceGeometry);
+    } catch (error) {
+      Logger.error('Failed to rebuild metric surface', {
+        error: error.message
+      });
+    }
+  }
+
+  // `connectivity` (from getConnectivity) restores saved edges instead of
+  // the ones computed from the current settings
+  createMetricGeometry(connectivity = null) {
     Logger.debug('Creating metric geometry', {
       renderMode: this.renderMode,
       vertexCount: this.vertices.length
     });
 
+    // Pending sculpt deletions refer to the old vertex indices
+    this.sculptTool.reset();
+    
+    // Create metric space geometry; on failure (e.g. an epsilon graph too
+    // dense to build) the previous one stays on screen
+    let metricGeometry;
+    try {
+      metricGeometry = new MetricSpaceGeometry(this.vertices, StateStore.getConfig());
+    } catch (error) {
+      if (this.metricGeometry) {
+        this.vertices = this.metricGeometry.vertices;
+        this.vertexCount = this.vertices.length;
+      }
+      Logger.error('Failed to build the metric geometry', { error: error.message });
+      throw error;
+    }
+    if (connectivity) {
+      metricGeometry.setConnectivity(connectivity);
+    }
+    this.metricGeometry = metricGeometry;
+
+    if (Number.isFinite(metricGeometry.edgeDegreeLimit)) {
+      Logger.warn('Epsilon graph capped by the edge limit: vertices keep only their nearest neighbours', {
+        threshold: metricGeometry.threshold,
+        maxEdges: metricGeometry.epsilonEdgeLimit,
+        edgesPerVertex: metricGeometry.edgeDegreeLimit,
+        edges: metricGeometry.edges.length
+      });
+    }
+
+    // Check the metric axioms for the current settings
+    this.validateMetricGeometry(metricGeometry);
+
+    this.buildRenderObjects();
+  }
+
+  // (Re)build the points/mesh, edge ribbons and surface from the current
+  // metric geometry. Materials are kept across rebuilds in the same render
+  // mode so their uniform values survive.
+  buildRenderObjects() {
+    const metricGeometry = this.metricGeometry;
+
+    const previousMaterial = this.renderObject && this.renderObjectMode === this.renderMode
+      ? this.renderObject.material
+      : null;
+    const previousLineMaterial = this.edgeRibbons ? this.edgeRibbons.material : null;
+
     // Clear previous objects from scene if they exist
     if (this.renderObject) {
       this.scene.remove(this.renderObject);
+      this.renderObject.geometry.dispose();
+      if (!previousMaterial) {
+        this.renderObject.material.dispose();
+      }
       Logger.debug('Removed previous render object');
     }
-    if (this.lineSegments) {
-      this.scene.remove(this.lineSegments);
-      Logger.debug('Removed previous line segments');
+    if (this.edgeRibbons) {
+      this.scene.remove(this.edgeRibbons);
+      this.edgeRibbons.geometry.dispose();
+      Logger.debug('Removed previous edge ribbons');
     }
-    
-    // Create metric space geometry
-    const metricGeometry = new MetricSpaceGeometry(this.vertices, StateStore.getConfig());
 
     // Create geometries
-    const { pointGeometry, lineGeometry } = metricGeometry.createGeometries(THREE);
+    const { pointGeometry, surfaceGeometry, edgeCurves } = metricGeometry.createGeometries(THREE);
 
     // Create shader material
-    const shaderMaterial = this.createShaderMaterial();
+    const shaderMaterial = previousMaterial || this.createShaderMaterial();
 
     try {
       // Create rendering object based on current mode
@@ -277,23 +641,39 @@ class MetricSpaceVisualization {
         this.renderObject = new THREE.Points(pointGeometry, shaderMaterial);
         Logger.info('Created Points object');
       } else {
-        // Mesh object
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', pointGeometry.getAttribute('position'));
-        this.renderObject = new THREE.Mesh(geometry, shaderMaterial);
-        Logger.info('Created Mesh object');
+        // Mesh object triangulated from the vertex set
+        pointGeometry.dispose();
+        const meshGeometry = metricGeometry.createMeshGeometry(THREE, StateStore.config.meshTriangulation);
+        this.renderObject = new THREE.Mesh(meshGeometry, shaderMaterial);
+        Logger.info('Created Mesh object', {
+          triangulation: StateStore.config.meshTriangulation,
+          triangleCount: meshGeometry.index.count / 3
+        });
       }
+      this.renderObjectMode = this.renderMode;
       this.scene.add(this.renderObject);
 
-    // Connecting lines with custom shader material
-    const lineMaterial = this.createLineShaderMaterial();
-    this.lineSegments = new THREE.LineSegments(lineGeometry, lineMaterial);
-    this.scene.add(this.lineSegments);
+    // Connecting lines with custom shader material, drawn as screen-space
+    // ribbons so uLineWidth/uLineDash/uLineVariation take effect
+    const lineMaterial = previousLineMaterial || this.createLineShaderMaterial();
+    const ribbonGeometry = metricGeometry.createRibbonGeometry(THREE, edgeCurves);
+    this.edgeRibbons = new THREE.Mesh(ribbonGeometry, lineMaterial);
+    this.edgeRibbons.frustumCulled = false;
+    this.scene.add(this.edgeRibbons);
+
+    // Metric surface layer
+    this.createSurfaceMesh(surfaceGeometry);
+
+    // Attribute ranges follow the rebuilt vertices
+    this.applyVertexAttributes();
+
+    // Selection highlight and gizmo follow the rebuilt vertices
+    this.vertexEditor.refresh();
 
     Logger.debug('Metric geometry creation complete', {
       renderObjectType: this.renderObject.constructor.name,
-      lineSegmentsExists: !!this.lineSegments,
-      lineSegmentsType: this.lineSegments ? this.lineSegments.material.constructor.name : 'none'
+      edgeRibbonsExist: !!this.edgeRibbons,
+      edgeRibbonsType: this.edgeRibbons ? this.edgeRibbons.material.constructor.name : 'none'
     });
   } catch (error) {
     Logger.error('Failed to create render objects', {
@@ -304,59 +684,320 @@ class MetricSpaceVisualization {
     }
   }
 
+  // Set the opacity of individual vertices (Map of index -> alpha) and of
+  // the edges incident to them; an edge takes the lower of its endpoints'
+  setVertexAlphas(alphas) {
+    if (!alphas.size || !this.renderObject || !this.metricGeometry) return;
+
+    const pointAlpha = this.renderObject.geometry.getAttribute('aAlpha');
+    alphas.forEach((alpha, index) => pointAlpha.setX(index, alpha));
+    pointAlpha.needsUpdate = true;
+
+    const ribbonAlpha = this.edgeRibbons && this.edgeRibbons.geometry.getAttribute('aAlpha');
+    if (!ribbonAlpha) return;
+
+    const { edges, ribbonRanges } = this.metricGeometry;
+    const vertexEdges = this.metricGeometry.getVertexEdges();
+    alphas.forEach((alpha, index) => {
+      vertexEdges[index].forEach(edgeIndex => {
+        const range = ribbonRanges[edgeIndex];
+        if (!range) return;
+        const [i, j] = edges[edgeIndex];
+        const edgeAlpha = Math.min(pointAlpha.getX(i), pointAlpha.getX(j));
+        for (let k = range.start; k < range.start + range.count; k++) {
+          ribbonAlpha.setX(k, edgeAlpha);
+        }
+      });
+    });
+    ribbonAlpha.needsUpdate = true;
+  }
+
+  // Replace the whole vertex set (e.g. with an imported point cloud) and
+  // rebuild the metric geometry
+  loadVertices(vertices, details = {}) {
+    const before = this.captureVertexState();
+    this.vertices = vertices;
+    this.vertexCount = vertices.length;
+    this.createMetricGeometry();
+    this.recordVertexChange('Load vertices', before, null);
+
+    Logger.info('Vertices loaded', {
+      ...details,
+      vertexCount: this.vertexCount,
+      edges: this.metricGeometry.edges.length
+    });
+  }
+
+  // Restore a migrated session document (see core/session.js): settings,
+  // vertices and edges, shader uniforms, render mode and camera. A session
+  // that fails to build is rolled back to the scene before it.
+  applySession(session) {
+    const previous = this.metricGeometry ? this.sessionManager.capture() : null;
+
+    try {
+      this.restoreSession(session);
+    } catch (error) {
+      if (previous) {
+        this.restoreSession(migrateSession(previous));
+      }
+      throw error;
+    }
+
+    if (previous && StateStore.isRecording()) {
+      StateStore.recordOperation({
+        label: 'Load session',
+        target: 'session',
+        undo: () => this.applySession(migrateSession(previous)),
+        redo: () => this.applySession(session)
+      });
+    }
+  }
+
+  restoreSession(session) {
+    StateStore.assign(session.config);
+
+    this.renderMode = session.renderMode === 'mesh' ? 'mesh' : 'points';
+    this.guiModule.renderMode = this.renderMode;
+
+    if (session.vertices) {
+      this.vertices = session.vertices.map(([x, y, z, weight, curvature]) =>
+        new MetricVertex(x, y, z, weight, curvature));
+    } else {
+      this.generateVertices(StateStore.config.vertexCount);
+    }
+    this.vertexCount = this.vertices.length;
+    StateStore.assign({ vertexCount: this.vertexCount });
+
+    // Materials are recreated from the restored config rather than kept
+    this.renderObjectMode = null;
+    if (this.edgeRibbons) {
+      this.scene.remove(this.edgeRibbons);
+      this.edgeRibbons.geometry.dispose();
+      this.edgeRibbons.material.dispose();
+      this.edgeRibbons = null;
+    }
+    this.createMetricGeometry(session.vertices ? session.connectivity : null);
+
+    // Saved uniform values on top of the ones derived from the config
+    const uniforms = session.uniforms || {};
+    restoreUniforms(this.renderObject.material.uniforms, uniforms.points);
+    restoreUniforms(this.edgeRibbons.material.uniforms, uniforms.lines);
+    if (this.surfaceMesh) {
+      restoreUniforms(this.surfaceMesh.material.uniforms, uniforms.surface);
+    }
+
+    if (session.camera) {
+      this.setCameraPose(session.camera);
+    }
+
+    // Controllers are rebuilt so every GUI value matches the session
+    this.guiModule.rebuild();
+    this.updateControlsEnabled();
+  }
+
+  // { position, target, up: [x, y, z], fov, zoom } of the camera and orbit target
+  getCameraPose() {
+    return {
+      position: this.camera.position.toArray(),
+      target: this.controls.target.toArray(),
+      up: this.camera.up.toArray(),
+      fov: this.camera.fov,
+      zoom: this.camera.zoom
+    };
+  }
+
+  setCameraPose({ position, target, up, fov, zoom }) {
+    this.camera.position.fromArray(position);
+    this.camera.up.fromArray(up);
+    this.camera.fov = fov;
+    this.camera.zoom = zoom;
+    this.camera.updateProjectionMatrix();
+    this.controls.target.fromArray(target);
+    this.controls.update();
+  }
+
+  // Rebuild the render objects after the vertex set was edited in place
+  // `before` is the captureVertexState from before the edit
+  refreshAfterVertexEdit(action, details = {}, before = null) {
+    this.vertices = this.metricGeometry.vertices;
+    this.vertexCount = this.vertices.length;
+
+    this.buildRenderObjects();
+
+    // Consecutive edits of one kind (a brush stroke, a gizmo drag) are
+    // undone together
+    this.recordVertexChange(`Vertices ${action}`, before, `vertices:${action}`);
+
+    Logger.info(`Vertices ${action}`, {
+      ...details,
+      vertexCount: this.vertexCount,
+      edges: this.metricGeometry.edges.length
+    });
+  }
+
+  // Vertex edits below patch the connectivity around the edited vertices
+  // rather than rebuilding the metric geometry
+
+  // Remove vertices by index. Returns the old -> new index map.
+  removeVertices(indices) {
+    if (!this.metricGeometry || !indices.length) return null;
+
+    try {
+      // Always keep at least one vertex
+      const removable = indices.length >= this.vertices.length ? indices.slice(1) : indices;
+      const before = this.captureVertexState();
+      const remap = this.metricGeometry.removeVertices(removable);
+      this.refreshAfterVertexEdit('removed', { removed: removable.length }, before);
+      return remap;
+    } catch (error) {
+      Logger.error('Failed to remove vertices', {
+        error: error.message,
+        stack: error.stack
+      });
+      return null;
+    }
+  }
+
+  // Append new MetricVertex objects. Returns their indices.
+  addVertices(newVertices) {
+    if (!this.metricGeometry || !newVertices.length) return [];
+
+    try {
+      const before = this.captureVertexState();
+      const added = this.metricGeometry.addVertices(newVertices);
+      this.refreshAfterVertexEdit('added', { added: added.length }, before);
+      return added;
+    } catch (error) {
+      Logger.error('Failed to add vertices', {
+        error: error.message,
+        stack: error.stack
+      });
+      return [];
+    }
+  }
+
+  // Change vertices in place with `modify(vertex, index)`
+  modifyVertices(indices, modify) {
+    if (!this.metricGeometry || !indices.length) return;
+
+    try {
+      const before = this.captureVertexState();
+      this.metricGeometry.modifyVertices(indices, modify);
+      this.refreshAfterVertexEdit('modified', { modified: indices.length }, before);
+    } catch (error) {
+      Logger.error('Failed to modify vertices', {
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  // Remove vertices and append replacements (e.g. split children).
+  // Returns the old -> new index map of the previous vertices.
+  replaceVertices(indices, newVertices) {
+    if (!this.metricGeometry) return null;
+
+    try {
+      const before = this.captureVertexState();
+      const remap = this.metricGeometry.removeVertices(indices);
+      this.metricGeometry.addVertices(newVertices);
+      this.refreshAfterVertexEdit('replaced', { removed: indices.length, added: newVertices.length }, before);
+      return remap;
+    } catch (error) {
+      Logger.error('Failed to replace vertices', {
+        error: error.message,
+        stack: error.stack
+      });
+      return null;
+    }
+  }
+
+  // Validate the active metric on the current vertices and report to the GUI
+  validateMetricGeometry(metricGeometry) {
+    try {
+      const report = validateMetric(this.vertices, (v1, v2) => metricGeometry.customDistance(v1, v2));
+
+      if (!report.valid) {
+        Logger.warn('Metric axioms violated', {
+          metric: metricGeometry.metric,
+          summary: summarizeReport(report),
+          counts: report.counts,
+          worstTriangle: report.violations.triangle
+        });
+      } else {
+        Logger.debug('Metric axioms satisfied', {
+          metric: metricGeometry.metric,
+          classification: report.classification
+        });
+      }
+
+      this.guiModule.setMetricValidity(report);
+      return report;
+    } catch (error) {
+      Logger.error('Failed to validate metric', {
+        error: error.message
+      });
+      return null;
+    }
+  }
+
   generateVertices(count) {
-    Logger.debug('Generating vertices', { count });
-    
-    this.vertices = [];
-    
-    // Use controlled randomization that preserves metric properties
-    for (let i = 0; i < count; i++) {
-      // Linear space generation, but with controlled variance
-      const x = (Math.random() - 0.5) * 4 * (1 + Math.sin(i) * 0.2);
-      const y = (Math.random() - 0.5) * 4 * (1 + Math.cos(i) * 0.2);
-      const z = (Math.random() - 0.5) * 4 * (1 + Math.tan(i * 0.5) * 0.1);
-      
-      // Weight and curvature generation with controlled distribution
-      const weight = 1.0 + Math.pow(Math.random(), 3) * 2.0; // Skewed towards 1
-      const curvature = Math.PI/4 * Math.random(); // Constrained curvature
-      
-      const vertex = new MetricVertex(x, y, z, weight, curvature);
-      this.vertices.push(vertex);
+    const config = StateStore.getConfig();
+    Logger.debug('Generating vertices', { count, seed: config.seed, generator: config.vertexGenerator });
+
+    // Seeded, so the same seed, count and settings reproduce the same vertices
+    const random = createRandom(config.seed);
+
+    try {
+      const { vertices, dropped, scale } = generateVertexSet(count, random, config);
+      this.vertices = vertices;
+
+      if (dropped > 0) {
+        Logger.warn('Vertices dropped to respect the minimum distance', {
+          requested: count,
+          generated: vertices.length,
+          minDistance: config.minDistance
+        });
+      }
+      if (scale < 1) {
+        Logger.debug('Vertex set scaled to respect the maximum distance', {
+          scale,
+          maxDistance: config.maxDistance
+        });
+      }
+    } catch (error) {
+      Logger.error('Failed to generate vertices', {
+        generator: config.vertexGenerator,
+        error: error.message
+      });
+      this.vertices = [];
     }
-    
+
     Logger.info('Metric-preserving vertices generated', {
       totalVertices: this.vertices.length,
-      spatialDistribution: 'Controlled Linear',
-      weightDistribution: 'Constrained',
-      curvatureRange: 'Limited'
+      seed: config.seed,
+      generator: config.vertexGenerator,
+      weightField: config.weightField,
+      curvatureField: config.curvatureField
     });
-    
+
     return this.vertices;
   }
   
-  // Complementary metric distance method
+  // Distance between two vertices under the metric selected in StateStore.
+  // The metric geometry resolves its distance function once, so it is used
+  // whenever one exists.
   customDistance(v1, v2) {
-    const dx = v1.x - v2.x;
-    const dy = v1.y - v2.y;
-    const dz = v1.z - v2.z;
-    
-    // Euclidean base with weighted complexity
-    const baseDistance = Math.sqrt(dx*dx + dy*dy + dz*dz);
-    
-    // Weighted terms with controlled influence
-    const weightDifference = Math.abs(v1.weight - v2.weight);
-    const curvatureDifference = Math.abs(v1.curvature - v2.curvature);
-    
-    // Composite metric preserving triangular inequality
-    return Math.sqrt(
-      Math.pow(baseDistance, 2) + 
-      this.alpha * Math.pow(weightDifference, 2) + 
-      this.beta * Math.pow(curvatureDifference, 2)
-    );
+    if (this.metricGeometry) {
+      return this.metricGeometry.customDistance(v1, v2);
+    }
+    const config = StateStore.getConfig();
+    return MetricRegistry.createDistance(config.metric, config)(v1, v2);
   }
-  
 
   regenerateVertices(count) {
+    const before = this.captureVertexState();
+
     // Update vertex count
     this.vertexCount = count;
     
@@ -365,12 +1006,131 @@ class MetricSpaceVisualization {
     
     // Recreate the geometry
     this.createMetricGeometry();
+
+    this.recordVertexChange('Regenerate vertices', before, 'vertices:regenerate');
   }
 
   // Method to change render mode dynamically
   changeRenderMode(mode) {
+    const previous = this.renderMode;
     this.renderMode = mode;
     this.createMetricGeometry();
+
+    if (previous !== mode) {
+      const apply = value => () => {
+        this.guiModule.renderMode = value;
+        this.changeRenderMode(value);
+      };
+      StateStore.recordOperation({ label: `Render mode ${mode}`, target: 'renderMode', undo: apply(previous), redo: apply(mode) });
+    }
+  }
+
+  // ---- Undo/redo (history in StateStore) ----
+
+  // Copy of the vertex set and its edges for the history, or null while
+  // the history is being replayed
+  captureVertexState() {
+    if (!StateStore.isRecording() || !this.metricGeometry) return null;
+
+    const packed = new Float64Array(this.vertices.length * 5);
+    this.vertices.forEach((v, i) => packed.set([v.x, v.y, v.z, v.weight, v.curvature], i * 5));
+    return { vertices: packed, connectivity: this.metricGeometry.getConnectivity() };
+  }
+
+  restoreVertexState({ vertices, connectivity }) {
+    this.vertices = [];
+    for (let i = 0; i < vertices.length; i += 5) {
+      this.vertices.push(new MetricVertex(vertices[i], vertices[i + 1], vertices[i + 2], vertices[i + 3], vertices[i + 4]));
+    }
+    this.vertexCount = this.vertices.length;
+    this.createMetricGeometry(connectivity);
+    this.syncVertexCount();
+  }
+
+  // Record a vertex set change as one undo step, together with the vertex
+  // count shown in the GUI
+  recordVertexChange(label, before, coalesceKey) {
+    if (!before) {
+      this.syncVertexCount();
+      return;
+    }
+
+    const after = this.captureVertexState();
+    StateStore.transaction(label, () => {
+      this.syncVertexCount();
+      StateStore.recordOperation({
+        label,
+        target: 'vertices',
+        undo: () => this.restoreVertexState(before),
+        redo: () => this.restoreVertexState(after)
+      });
+    }, coalesceKey);
+  }
+
+  syncVertexCount() {
+    if (StateStore.config.vertexCount !== this.vertexCount) {
+      StateStore.update('vertexCount', this.vertexCount);
+      this.guiModule.refreshDisplay();
+    }
+  }
+
+  undo() {
+    this.replayHistory('undo');
+  }
+
+  redo() {
+    this.replayHistory('redo');
+  }
+
+  replayHistory(direction) {
+    try {
+      const entry = direction === 'undo' ? StateStore.undo() : StateStore.redo();
+      if (entry) {
+        Logger.info(direction === 'undo' ? 'Undo' : 'Redo', { step: entry.label });
+      }
+    } catch (error) {
+      Logger.error(`Failed to ${direction}`, {
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  goToHistory(position) {
+    try {
+      StateStore.goToHistory(position);
+    } catch (error) {
+      Logger.error('Failed to step through the history', {
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  onKeyDown(event) {
+    // Text fields (e.g. dat.GUI number boxes) keep their own undo
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z') {
+      event.preventDefault();
+      if (event.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    } else if (key === 'y') {
+      event.preventDefault();
+      this.redo();
+    }
+  }
+
+  // The left mouse button orbits the camera unless a tool is using it
+  updateControlsEnabled() {
+    if (!this.controls) return;
+    this.controls.enabled = !StateStore.config.sculptEnabled && !this.vertexEditor.capturesPointer();
   }
 
   // Method to update shader uniforms dynamically
@@ -382,6 +1142,13 @@ class MetricSpaceVisualization {
         this.renderObject.material.needsUpdate = true;
       }
     }
+
+    // The lines and the surface share the transform pipeline uniforms
+    [this.edgeRibbons, this.surfaceMesh].forEach(object => {
+      if (object && object.material.uniforms[uniformName]) {
+        object.material.uniforms[uniformName].value = value;
+      }
+    });
   }
 
   updateVisualization(key, value) {
@@ -431,11 +1198,11 @@ class MetricSpaceVisualization {
   
     // Update line material with shader uniforms
     if (['lineColor', 'lineOpacity', 'lineWidth', 'lineDash', 'lineVariation'].includes(key)) {
-      if (this.lineSegments && this.lineSegments.material) {
+      if (this.edgeRibbons && this.edgeRibbons.material) {
         try {
           // For ShaderMaterial, update via uniforms
-          if (this.lineSegments.material instanceof THREE.ShaderMaterial) {
-            const uniforms = this.lineSegments.material.uniforms;
+          if (this.edgeRibbons.material instanceof THREE.ShaderMaterial) {
+            const uniforms = this.edgeRibbons.material.uniforms;
             
             // Update density (opacity)
             if (typeof StateStore.config.lineOpacity === 'number' && uniforms.u_density) {
@@ -477,20 +1244,20 @@ class MetricSpaceVisualization {
               });
             }
             
-            this.lineSegments.material.needsUpdate = true;
+            this.edgeRibbons.material.needsUpdate = true;
           } 
           // For BasicMaterial fallback
           else {
             if (typeof StateStore.config.lineColor === 'number') {
-              this.lineSegments.material.color = new THREE.Color(StateStore.config.lineColor);
+              this.edgeRibbons.material.color = new THREE.Color(StateStore.config.lineColor);
               Logger.debug('[updateVisualization] Line color updated (BasicMaterial)', { newLineColor: StateStore.config.lineColor });
             }
             if (typeof StateStore.config.lineOpacity === 'number') {
-              this.lineSegments.material.opacity = StateStore.config.lineOpacity;
-              this.lineSegments.material.transparent = true;
+              this.edgeRibbons.material.opacity = StateStore.config.lineOpacity;
+              this.edgeRibbons.material.transparent = true;
               Logger.debug('[updateVisualization] Line opacity updated (BasicMaterial)', { newLineOpacity: StateStore.config.lineOpacity });
             }
-            this.lineSegments.material.needsUpdate = true;
+            this.edgeRibbons.material.needsUpdate = true;
           }
         } catch (error) {
           Logger.error('Error updating line material in updateVisualization', {
@@ -501,10 +1268,44 @@ class MetricSpaceVisualization {
       }
     }
     
+    // Shader Uniforms folder
+    if (SHADER_UNIFORM_KEYS.includes(key)) {
+      this.updateUniform(key, value);
+    }
+
+    // Per-vertex attribute mappings and the legend
+    if (VERTEX_ATTRIBUTE_KEYS.includes(key)) {
+      this.applyVertexAttributes();
+    }
+
+    // Chladni plate and its modes
+    if (['chladniPlate', 'chladniPlateSize', 'chladniModes'].includes(key)) {
+      this.applyChladniPlate();
+    }
+
+    // Audio mappings no longer driving a setting release it
+    if (key === 'audioMappings') {
+      this.audioReactive.onMappingsChange();
+    }
+
+    // Classical Möbius coefficients
+    if (key === 'mobiusCoefficients') {
+      this.mobiusEditor.onConfigChange(key, value);
+      this.setMobiusUniforms(value);
+      this.guiModule.setMobiusCoefficients(value);
+    }
+
+    // Transform pipeline stages and their parameters
+    if (key === 'shaderPipeline') {
+      this.applyShaderPipeline();
+    } else if (ShaderStages.isStageParam(key)) {
+      this.updateUniform(ShaderStages.uniformForParam(key), value);
+    }
+
     // Update shader specific parameters
     if (['chladniAmplitude', 'chladniFrequencyX', 'chladniFrequencyY', 'mobiusFactor', 'noiseScale'].includes(key)) {
       try {
-        if (this.lineSegments && this.lineSegments.material && this.lineSegments.material.uniforms) {
+        if (this.edgeRibbons && this.edgeRibbons.material && this.edgeRibbons.material.uniforms) {
           const uniformMap = {
             'chladniAmplitude': 'uChladniAmplitude',
             'chladniFrequencyX': 'uChladniFrequencyX',
@@ -514,10 +1315,10 @@ class MetricSpaceVisualization {
           };
           
           const uniformName = uniformMap[key];
-          if (uniformName && this.lineSegments.material.uniforms[uniformName]) {
-            this.lineSegments.material.uniforms[uniformName].value = value;
+          if (uniformName && this.edgeRibbons.material.uniforms[uniformName]) {
+            this.edgeRibbons.material.uniforms[uniformName].value = value;
             Logger.debug(`[updateVisualization] Updated line shader uniform: ${uniformName}`, { value });
-            this.lineSegments.material.needsUpdate = true;
+            this.edgeRibbons.material.needsUpdate = true;
           }
         }
       } catch (error) {
@@ -528,8 +1329,67 @@ class MetricSpaceVisualization {
       }
     }
     
+    // Update the metric surface layer
+    if (this.surfaceMesh) {
+      try {
+        const surfaceUniforms = this.surfaceMesh.material.uniforms;
+        if (key === 'surfaceVisible') {
+          this.surfaceMesh.visible = value;
+        } else if (key === 'surfaceWireframe') {
+          this.surfaceMesh.material.wireframe = value;
+        } else if (key === 'surfaceColor') {
+          surfaceUniforms.uSurfaceColor.value.set(value);
+        } else if (key === 'surfaceOpacity') {
+          surfaceUniforms.uSurfaceOpacity.value = value;
+        } else if (key === 'surfaceDisplacement') {
+          surfaceUniforms.uSurfaceDisplacement.value = value;
+        }
+      } catch (error) {
+        Logger.error('Error updating surface material in updateVisualization', {
+          error: error.message,
+          stack: error.stack
+        });
+      }
+    }
+
+    // Sculpting and vertex editing both use the left mouse button, so only
+    // one of them is on at a time
+    if (key === 'sculptEnabled' && value && StateStore.config.editEnabled) {
+      StateStore.update('editEnabled', false);
+      this.guiModule.refreshDisplay();
+    } else if (key === 'editEnabled' && value && StateStore.config.sculptEnabled) {
+      StateStore.update('sculptEnabled', false);
+      this.guiModule.refreshDisplay();
+    }
+
+    if (['editEnabled', 'editSelectionTool', 'editGizmoMode'].includes(key)) {
+      this.vertexEditor.onConfigChange(key, value);
+    }
+    if (['sculptEnabled', 'editEnabled', 'editSelectionTool'].includes(key)) {
+      this.updateControlsEnabled();
+    }
+
+    // Re-triangulate when the mesh face method changes
+    if (key === 'meshTriangulation' && this.renderMode === 'mesh') {
+      this.createMetricGeometry();
+    }
+
+    if (['surfaceThetaResolution', 'surfacePhiResolution'].includes(key)) {
+      Logger.debug('[updateVisualization] Rebuilding metric surface', { key, value });
+      this.rebuildSurface();
+    }
+    
+    // Regenerate vertices if the distribution settings change
+    if (['vertexGenerator', 'weightField', 'weightMin', 'weightMax', 'curvatureField', 'curvatureMin',
+         'curvatureMax', 'minDistance', 'maxDistance'].includes(key) ||
+        VertexGenerators.isGeneratorParam(key) || VertexFields.isFieldParam(key)) {
+      Logger.debug('[updateVisualization] Regenerating vertices due to change in distribution', { key, value });
+      this.regenerateVertices(this.vertexCount);
+    }
+
     // Regenerate geometry if metric parameters change
-    if (['alpha', 'beta', 'gamma', 'threshold'].includes(key)) {
+    if (['metric', 'threshold', 'graphMode', 'knnK', 'graphCandidates', 'epsilonEdgeLimit', 'curveMapping'].includes(key) ||
+        MetricRegistry.isMetricParam(key) || CurveRegistry.isCurveParam(key)) {
       Logger.debug('[updateVisualization] Regenerating metric geometry due to change in metric parameters', { key, value });
       this.createMetricGeometry();
     }
@@ -549,15 +1409,30 @@ class MetricSpaceVisualization {
     }
     
     // Update shader time uniform for line animation
-    if (this.lineSegments && this.lineSegments.material && this.lineSegments.material.uniforms) {
-      this.lineSegments.material.uniforms.uTime.value = currentTime;
+    if (this.edgeRibbons && this.edgeRibbons.material && this.edgeRibbons.material.uniforms) {
+      this.edgeRibbons.material.uniforms.uTime.value = currentTime;
       
       // Update animation speed if it's in state
-      if (StateStore.config.animationSpeed !== undefined && this.lineSegments.material.uniforms.uAnimationSpeed) {
-        this.lineSegments.material.uniforms.uAnimationSpeed.value = StateStore.config.animationSpeed;
+      if (StateStore.config.animationSpeed !== undefined && this.edgeRibbons.material.uniforms.uAnimationSpeed) {
+        this.edgeRibbons.material.uniforms.uAnimationSpeed.value = StateStore.config.animationSpeed;
       }
     }
   
+    // Fade out and remove sculpted vertices
+    this.sculptTool.update(currentTime);
+
+    // Settings driven by the audio analysis
+    this.audioReactive.update(currentTime);
+
+    // Möbius transitions and fixed-point markers
+    this.mobiusEditor.update(currentTime);
+    this.chladniOverlay.update(currentTime);
+
+    // Update shader time uniform for the metric surface
+    if (this.surfaceMesh) {
+      this.surfaceMesh.material.uniforms.uTime.value = currentTime;
+    }
+
     // Optional auto-rotation
     if (StateStore.config.autoRotate) {
       const rotationSpeed = 0.001 * StateStore.config.animationSpeed;
@@ -584,9 +1459,9 @@ class MetricSpaceVisualization {
     }
     
     // Update resolution uniform if line shader material exists
-    if (this.lineSegments && this.lineSegments.material && this.lineSegments.material.uniforms) {
-      if (this.lineSegments.material.uniforms.u_resolution) {
-        this.lineSegments.material.uniforms.u_resolution.value.copy(newResolution);
+    if (this.edgeRibbons && this.edgeRibbons.material && this.edgeRibbons.material.uniforms) {
+      if (this.edgeRibbons.material.uniforms.u_resolution) {
+        this.edgeRibbons.material.uniforms.u_resolution.value.copy(newResolution);
       }
     }
     
@@ -603,6 +1478,16 @@ class MetricSpaceVisualization {
     try {
       // Remove event listeners
       window.removeEventListener('resize', this.onWindowResize);
+      this.sculptTool.detach();
+      this.vertexEditor.detach();
+      this.importer.detach();
+      this.sessionManager.detach();
+      this.urlStateSync.detach();
+      this.mobiusEditor.detach();
+      this.chladniOverlay.detach();
+      this.audioReactive.detach();
+      this.metricLegend.detach();
+      window.removeEventListener('keydown', this.onKeyDown);
       Logger.debug('Resize event listener removed');
       
       // Dispose Three.js resources
@@ -613,13 +1498,16 @@ class MetricSpaceVisualization {
         Logger.debug('Render object resources disposed');
       }
 
-      if (this.lineSegments) {
-        this.lineSegments.geometry.dispose();
-        this.lineSegments.material.dispose();
-        this.scene.remove(this.lineSegments);
-        Logger.debug('Line segments resources disposed');
+      if (this.edgeRibbons) {
+        this.edgeRibbons.geometry.dispose();
+        this.edgeRibbons.material.dispose();
+        this.scene.remove(this.edgeRibbons);
+        Logger.debug('Edge ribbon resources disposed');
       }
 
+      this.removeSurfaceMesh();
+      Logger.debug('Surface mesh resources disposed');
+
       this.renderer.dispose();
       this.controls.dispose();
       Logger.debug('Renderer and controls disposed');